@@ -18,6 +18,14 @@ resource "aws_dynamodb_table" "element-dynamodb-table" {
     }
   }
 
+  dynamic "ttl" {
+    for_each = contains(keys(each.value), "ttl_attribute") ? [each.value.ttl_attribute] : []
+    content {
+      attribute_name = ttl.value
+      enabled        = true
+    }
+  }
+
   dynamic "global_secondary_index" {
     for_each = lookup(each.value, "global_secondary_index", {})
 
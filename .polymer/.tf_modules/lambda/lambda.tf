@@ -21,7 +21,7 @@ resource "aws_lambda_function" "lambda" {
   memory_size = lookup(local.decoded_envfile, "memory_size", 128)
 
   environment {
-    variables = tomap(try(local.decoded_envfile.environment_variables, {}))
+    variables = merge(tomap(try(local.decoded_envfile.environment_variables, {})), var.environment_variables)
   }
 
   dynamic "vpc_config" {
@@ -25,3 +25,8 @@ variable "application_name" {
 variable "application_stage" {
   type = string
 }
+
+variable "environment_variables" {
+  type    = map(string)
+  default = {}
+}
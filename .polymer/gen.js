@@ -29,6 +29,7 @@ function appDynamodbConfig(config, applicationName) {
             }
         }
         cleanIndexSchema(schema);
+        delete schema.graphql_types;
         schema.table_name = `${key}-${applicationName}`;
     }
 
@@ -67,11 +68,12 @@ function appGraphqlSchema(schema) {
 
     for (const [tableName, tableConfig] of Object.entries(schema)) {
         const attributes = tableConfig.attributes;
+        const graphqlTypes = tableConfig.graphql_types || {};
 
-        // Create object with field types
+        // Create object with field types, where graphql_types declares the type of attributes such as lists of ids
         const fieldTypes = {};
         for (const [attrName, attrType] of Object.entries(attributes)) {
-            fieldTypes[attrName] = convertDynamodbTypeToGraphql(attrType);
+            fieldTypes[attrName] = graphqlTypes[attrName] || convertDynamodbTypeToGraphql(attrType);
         }
 
         // Check if fields are used as hash key or sort key
@@ -107,6 +109,10 @@ function appGraphqlSchema(schema) {
             const child = tableConfig.child;
             graphqlSchema += `    ${child}s: [${child.charAt(0).toUpperCase() + child.slice(1)}]\n`;
         } catch (error) { }
+        try {
+            const parent = tableConfig.parent;
+            graphqlSchema += `    ${parent}: ${parent.charAt(0).toUpperCase() + parent.slice(1)}\n`;
+        } catch (error) { }
         graphqlSchema += '}\n\n';
     }
 
@@ -28,6 +28,7 @@ def app_dynamodb_config(config):
             except KeyError:
                 pass
         schema = clean_index_schema(schema)
+        schema.pop("graphql_types", None)
         schema["table_name"] = f"{key}-{application_name}"
 
     return crud_config
@@ -63,12 +64,13 @@ def app_graphql_schema(schema):
 
     for table_name, table_config in schema.items():
         attributes = table_config["attributes"]
+        graphql_types = table_config.get("graphql_types", {})
 
-        # Create object with field types
+        # Create object with field types, where graphql_types declares the type of attributes such as lists of ids
         field_types = {}
         for attr_name, attr_type in attributes.items():
-            field_types[attr_name] = convert_dynamodb_type_to_graphql(
-                attr_type)
+            field_types[attr_name] = graphql_types.get(
+                attr_name) or convert_dynamodb_type_to_graphql(attr_type)
 
         # Check if fields are used as hash key or sort key
         hash_key = table_config.get("hash_key")
@@ -97,6 +99,11 @@ def app_graphql_schema(schema):
             graphql_schema += f"    {child}s: [{child.capitalize()}]\n"
         except KeyError:
             pass
+        try:
+            parent = table_config["parent"]
+            graphql_schema += f"    {parent}: {parent.capitalize()}\n"
+        except KeyError:
+            pass
         graphql_schema += "}\n\n"
 
     return graphql_schema
@@ -0,0 +1,33 @@
+import { GraphQLError } from 'graphql';
+
+// Root fields that can be read without signing in. A share link grants access by itself, so its token is all it needs
+export const PUBLIC_FIELDS = ['sharedLink', '__typename'];
+
+/**
+ * Rejects requests without a user, unless they only read public fields.
+ *
+ * The context of a request without an access token has no user. Such a request is only accepted once its operation is
+ * known to be a query of public fields, so that no other resolver runs without a user.
+ */
+export const anonymousAccessPlugin = {
+    async requestDidStart() {
+        return {
+            async didResolveOperation({ contextValue, operation }) {
+                if (contextValue.user) {
+                    return;
+                }
+
+                const isPublic = operation.operation === 'query' && operation.selectionSet.selections
+                    .every((selection) => selection.kind === 'Field' && PUBLIC_FIELDS.includes(selection.name.value));
+                if (!isPublic) {
+                    throw new GraphQLError('Authorization header not present or malformed', {
+                        extensions: {
+                            code: 'UNAUTHENTICATED',
+                            http: { status: 401 },
+                        },
+                    });
+                }
+            },
+        };
+    },
+};
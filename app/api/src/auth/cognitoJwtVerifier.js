@@ -0,0 +1,202 @@
+import { createPublicKey, verify } from 'crypto';
+
+/**
+ * Thrown when a token is malformed, has an invalid signature, or its claims are not accepted.
+ * Other errors, such as failing to fetch the signing keys, say nothing about the token itself.
+ */
+export class TokenVerificationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TokenVerificationError';
+    }
+}
+
+const fetchJwksFromUrl = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Unable to fetch JWKS from ${url}: ${response.status} ${response.statusText}`);
+    }
+    return await response.json();
+}
+
+/**
+ * Verifies Cognito access and ID tokens locally, against the signing keys of the user pool.
+ *
+ * The keys are fetched from the user pool's JWKS endpoint and cached. A token signed with a key that is not cached
+ * refreshes the cache, at most once every minRefreshSeconds, so that tokens with made up key ids cannot flood the
+ * endpoint. When a refresh fails, the keys already cached keep being used.
+ */
+export class CognitoJwtVerifier {
+    /**
+     * @param {Object} options - Verifier options.
+     * @param {string} options.region - The region of the user pool.
+     * @param {string} options.userPoolId - The id of the user pool that issues the tokens.
+     * @param {string[]} options.clientIds - The app client ids tokens may be issued to.
+     * @param {string[]} [options.tokenUse=['access', 'id']] - The token types that are accepted.
+     * @param {Function} [options.fetchJwks] - Resolves a JWKS URL to its key set. Fetches the URL by default.
+     * @param {number} [options.cacheSeconds=3600] - How long fetched keys are used before they are fetched again.
+     * @param {number} [options.minRefreshSeconds=60] - The minimum time between two fetches of the keys.
+     * @param {number} [options.clockToleranceSeconds=0] - The clock skew allowed when checking the expiry.
+     */
+    constructor({ region, userPoolId, clientIds, tokenUse = ['access', 'id'], fetchJwks = fetchJwksFromUrl, cacheSeconds = 3600, minRefreshSeconds = 60, clockToleranceSeconds = 0 }) {
+        this.region = region;
+        this.userPoolId = userPoolId;
+        this.clientIds = clientIds || [];
+        this.tokenUse = tokenUse;
+        this.fetchJwks = fetchJwks;
+        this.cacheSeconds = cacheSeconds;
+        this.minRefreshSeconds = minRefreshSeconds;
+        this.clockToleranceSeconds = clockToleranceSeconds;
+        this.issuer = `https://cognito-idp.${region}.amazonaws.com/${userPoolId}`;
+        this.keys = new Map();
+        this.fetchedAt = null;
+        this.pendingFetch = null;
+    }
+
+    /**
+     * Fetches the signing keys, sharing a fetch already in progress.
+     * @returns {Promise<void>}
+     */
+    async refreshKeys() {
+        if (!this.pendingFetch) {
+            this.pendingFetch = (async () => {
+                try {
+                    const { keys } = await this.fetchJwks(`${this.issuer}/.well-known/jwks.json`);
+                    this.keys = new Map(keys
+                        .filter(({ kty, use }) => kty === 'RSA' && (!use || use === 'sig'))
+                        .map((jwk) => [jwk.kid, createPublicKey({ key: jwk, format: 'jwk' })]));
+                } finally {
+                    // A failed fetch also counts, so that it is not retried on every request
+                    this.fetchedAt = Date.now();
+                    this.pendingFetch = null;
+                }
+            })();
+        }
+        await this.pendingFetch;
+    }
+
+    /**
+     * Returns the signing key with the given key id.
+     * @param {string} kid - The key id from the token header.
+     * @returns {Promise<KeyObject>} - The public key.
+     * @throws {TokenVerificationError} - If the user pool has no key with this id.
+     */
+    async getKey(kid) {
+        const age = this.fetchedAt === null ? Infinity : (Date.now() - this.fetchedAt) / 1000;
+        const stale = age >= this.cacheSeconds;
+        const unknown = !this.keys.has(kid) && age >= this.minRefreshSeconds;
+
+        if (stale || unknown) {
+            try {
+                await this.refreshKeys();
+            } catch (error) {
+                if (!this.keys.has(kid)) {
+                    throw error;
+                }
+                console.error('Unable to refresh JWKS, using the cached keys:', error);
+            }
+        }
+
+        if (!this.keys.has(kid)) {
+            throw new TokenVerificationError(`Token is signed with an unknown key ${kid}`);
+        }
+        return this.keys.get(kid);
+    }
+
+    /**
+     * Verifies a token and returns its claims.
+     * @param {string} token - The encoded token.
+     * @returns {Promise<Object>} - The claims of the token.
+     * @throws {TokenVerificationError} - If the token is not valid for this user pool and its app clients.
+     * @throws {Error} - If the verifier is not configured, or the signing keys cannot be fetched.
+     */
+    async verify(token) {
+        if (!this.region || !this.userPoolId || this.clientIds.length === 0) {
+            throw new Error('Token verification requires the region, user pool id and app client ids of the user pool');
+        }
+
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3) {
+            throw new TokenVerificationError('Token is malformed');
+        }
+
+        let header, claims;
+        try {
+            header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf-8'));
+            claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8'));
+        } catch (error) {
+            throw new TokenVerificationError('Token is malformed');
+        }
+
+        if (header.alg !== 'RS256') {
+            throw new TokenVerificationError(`Token algorithm ${header.alg} is not supported`);
+        }
+
+        const key = await this.getKey(header.kid);
+        if (!verify('RSA-SHA256', Buffer.from(`${parts[0]}.${parts[1]}`), key, Buffer.from(parts[2], 'base64url'))) {
+            throw new TokenVerificationError('Token signature is invalid');
+        }
+
+        if (claims.iss !== this.issuer) {
+            throw new TokenVerificationError(`Token issuer ${claims.iss} is not accepted`);
+        }
+
+        if (!this.tokenUse.includes(claims.token_use)) {
+            throw new TokenVerificationError(`Token use ${claims.token_use} is not accepted`);
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (typeof claims.exp !== 'number' || claims.exp + this.clockToleranceSeconds <= now) {
+            throw new TokenVerificationError('Token has expired');
+        }
+
+        // ID tokens name their app client as the audience, access tokens in client_id
+        const clientId = claims.token_use === 'id' ? claims.aud : claims.client_id;
+        if (!this.clientIds.includes(clientId)) {
+            throw new TokenVerificationError(`Token was issued to app client ${clientId}, which is not accepted`);
+        }
+
+        return claims;
+    }
+}
+
+const parseLabels = (value) => {
+    try {
+        return value ? JSON.parse(value) : undefined;
+    } catch (error) {
+        console.error('Ignoring malformed custom:labels attribute:', error);
+        return undefined;
+    }
+}
+
+/**
+ * Builds the user of the context from verified token claims. Only ID tokens carry user attributes such as labels.
+ * @param {Object} claims - The claims of a verified token.
+ * @returns {Object} - The user, with its id, labels and groups.
+ */
+export const userFromClaims = (claims) => {
+    const user = { userId: claims.sub, groups: claims['cognito:groups'] || [] };
+    if (claims.email) {
+        user.email = claims.email;
+    }
+    if (claims['custom:labels']) {
+        user.labels = parseLabels(claims['custom:labels']);
+    }
+    return user;
+}
+
+/**
+ * Builds the user of the context from the attributes returned by Cognito GetUser.
+ * @param {Array<{Name: string, Value: string}>} attributes - The user attributes.
+ * @param {Object} claims - The claims of the token GetUser accepted, which hold the user's groups.
+ * @returns {Object} - The user, with its id, labels and groups.
+ */
+export const userFromAttributes = (attributes, claims) => {
+    const user = attributes.reduce((result, { Name, Value }) => {
+        const key = Name === 'sub' ? 'userId' : (Name === 'custom:labels' ? 'labels' : Name);
+        result[key] = Name === 'custom:labels' ? parseLabels(Value) : Value;
+        return result;
+    }, {});
+    user.groups = claims['cognito:groups'] || [];
+    return user;
+}
@@ -0,0 +1,96 @@
+import { readFileSync } from 'fs';
+import { ApolloServer } from '@apollo/server';
+import { startStandaloneServer } from '@apollo/server/standalone';
+import { GraphQLError } from 'graphql';
+import DynamoDBModel from './models/DynamoDBModel.js'
+import InMemoryDynamoDBClient from './local/InMemoryDynamoDBClient.js'
+import LocalFileSystemS3Client from './local/LocalFileSystemS3Client.js'
+import { createLoaders } from './loaders/loaders.js'
+import { anonymousAccessPlugin } from './auth/anonymousAccess.js'
+import { generateTypeDefsAndResolvers } from './generator.js'
+import { processJobs } from './jobs/processJobs.js'
+
+/**
+ * Runs the API locally, without an AWS account: `npm run dev` from app/api.
+ *
+ * The schema and resolvers are read from the sources on start, so serverargs.js does not need to be built. Tables are
+ * kept in memory and start empty on every start, and the bucket is a directory. Requests are authenticated with a fake
+ * bearer token, which maps to a single test user. Every setting can be changed through the environment:
+ *   DEV_PORT          - The port to listen on (4000).
+ *   DEV_BUCKET_DIR    - The directory holding the local buckets (.local/s3).
+ *   DEV_TOKEN         - The bearer token accepted for the test user (dev-token).
+ *   DEV_USER_ID       - The id of the test user (dev-user).
+ *   DEV_USER_GROUPS   - The comma separated Cognito groups of the test user (user).
+ *   DEV_USER_LABELS   - The custom:labels attribute of the test user, as JSON (none).
+ *   DEV_JOB_INTERVAL  - How often the job worker looks for due jobs, in seconds (5).
+ *
+ * Jobs run in the same process, instead of in the scheduled worker Lambda. Outside production, ffmpeg and ffprobe read
+ * videos from the path or URL passed as the key of createVideo, which snippets are cut from, so ffmpeg must be installed.
+ */
+const config = JSON.parse(readFileSync(new URL('./app_config.json', import.meta.url), 'utf-8'))
+const model = new DynamoDBModel(config.dynamodb, InMemoryDynamoDBClient.fromConfigFile())
+const s3Client = new LocalFileSystemS3Client(process.env.DEV_BUCKET_DIR || '.local/s3')
+
+const devToken = process.env.DEV_TOKEN || 'dev-token'
+const devUser = {
+    userId: process.env.DEV_USER_ID || 'dev-user',
+    groups: (process.env.DEV_USER_GROUPS || 'user').split(',').map((group) => group.trim()).filter(Boolean),
+    labels: process.env.DEV_USER_LABELS ? JSON.parse(process.env.DEV_USER_LABELS) : undefined,
+}
+
+const { typeDefs, resolvers } = await generateTypeDefsAndResolvers(['./src/schema', './src/resolvers'])
+const server = new ApolloServer({ typeDefs, resolvers, plugins: [anonymousAccessPlugin] });
+
+const { url } = await startStandaloneServer(server, {
+    listen: { port: Number(process.env.DEV_PORT || 4000) },
+    context: async ({ req }) => {
+        const { authorization } = req.headers;
+        if (authorization && authorization !== `Bearer ${devToken}`) {
+            throw new GraphQLError('User is not authenticated', {
+                extensions: {
+                    code: 'UNAUTHENTICATED',
+                    http: { status: 401 },
+                },
+            });
+        }
+
+        // As in production, requests without a token can only open share links
+        const user = authorization ? devUser : null
+        return {
+            user,
+            production: false,
+            models: {
+                DynamoDB: model,
+            },
+            clients: {
+                S3: s3Client,
+            },
+            loaders: createLoaders(model, user ? user.userId : null),
+            config: {
+                S3DataBucket: config.s3.data_bucket.name
+            }
+        };
+    },
+})
+
+console.log(`API running at ${url} for user ${devUser.userId}, with Authorization: Bearer ${devToken}`)
+
+
+// A run only starts once the previous one has finished, as a crop may take longer than the interval
+let processingJobs = false
+setInterval(async () => {
+    if (processingJobs) {
+        return;
+    }
+    processingJobs = true
+    try {
+        const summary = await processJobs({ model, s3Client, bucket: config.s3.data_bucket.name, production: false })
+        if (Object.values(summary).some((count) => count > 0)) {
+            console.log('Processed jobs:', JSON.stringify(summary))
+        }
+    } catch (error) {
+        console.error('Unable to process jobs:', error)
+    } finally {
+        processingJobs = false
+    }
+}, Number(process.env.DEV_JOB_INTERVAL || 5) * 1000)
\ No newline at end of file
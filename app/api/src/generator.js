@@ -1,6 +1,7 @@
 import fs from 'fs';
-import { join } from 'path';
+import { dirname, join, relative, sep } from 'path';
 import { mergeTypeDefs, mergeResolvers } from '@graphql-tools/merge';
+import { requireRole } from './resolvers/functions.js';
 
 function objectToConstant(obj, indentLevel = 0) {
     const indent = ' '.repeat(indentLevel * 2);
@@ -27,6 +28,45 @@ function objectToConstant(obj, indentLevel = 0) {
 }
 
 
+function getRequiredRole(node) {
+    const directive = (node.directives || []).find(({ name }) => name.value === 'auth');
+    if (!directive) {
+        return null;
+    }
+
+    const requires = (directive.arguments || []).find(({ name }) => name.value === 'requires');
+    return requires ? requires.value.value : 'USER';
+}
+
+// Wraps the resolvers of fields marked with @auth, or of every field of a type marked with it, in a role check.
+// Fields without a resolver of their own get one that reads the field from the parent, as the default resolver would.
+function applyAuthDirectives(typeDefs, resolvers) {
+    typeDefs.definitions.forEach((definition) => {
+        if (definition.kind !== 'ObjectTypeDefinition' && definition.kind !== 'ObjectTypeExtension') {
+            return;
+        }
+
+        const typeName = definition.name.value;
+        const typeRole = getRequiredRole(definition);
+        (definition.fields || []).forEach((field) => {
+            const role = getRequiredRole(field) || typeRole;
+            if (!role) {
+                return;
+            }
+
+            resolvers[typeName] = resolvers[typeName] || {};
+            const resolve = resolvers[typeName][field.name.value] || ((parent, _, __, info) => parent[info.fieldName]);
+            const wrapped = requireRole(role, resolve);
+
+            // serverargs.js is written from the source of each resolver, so the wrapper is written as the call that creates it
+            wrapped.toString = () => `requireRole(${JSON.stringify(role)}, ${resolve.toString()})`;
+            resolvers[typeName][field.name.value] = wrapped;
+        });
+    });
+
+    return resolvers;
+}
+
 export const generateTypeDefsAndResolvers = async (folderPaths) => {
     const typeDefs = [];
     const resolvers = [];
@@ -61,7 +101,8 @@ export const generateTypeDefsAndResolvers = async (folderPaths) => {
         }
     }
 
-    return { typeDefs: mergeTypeDefs(typeDefs), resolvers: mergeResolvers(resolvers) };
+    const mergedTypeDefs = mergeTypeDefs(typeDefs);
+    return { typeDefs: mergedTypeDefs, resolvers: applyAuthDirectives(mergedTypeDefs, mergeResolvers(resolvers)) };
 };
 
 export const generateServerArgsFile = async (folderPaths) => {
@@ -86,7 +127,9 @@ export const generateServerArgsFile = async (folderPaths) => {
 
                 if (content.name.endsWith('functions.js')) {
                     const functions = await import(`../${contentPath}`)
-                    const imports = fs.readFileSync(contentPath, 'utf8').match(/^import.*?['"];/gm) || [];
+                    // serverargs.js is written to src, so relative imports are rebased from the folder of the functions onto it
+                    const imports = (fs.readFileSync(contentPath, 'utf8').match(/^import.*?['"];/gm) || []).map((line) => line.replace(/(['"])(\.{1,2}\/[^'"]*)\1;$/,
+                        (_, quote, specifier) => `${quote}./${relative('src', join(dirname(contentPath), specifier)).split(sep).join('/')}${quote};`));
                     resolver_function_imports = Array.from(new Set([...imports, ...resolver_function_imports]))
                     Object.entries(functions).map(
                         (fn) => {
@@ -114,11 +157,11 @@ export const generateServerArgsFile = async (folderPaths) => {
     }
 
     // Convert the object to a string representation using JSON.stringify with the custom replacer
-    const resolverString = objectToConstant(mergeResolvers(resolvers))
+    const mergedTypeDefs = mergeTypeDefs(typeDefs);
+    const mergedResolvers = applyAuthDirectives(mergedTypeDefs, mergeResolvers(resolvers));
+    const resolverString = objectToConstant(mergedResolvers)
     const serverArgsContent = `${resolver_function_imports.join('\n')}
 
-const s3Client = new S3Client();
-
 ${resolver_functions.join('\n\n')}\n\nconst typeDefs = \`${typeDefs.join('\n\n')}\`;\n\nconst resolvers = ${resolverString}\n\nconst ServerArgs = {typeDefs, resolvers}\n\nexport default ServerArgs`
 
     fs.writeFile('src/serverargs.js', serverArgsContent, (err) => {
@@ -130,5 +173,5 @@ ${resolver_functions.join('\n\n')}\n\nconst typeDefs = \`${typeDefs.join('\n\n')
     });
 
 
-    return { typeDefs: mergeTypeDefs(typeDefs), resolvers: mergeResolvers(resolvers) };
+    return { typeDefs: mergedTypeDefs, resolvers: mergedResolvers };
 };
\ No newline at end of file
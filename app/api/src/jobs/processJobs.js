@@ -0,0 +1,287 @@
+import { extname } from 'path';
+import { cropVideoHandler, createThumbnailHandler, transcodeHlsHandler, exportHighlightReelHandler, createJobItem, hlsPrefixFor, getVideoMetadata } from '../resolvers/functions.js';
+
+// Finished jobs are kept for a week, so that clients can still read their outcome
+const FINISHED_RETENTION_SECONDS = 7 * 24 * 60 * 60
+
+// A failed attempt is retried after 30 seconds, then after 60, 120 and so on
+const RETRY_BASE_DELAY_SECONDS = 30
+
+// Progress is written at most this often, as every write costs a write unit
+const PROGRESS_INTERVAL_SECONDS = 5
+
+const isConditionalCheckFailed = (error) => error.name === 'ConditionalCheckFailedException';
+
+/**
+ * Runs the job types the mutations enqueue. Each handler receives the claimed job, and reports progress in percent.
+ * A handler resolves to the status the job finishes with, SUCCEEDED unless the job is no longer needed.
+ */
+const jobHandlers = {
+    crop: async (job, { model, s3Client, bucket, production, onProgress }) => {
+        // A snippet only runs its latest job, as an update that changes its times supersedes the earlier crop
+        const snippet = await model.getItem("snippet", { key: { userId: job.userId, id: job.entityId } }, true);
+        if (!snippet || snippet.deletedAt || snippet.jobId !== job.id) {
+            return "CANCELLED";
+        }
+
+        // The thumbnail time chosen for a longer clip falls back to its first frame
+        const { inputSource, outputKey, startTime, endTime, output } = job.input;
+        const thumbnailTime = snippet.thumbnailTime < endTime - startTime ? snippet.thumbnailTime : 0;
+        await cropVideoHandler({ s3Client, production, inputSource, localOutputPath: `/tmp/${job.id}${extname(outputKey)}`, dataBucket: bucket, outputKey, startTime, endTime, output, thumbnailKey: snippet.thumbnailKey, thumbnailTime, onProgress });
+        return "SUCCEEDED";
+    },
+    thumbnail: async (job, { model, s3Client, bucket, production }) => {
+        // A later regenerateThumbnail, or a re-trim that moves the clip, supersedes the job
+        const item = await model.getItem(job.entityType, { key: { userId: job.userId, id: job.entityId } }, true);
+        const { outputKey, atTime } = job.input;
+        if (!item || item.deletedAt || item.thumbnailKey !== outputKey || item.thumbnailTime !== atTime) {
+            return "CANCELLED";
+        }
+
+        // Snippets are taken from their clip, videos from the uploaded file
+        await createThumbnailHandler({ s3Client, production, inputSource: item.key, localOutputPath: `/tmp/${job.id}.jpg`, dataBucket: bucket, outputKey, atTime });
+        return "SUCCEEDED";
+    },
+    probe: async (job, { model, s3Client, bucket, production }) => {
+        const video = await model.getItem("video", { key: { userId: job.userId, id: job.entityId } }, true);
+        if (!video || video.deletedAt || video.probeJobId !== job.id) {
+            return "CANCELLED";
+        }
+
+        // A file that is not a video fails the job, which the video then reports as its metadataStatus
+        const metadata = await getVideoMetadata({ s3Client, production, dataBucket: bucket, key: video.key });
+        try {
+            await model.updateItem("video", {
+                key: { userId: job.userId, id: video.id },
+                updates: metadata,
+                other_params: {
+                    ConditionExpression: "#probeJobId = :jobId AND attribute_not_exists(#deletedAt)",
+                    ExpressionAttributeNames: { "#probeJobId": "probeJobId", "#deletedAt": "deletedAt" },
+                    ExpressionAttributeValues: { ":jobId": job.id },
+                    ReturnValues: "NONE"
+                }
+            }, true);
+        } catch (error) {
+            // The video was trashed while it was probed, and is left to the purge
+            if (isConditionalCheckFailed(error)) {
+                return "CANCELLED";
+            }
+            throw error;
+        }
+        return "SUCCEEDED";
+    },
+    hls: async (job, { model, s3Client, bucket, production, onProgress }) => {
+        const video = await model.getItem("video", { key: { userId: job.userId, id: job.entityId } }, true);
+        if (!video || video.deletedAt || video.hlsJobId !== job.id) {
+            return "CANCELLED";
+        }
+
+        await transcodeHlsHandler({ s3Client, production, inputSource: video.key, localOutputDir: `/tmp/${job.id}`, dataBucket: bucket, outputPrefix: job.input.outputPrefix, onProgress });
+        return "SUCCEEDED";
+    },
+    reel: async (job, { model, s3Client, bucket, production, onProgress }) => {
+        const video = await model.getItem("video", { key: { userId: job.userId, id: job.entityId } }, true);
+        if (!video || video.deletedAt || video.jobId !== job.id) {
+            return "CANCELLED";
+        }
+
+        const { segments, outputKey, transition } = job.input;
+        const metadata = await exportHighlightReelHandler({ s3Client, production, segments, localOutputPath: `/tmp/${job.id}.mp4`, dataBucket: bucket, outputKey, transition, thumbnailKey: video.thumbnailKey, thumbnailTime: video.thumbnailTime, onProgress });
+
+        // Once the reel exists, it is described and transcoded like an uploaded video
+        const hlsJob = createJobItem(job.userId, { type: "hls", entityType: "video", entityId: video.id, input: { outputPrefix: hlsPrefixFor(outputKey) } });
+        try {
+            await model.transactWrite({
+                transact_items: [
+                    {
+                        update: {
+                            table: "video",
+                            key: { userId: job.userId, id: video.id },
+                            updates: { ...metadata, hlsJobId: hlsJob.id, playbackManifestKey: `${hlsPrefixFor(outputKey)}/master.m3u8` },
+                            other_params: {
+                                ConditionExpression: "#jobId = :jobId AND attribute_not_exists(#deletedAt)",
+                                ExpressionAttributeNames: { "#jobId": "jobId", "#deletedAt": "deletedAt" },
+                                ExpressionAttributeValues: { ":jobId": job.id }
+                            }
+                        }
+                    },
+                    { put: { table: "job", item: hlsJob } }
+                ]
+            });
+        } catch (error) {
+            // The reel was trashed while it was encoded, and is left to the purge
+            if (error.name === 'TransactionCanceledException') {
+                return "CANCELLED";
+            }
+            throw error;
+        }
+        return "SUCCEEDED";
+    },
+};
+
+/**
+ * Lists the jobs that can run now: pending jobs that are due, and running jobs whose worker stopped before its lease expired.
+ * @param {DynamoDBModel} model - The model used to query the job table.
+ * @param {number} now - The current time, in seconds since the epoch.
+ * @returns {Promise<Object[]>} - The jobs, in the order they became due.
+ */
+const findRunnableJobs = async (model, now) => {
+    const jobs = [];
+    for (const status of ["PENDING", "RUNNING"]) {
+        const queryParams = {
+            index_name: "status-runAfter",
+            hash_key: status,
+            range_key: { operation: "le", value: now }
+        };
+        for await (const job of model.queryAll("job", queryParams, true)) {
+            jobs.push(job);
+        }
+    }
+    return jobs.sort((a, b) => a.runAfter - b.runAfter);
+}
+
+/**
+ * Claims a job for this worker, so that no other worker runs it until the lease expires.
+ * @param {DynamoDBModel} model - The model used to update the job.
+ * @param {Object} job - The job, as read from the status-runAfter index.
+ * @param {number} leaseUntil - The time the lease expires, in seconds since the epoch.
+ * @returns {Promise<Object|null>} - The claimed job, or null if another worker claimed or finished it first.
+ */
+const claimJob = async (model, job, leaseUntil) => {
+    try {
+        // The index is read eventually consistently, so the version check is what makes the claim exclusive
+        return await model.updateItem("job", {
+            key: { userId: job.userId, id: job.id },
+            updates: { status: "RUNNING", runAfter: leaseUntil, attempts: (job.attempts || 0) + 1, updatedAt: Math.floor(Date.now() / 1000) },
+            version: job.version
+        }, true);
+    } catch (error) {
+        if (isConditionalCheckFailed(error)) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Updates a job this worker holds the lease of.
+ * @param {DynamoDBModel} model - The model used to update the job.
+ * @param {Object} job - The claimed job.
+ * @param {Object} updates - The attributes to update.
+ * @returns {Promise<boolean>} - false if the lease was lost, because the job ran past it and another worker claimed it.
+ */
+const updateClaimedJob = async (model, job, updates) => {
+    try {
+        await model.updateItem("job", {
+            key: { userId: job.userId, id: job.id },
+            updates: { ...updates, updatedAt: Math.floor(Date.now() / 1000) },
+            other_params: {
+                ConditionExpression: "#status = :running AND #runAfter = :leaseUntil",
+                ExpressionAttributeNames: { "#status": "status", "#runAfter": "runAfter" },
+                ExpressionAttributeValues: { ":running": "RUNNING", ":leaseUntil": job.runAfter },
+                ReturnValues: "NONE"
+            }
+        }, true);
+        return true;
+    } catch (error) {
+        if (isConditionalCheckFailed(error)) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Runs a claimed job, and records its outcome. A failed attempt is retried later with an increasing delay, until the job
+ * has been attempted maxAttempts times, after which it fails with the error of its last attempt.
+ * @param {Object} job - The claimed job.
+ * @param {Object} jobParams - The parameters passed to processJobs.
+ * @returns {Promise<string>} - The status the job was left in.
+ */
+const runJob = async (job, { model, ...handlerParams }) => {
+    let lastProgressAt = 0;
+    const onProgress = (percent) => {
+        const now = Date.now() / 1000;
+        if (now - lastProgressAt >= PROGRESS_INTERVAL_SECONDS) {
+            lastProgressAt = now;
+            // Progress is informational, so a failed write does not fail the job
+            updateClaimedJob(model, job, { progress: Math.min(99, Math.max(0, Math.floor(percent))) })
+                .catch((error) => console.error(`Unable to record the progress of job ${job.id}:`, error));
+        }
+    };
+
+    // A job reclaimed after its last attempt ran past the lease is not attempted again
+    if (job.attempts > (job.maxAttempts || 1)) {
+        const updates = { status: "FAILED", error: job.error || "The job did not finish in time", finishedAt: Math.floor(Date.now() / 1000) };
+        return await updateClaimedJob(model, job, updates) ? "FAILED" : "LEASE_LOST";
+    }
+
+    let status, error;
+    try {
+        const handler = jobHandlers[job.type];
+        if (!handler) {
+            throw new Error(`Unknown job type "${job.type}"`);
+        }
+        status = await handler(job, { model, ...handlerParams, onProgress });
+    } catch (handlerError) {
+        console.error(`Job ${job.id} failed on attempt ${job.attempts}:`, handlerError);
+        error = handlerError.message || String(handlerError);
+        status = job.attempts >= (job.maxAttempts || 1) ? "FAILED" : "PENDING";
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    let updates;
+    if (status === "PENDING") {
+        updates = { status, error, runAfter: now + RETRY_BASE_DELAY_SECONDS * 2 ** (job.attempts - 1) };
+    } else if (status === "FAILED") {
+        // Failed jobs are kept, so that the snippet keeps reporting the failure
+        updates = { status, error, finishedAt: now };
+    } else {
+        updates = { status, finishedAt: now, expiresAt: now + FINISHED_RETENTION_SECONDS, $remove: ["error"] };
+        if (status === "SUCCEEDED") {
+            updates.progress = 100;
+        }
+    }
+
+    if (!await updateClaimedJob(model, job, updates)) {
+        console.error(`Job ${job.id} ran past its lease, its outcome is left to the worker that claimed it next`);
+        return "LEASE_LOST";
+    }
+    return status;
+}
+
+/**
+ * Runs the jobs that are due, one at a time, until none are left or the time runs out.
+ *
+ * Jobs are claimed with a lease as long as the longest job may run. A job whose worker stops, e.g. because its Lambda
+ * timed out, is picked up again once its lease expires, and counts as a failed attempt.
+ * @param {Object} jobParams - Parameters for the run.
+ * @param {DynamoDBModel} jobParams.model - The model used to read and update the jobs and their items.
+ * @param {S3Client} jobParams.s3Client - The client used to read and write the video files.
+ * @param {string} jobParams.bucket - The data bucket holding the video and snippet files.
+ * @param {boolean} [jobParams.production=true] - Whether the input files are read from the bucket, rather than from a local path or URL.
+ * @param {number} [jobParams.deadline] - The time no job is started after, in milliseconds since the epoch.
+ * @param {number} [jobParams.leaseSeconds=900] - How long a claimed job is held before another worker may run it.
+ * @returns {Promise<{succeeded: number, retried: number, failed: number, cancelled: number, skipped: number}>} - The number of jobs per outcome. Jobs claimed by another worker, or whose lease was lost, are skipped.
+ */
+export const processJobs = async ({ model, s3Client, bucket, production = true, deadline = Infinity, leaseSeconds = 900 }) => {
+    const summary = { succeeded: 0, retried: 0, failed: 0, cancelled: 0, skipped: 0 };
+    const outcomes = { SUCCEEDED: "succeeded", PENDING: "retried", FAILED: "failed", CANCELLED: "cancelled", LEASE_LOST: "skipped" };
+
+    for (const candidate of await findRunnableJobs(model, Math.floor(Date.now() / 1000))) {
+        if (Date.now() >= deadline) {
+            break;
+        }
+
+        const job = await claimJob(model, candidate, Math.floor(Date.now() / 1000) + leaseSeconds);
+        if (!job) {
+            summary.skipped += 1;
+            continue;
+        }
+
+        const status = await runJob(job, { model, s3Client, bucket, production });
+        summary[outcomes[status]] += 1;
+    }
+
+    return summary;
+};
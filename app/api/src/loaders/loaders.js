@@ -0,0 +1,141 @@
+import { GraphQLError } from 'graphql';
+
+/**
+ * Batches and caches lookups made while a single request is resolved.
+ *
+ * Every key loaded in the same tick is passed to one call of the batch function, and a key is only fetched once per
+ * loader. A loader is therefore created for each request, so that no request sees the items cached by another.
+ */
+export class BatchLoader {
+    /**
+     * @param {Function} batchFunction - Receives the unique keys of a batch and resolves to their values, in the same order.
+     * @param {Object} [options] - Loader options.
+     * @param {number} [options.maxBatchSize=100] - The maximum number of keys passed to one call of the batch function.
+     */
+    constructor(batchFunction, { maxBatchSize = 100 } = {}) {
+        this.batchFunction = batchFunction;
+        this.maxBatchSize = maxBatchSize;
+        this.cache = new Map();
+        this.queue = [];
+    }
+
+    /**
+     * Loads the value of a key, batched with the other keys loaded in the same tick.
+     * @param {string} key - The key to load.
+     * @returns {Promise<*>} - The value of the key.
+     */
+    load(key) {
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            this.queue.push({ key, resolve, reject });
+            if (this.queue.length === 1) {
+                // Resolvers of sibling fields run after the current promise jobs, so the batch waits for the next tick
+                process.nextTick(() => this.dispatch());
+            }
+        });
+        this.cache.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Removes a key from the cache, so that it is fetched again on the next load.
+     * @param {string} key - The key to remove.
+     */
+    clear(key) {
+        this.cache.delete(key);
+    }
+
+    dispatch() {
+        const queue = this.queue;
+        this.queue = [];
+
+        for (let index = 0; index < queue.length; index += this.maxBatchSize) {
+            const batch = queue.slice(index, index + this.maxBatchSize);
+            this.batchFunction(batch.map(({ key }) => key))
+                .then((values) => {
+                    if (!Array.isArray(values) || values.length !== batch.length) {
+                        throw new Error(`The batch function must resolve to an array of ${batch.length} values.`);
+                    }
+                    batch.forEach(({ resolve }, position) => resolve(values[position]));
+                })
+                .catch((error) => {
+                    // Failed keys are not cached, so that a later load can retry them
+                    batch.forEach(({ key, reject }) => {
+                        this.cache.delete(key);
+                        reject(error);
+                    });
+                });
+        }
+    }
+}
+
+/**
+ * Creates the loaders of a request, scoped to the user making it. Items shared with the user are read through the
+ * loaders of their owner, which forUser returns.
+ * @param {DynamoDBModel} model - The model used to read the items.
+ * @param {string|null} userId - The id of the user making the request, or null for a request without a user. Such a
+ * request has no items of its own, so its loaders reject with an UNAUTHENTICATED error, and only the loaders of the owner
+ * of a share link, returned by forUser, can read items.
+ * @returns {{videoById: BatchLoader, snippetById: BatchLoader, snippetsByVideoId: BatchLoader, labelById: BatchLoader, jobById: BatchLoader, forUser: Function}} - The loaders of the request.
+ */
+export const createLoaders = (model, userId) => {
+    const requireUser = () => {
+        if (!userId) {
+            throw new GraphQLError('User is not authenticated', {
+                extensions: {
+                    code: 'UNAUTHENTICATED',
+                    http: { status: 401 },
+                },
+            });
+        }
+    };
+
+    // Items are read in one BatchGetItem request per 100 ids
+    const byId = (table, other_params) => new BatchLoader(async (ids) => {
+        requireUser();
+        const response = await model.batchGetItem({ batch_items: { [table]: { get: ids.map((id) => ({ userId, id })) } }, other_params }, true);
+        const items = new Map(response[table].map((item) => [item.id, item]));
+        return ids.map((id) => items.get(id) || null);
+    });
+
+    const loaders = {
+        videoById: byId("video"),
+        snippetById: byId("snippet"),
+        labelById: byId("label"),
+        // A job is read right after the mutation that enqueued it, which an eventually consistent read may not see yet
+        jobById: byId("job", { ConsistentRead: true }),
+        // The videoId-id index has no batch read, so each unique video is queried once and the queries run concurrently
+        snippetsByVideoId: new BatchLoader(async (videoIds) => {
+            requireUser();
+            return await Promise.all(videoIds.map(async (videoId) => {
+                const snippets = [];
+                const queryParams = {
+                    index_name: 'videoId-id',
+                    hash_key: videoId,
+                    filter: { and: [{ path: "userId", op: "eq", value: userId }, { path: "deletedAt", op: "not_exists" }] }
+                };
+                for await (const snippet of model.queryAll("snippet", queryParams, true)) {
+                    snippets.push(snippet);
+                }
+                return snippets;
+            }));
+        }),
+    };
+
+    // Items shared with the user are read with the loaders of their owner, created once per owner
+    const ownerLoaders = new Map();
+    loaders.forUser = (ownerId) => {
+        if (!ownerId || ownerId === userId) {
+            return loaders;
+        }
+        if (!ownerLoaders.has(ownerId)) {
+            ownerLoaders.set(ownerId, createLoaders(model, ownerId));
+        }
+        return ownerLoaders.get(ownerId);
+    };
+
+    return loaders;
+}
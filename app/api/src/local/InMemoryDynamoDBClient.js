@@ -0,0 +1,575 @@
+import { readFileSync } from 'fs';
+import { createHash } from 'crypto';
+import {
+    createServiceError,
+    createExpressionContext,
+    assertAllUsed,
+    parseCondition,
+    parseUpdate,
+    parseProjection,
+    evaluateCondition,
+    flattenConjunction,
+    applyUpdate,
+    projectItem,
+    compareValues,
+    validateAttributeValue,
+} from './expressions.js';
+
+const MAX_ITEM_SIZE = 400 * 1024;
+const RETURN_VALUES = {
+    PutItem: ['NONE', 'ALL_OLD'],
+    DeleteItem: ['NONE', 'ALL_OLD'],
+    UpdateItem: ['NONE', 'ALL_OLD', 'UPDATED_OLD', 'ALL_NEW', 'UPDATED_NEW'],
+};
+
+const validationError = (message) => createServiceError('ValidationException', message);
+
+const conditionalCheckFailed = (oldItem, ReturnValuesOnConditionCheckFailure) => createServiceError(
+    'ConditionalCheckFailedException',
+    'The conditional request failed',
+    ReturnValuesOnConditionCheckFailure === 'ALL_OLD' && oldItem ? { Item: structuredClone(oldItem) } : {}
+);
+
+const response = (output = {}) => ({ $metadata: { httpStatusCode: 200 }, ...output });
+
+/**
+ * @classdesc An in-memory stand-in for the DynamoDBClient of the AWS SDK, implementing the send(command) surface used by DynamoDBModel.
+ *
+ * Tables, their key schemas and secondary indexes are created from the dynamodb section of app_config.json. Items are stored in
+ * DynamoDB attribute value format and every request is validated and evaluated like DynamoDB does, including condition, filter,
+ * key condition, update and projection expressions, Limit and ExclusiveStartKey pagination, and parallel scan segments.
+ * This makes it possible to run the resolvers and model end-to-end in tests and local development without an AWS account.
+ *
+ * Supported commands: PutItem, GetItem, UpdateItem, DeleteItem, Query, Scan, BatchGetItem, BatchWriteItem, TransactWriteItems and TransactGetItems.
+ * Reserved words, the 1 MB page size limit and capacity limits are not enforced, and batch requests never return unprocessed items.
+ *
+ * @example
+ * const dynamodbClient = InMemoryDynamoDBClient.fromConfigFile();
+ * const model = new DynamoDBModel(config.dynamodb, dynamodbClient);
+ */
+class InMemoryDynamoDBClient {
+    /**
+     * Create a new in-memory client with empty tables.
+     * @param {Object} config - The dynamodb section of app_config.json, mapping each table to its table_name, key attributes and indexes.
+     */
+    constructor(config) {
+        if (typeof config !== 'object' || config === null) {
+            throw new Error('Invalid config');
+        }
+
+        this.tables = {};
+        Object.values(config).forEach(({ table_name, hash_key, range_key, key_attributes = {}, indexes = {} }) => {
+            this.tables[table_name] = {
+                hash_key,
+                range_key,
+                key_attributes,
+                indexes,
+                items: new Map(),
+            };
+        });
+    }
+
+    /**
+     * Create a new in-memory client from the table definitions of an app_config.json file.
+     * @param {string|URL} [path] - The path to the config file. Defaults to the app_config.json generated next to the sources.
+     * @returns {InMemoryDynamoDBClient} - The client.
+     */
+    static fromConfigFile(path = new URL('../app_config.json', import.meta.url)) {
+        const { dynamodb } = JSON.parse(readFileSync(path, 'utf-8'));
+        return new InMemoryDynamoDBClient(dynamodb);
+    }
+
+    /**
+     * Removes all items from every table.
+     */
+    reset() {
+        Object.values(this.tables).forEach((table) => table.items.clear());
+    }
+
+    /**
+     * Present for compatibility with the AWS SDK clients, there are no resources to release.
+     */
+    destroy() { }
+
+    /**
+     * Executes a command of the AWS SDK DynamoDB client against the in-memory tables.
+     * @param {Object} command - The command, e.g. new GetItemCommand(params).
+     * @returns {Promise<Object>} - A promise that resolves to the command output, in the same format as DynamoDB.
+     * @throws {Error} - An error with the same name as the DynamoDB error, e.g. ValidationException or ConditionalCheckFailedException.
+     */
+    async send(command) {
+        const operation = command.constructor.name.replace(/Command$/, '');
+        const handler = this[`handle${operation}`];
+        if (typeof handler !== 'function') {
+            throw new Error(`Unsupported command "${command.constructor.name}".`);
+        }
+
+        // Requests and responses are copied so that neither the caller nor the tables can modify the other's items
+        const output = handler.call(this, structuredClone(command.input || {}));
+        return structuredClone(output);
+    }
+
+    getTable(TableName) {
+        const table = this.tables[TableName];
+        if (!table) {
+            throw createServiceError('ResourceNotFoundException', 'Requested resource not found');
+        }
+        return table;
+    }
+
+    getIndex(table, IndexName) {
+        const index = table.indexes[IndexName];
+        if (!index) {
+            throw validationError(`The table does not have the specified index: ${IndexName}`);
+        }
+        return index;
+    }
+
+    keyAttributes(table) {
+        return [table.hash_key, table.range_key].filter(Boolean);
+    }
+
+    itemKey(table, item) {
+        return JSON.stringify(this.keyAttributes(table).map((attribute) => item[attribute]));
+    }
+
+    validateKey(table, key) {
+        const attributes = this.keyAttributes(table);
+        if (typeof key !== 'object' || key === null || Object.keys(key).length !== attributes.length || attributes.some((attribute) => !key[attribute])) {
+            throw validationError('The provided key element does not match the schema');
+        }
+        this.validateKeyValues(table, key, attributes);
+    }
+
+    validateKeyValues(table, item, attributes) {
+        attributes.forEach((attribute) => {
+            const type = table.key_attributes[attribute] || 'S';
+            const value = item[attribute];
+            if (!value || value[type] === undefined || Object.keys(value).length !== 1) {
+                throw validationError(`One or more parameter values were invalid: Type mismatch for key ${attribute} expected: ${type} actual: ${value ? Object.keys(value)[0] : 'NULL'}`);
+            }
+            if (value[type] === '' || (type === 'B' && value.B.length === 0)) {
+                throw validationError(`One or more parameter values are not valid. The AttributeValue for a key attribute cannot contain an empty ${type === 'S' ? 'string' : 'binary'} value. Key: ${attribute}`);
+            }
+        });
+    }
+
+    validateItem(table, item) {
+        if (typeof item !== 'object' || item === null) {
+            throw validationError('One or more parameter values were invalid: Item is required');
+        }
+
+        const missing = this.keyAttributes(table).find((attribute) => item[attribute] === undefined);
+        if (missing) {
+            throw validationError(`One or more parameter values were invalid: Missing the key ${missing} in the item`);
+        }
+        this.validateKeyValues(table, item, this.keyAttributes(table));
+
+        // Index key attributes are optional, but must have the declared type when present
+        Object.values(table.indexes).forEach((index) => {
+            [index.hash_key, index.range_key].filter((attribute) => attribute && item[attribute] !== undefined).forEach((attribute) => {
+                this.validateKeyValues(table, item, [attribute]);
+            });
+        });
+
+        Object.entries(item).forEach(([name, value]) => validateAttributeValue(name, value));
+
+        if (Buffer.byteLength(JSON.stringify(item)) > MAX_ITEM_SIZE) {
+            throw validationError('Item size has exceeded the maximum allowed size');
+        }
+    }
+
+    validateReturnValues(operation, ReturnValues) {
+        if (ReturnValues !== undefined && !RETURN_VALUES[operation].includes(ReturnValues)) {
+            throw validationError(`ReturnValues can only be ${RETURN_VALUES[operation].join(', ')} for ${operation}`);
+        }
+    }
+
+    parseExpressions(input, { condition, filter, keyCondition, update, projection }) {
+        const context = createExpressionContext(input);
+        const parsed = {
+            condition: condition && input[condition] ? parseCondition(input[condition], context) : null,
+            filter: filter && input[filter] ? parseCondition(input[filter], context) : null,
+            keyCondition: keyCondition ? parseCondition(input[keyCondition], context) : null,
+            update: update ? parseUpdate(input[update], context) : null,
+            projection: projection && input[projection] ? parseProjection(input[projection], context) : null,
+        };
+        assertAllUsed(context);
+        return parsed;
+    }
+
+    project(item, projection) {
+        return projection ? projectItem(item, projection) : item;
+    }
+
+    /**
+     * Validates a single-item write and evaluates its condition, without applying it.
+     * @param {string} operation - One of PutItem, UpdateItem, DeleteItem or ConditionCheck.
+     * @param {Object} input - The request input of the write.
+     * @returns {Object} - The write plan: the table, the item key, the old and new item, and whether the condition passed.
+     */
+    planWrite(operation, input) {
+        const table = this.getTable(input.TableName);
+        let key;
+        let newItem;
+        let expressions;
+
+        if (operation === 'PutItem') {
+            this.validateItem(table, input.Item);
+            key = input.Item;
+            newItem = input.Item;
+            expressions = this.parseExpressions(input, { condition: 'ConditionExpression' });
+        } else {
+            this.validateKey(table, input.Key);
+            key = input.Key;
+            if (operation === 'ConditionCheck' && !input.ConditionExpression) {
+                throw validationError('ConditionExpression is required for ConditionCheck');
+            }
+            if (operation === 'UpdateItem' && !input.UpdateExpression) {
+                throw validationError('UpdateExpression is required');
+            }
+            expressions = this.parseExpressions(input, {
+                condition: 'ConditionExpression',
+                update: operation === 'UpdateItem' ? 'UpdateExpression' : null,
+            });
+        }
+
+        const itemKey = this.itemKey(table, key);
+        const oldItem = table.items.get(itemKey);
+        const passed = !expressions.condition || evaluateCondition(expressions.condition, oldItem);
+        let updatedAttributes = [];
+
+        if (operation === 'UpdateItem') {
+            newItem = structuredClone(oldItem || input.Key);
+            updatedAttributes = applyUpdate(expressions.update, newItem, this.keyAttributes(table));
+            this.validateItem(table, newItem);
+        }
+
+        return { operation, table, itemKey, oldItem, newItem, passed, updatedAttributes };
+    }
+
+    commitWrite({ operation, table, itemKey, newItem }) {
+        if (operation === 'DeleteItem') {
+            table.items.delete(itemKey);
+        } else if (operation !== 'ConditionCheck') {
+            table.items.set(itemKey, structuredClone(newItem));
+        }
+    }
+
+    returnValues(plan, ReturnValues) {
+        const { oldItem, newItem, updatedAttributes } = plan;
+        const pick = (item) => item ? Object.fromEntries(updatedAttributes.filter((name) => item[name] !== undefined).map((name) => [name, item[name]])) : undefined;
+
+        switch (ReturnValues) {
+            case 'ALL_OLD':
+                return oldItem;
+            case 'ALL_NEW':
+                return newItem;
+            case 'UPDATED_OLD':
+                return pick(oldItem);
+            case 'UPDATED_NEW':
+                return pick(newItem);
+            default:
+                return undefined;
+        }
+    }
+
+    executeWrite(operation, input) {
+        this.validateReturnValues(operation, input.ReturnValues);
+        const plan = this.planWrite(operation, input);
+        if (!plan.passed) {
+            throw conditionalCheckFailed(plan.oldItem, input.ReturnValuesOnConditionCheckFailure);
+        }
+        this.commitWrite(plan);
+
+        const Attributes = this.returnValues(plan, input.ReturnValues);
+        return response(Attributes && Object.keys(Attributes).length > 0 ? { Attributes } : {});
+    }
+
+    handlePutItem(input) {
+        return this.executeWrite('PutItem', input);
+    }
+
+    handleUpdateItem(input) {
+        return this.executeWrite('UpdateItem', input);
+    }
+
+    handleDeleteItem(input) {
+        return this.executeWrite('DeleteItem', input);
+    }
+
+    handleGetItem(input) {
+        const table = this.getTable(input.TableName);
+        this.validateKey(table, input.Key);
+        const { projection } = this.parseExpressions(input, { projection: 'ProjectionExpression' });
+
+        const item = table.items.get(this.itemKey(table, input.Key));
+        return response(item ? { Item: this.project(item, projection) } : {});
+    }
+
+    /**
+     * Lists the attributes that order the items read by a query or scan, and that make up its LastEvaluatedKey.
+     */
+    orderAttributes(table, index, isQuery) {
+        const attributes = index
+            ? [isQuery ? null : index.hash_key, index.range_key, table.hash_key, table.range_key]
+            : [isQuery ? null : table.hash_key, table.range_key];
+        return Array.from(new Set(attributes.filter(Boolean)));
+    }
+
+    compareItems(left, right, attributes) {
+        for (const attribute of attributes) {
+            const order = compareValues(left[attribute], right[attribute]);
+            if (order) {
+                return order;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Reads a page of items in key order, applying ExclusiveStartKey, Limit and the filter, as shared by Query and Scan.
+     */
+    readPage(candidates, input, { table, index, isQuery, filter, projection }) {
+        const attributes = this.orderAttributes(table, index, isQuery);
+        const direction = input.ScanIndexForward === false ? -1 : 1;
+        const ordered = candidates.sort((left, right) => direction * this.compareItems(left, right, attributes));
+
+        let start = 0;
+        if (input.ExclusiveStartKey) {
+            const startKey = input.ExclusiveStartKey;
+            const keyAttributes = Array.from(new Set([...this.keyAttributes(table), ...(index ? [index.hash_key, index.range_key] : [])].filter(Boolean)));
+            if (Object.keys(startKey).length !== keyAttributes.length || keyAttributes.some((attribute) => startKey[attribute] === undefined)) {
+                throw validationError('The provided starting key is invalid: The provided key element does not match the schema');
+            }
+            start = ordered.findIndex((item) => direction * this.compareItems(item, startKey, attributes) > 0);
+            start = start === -1 ? ordered.length : start;
+        }
+
+        if (input.Limit !== undefined && (!Number.isInteger(input.Limit) || input.Limit < 1)) {
+            throw validationError(`1 validation error detected: Value '${input.Limit}' at 'limit' failed to satisfy constraint: Member must have value greater than or equal to 1`);
+        }
+
+        const evaluated = ordered.slice(start, input.Limit !== undefined ? start + input.Limit : undefined);
+        const matched = filter ? evaluated.filter((item) => evaluateCondition(filter, item)) : evaluated;
+        const output = {
+            Count: matched.length,
+            ScannedCount: evaluated.length,
+        };
+
+        if (input.Select !== 'COUNT') {
+            output.Items = matched.map((item) => this.project(item, projection));
+        }
+
+        // Like DynamoDB, a page that stops because of the Limit has a LastEvaluatedKey even if no items are left
+        if (input.Limit !== undefined && evaluated.length === input.Limit) {
+            const last = evaluated[evaluated.length - 1];
+            const keyAttributes = [...this.keyAttributes(table), ...(index ? [index.hash_key, index.range_key] : [])].filter(Boolean);
+            output.LastEvaluatedKey = Object.fromEntries(keyAttributes.map((attribute) => [attribute, last[attribute]]));
+        }
+
+        return response(output);
+    }
+
+    indexItems(table, index) {
+        const items = Array.from(table.items.values());
+        if (!index) {
+            return items;
+        }
+        // Secondary indexes are sparse: items without the index key attributes are not part of the index
+        return items.filter((item) => item[index.hash_key] !== undefined && (!index.range_key || item[index.range_key] !== undefined));
+    }
+
+    handleQuery(input) {
+        const table = this.getTable(input.TableName);
+        const index = input.IndexName ? this.getIndex(table, input.IndexName) : null;
+        const keySchema = index || table;
+        if (index && input.ConsistentRead && index.hash_key !== table.hash_key) {
+            throw validationError('Consistent reads are not supported on global secondary indexes');
+        }
+        if (!input.KeyConditionExpression) {
+            throw validationError('Either the KeyConditions or KeyConditionExpression parameter must be specified in the request.');
+        }
+
+        const { keyCondition, filter, projection } = this.parseExpressions(input, {
+            keyCondition: 'KeyConditionExpression',
+            filter: 'FilterExpression',
+            projection: 'ProjectionExpression',
+        });
+
+        // A key condition is an equality on the partition key, optionally combined with one condition on the sort key
+        const conditions = flattenConjunction(keyCondition);
+        const attributeOf = (condition) => {
+            const operand = condition.type === 'compare' ? condition.left : (condition.type === 'between' ? condition.operand : condition.args && condition.args[0]);
+            return operand && operand.type === 'path' && operand.path.length === 1 ? operand.path[0] : null;
+        };
+        const partitionConditions = conditions.filter((condition) => attributeOf(condition) === keySchema.hash_key);
+        const sortConditions = conditions.filter((condition) => attributeOf(condition) !== keySchema.hash_key);
+        if (partitionConditions.length !== 1 || partitionConditions[0].type !== 'compare' || partitionConditions[0].operator !== '=' || partitionConditions[0].right.type !== 'value') {
+            throw validationError('Query condition missed key schema element: ' + keySchema.hash_key);
+        }
+        if (sortConditions.length > 1 || sortConditions.some((condition) => attributeOf(condition) !== keySchema.range_key
+            || condition.type === 'in'
+            || (condition.type === 'compare' && condition.operator === '<>')
+            || (condition.type === 'function' && condition.name !== 'begins_with'))) {
+            throw validationError('Query key condition not supported');
+        }
+
+        const candidates = this.indexItems(table, index).filter((item) => evaluateCondition(keyCondition, item));
+        return this.readPage(candidates, input, { table, index, isQuery: true, filter, projection });
+    }
+
+    handleScan(input) {
+        const table = this.getTable(input.TableName);
+        const index = input.IndexName ? this.getIndex(table, input.IndexName) : null;
+        const { filter, projection } = this.parseExpressions(input, {
+            filter: 'FilterExpression',
+            projection: 'ProjectionExpression',
+        });
+
+        let candidates = this.indexItems(table, index);
+        if (input.Segment !== undefined || input.TotalSegments !== undefined) {
+            const { Segment, TotalSegments } = input;
+            if (!Number.isInteger(TotalSegments) || TotalSegments < 1 || TotalSegments > 1000000 || !Number.isInteger(Segment) || Segment < 0 || Segment >= TotalSegments) {
+                throw validationError('The Segment parameter must be less than the TotalSegments parameter, and both are required for a parallel scan');
+            }
+            // Items are assigned to segments by partition key, like DynamoDB assigns partitions
+            const hashKey = (index || table).hash_key;
+            candidates = candidates.filter((item) => createHash('md5').update(JSON.stringify(item[hashKey])).digest().readUInt32BE(0) % TotalSegments === Segment);
+        }
+
+        return this.readPage(candidates, input, { table, index, isQuery: false, filter, projection });
+    }
+
+    handleBatchGetItem(input) {
+        const requests = Object.entries(input.RequestItems || {});
+        const keyCount = requests.reduce((count, [, { Keys = [] }]) => count + Keys.length, 0);
+        if (keyCount === 0) {
+            throw validationError('The requestItems parameter is required for BatchGetItem');
+        }
+        if (keyCount > 100) {
+            throw validationError('Too many items requested for the BatchGetItem call');
+        }
+
+        const Responses = {};
+        requests.forEach(([TableName, request]) => {
+            const table = this.getTable(TableName);
+            const { projection } = this.parseExpressions(request, { projection: 'ProjectionExpression' });
+            const keys = new Set();
+
+            Responses[TableName] = [];
+            request.Keys.forEach((key) => {
+                this.validateKey(table, key);
+                const itemKey = this.itemKey(table, key);
+                if (keys.has(itemKey)) {
+                    throw validationError('Provided list of item keys contains duplicates');
+                }
+                keys.add(itemKey);
+
+                const item = table.items.get(itemKey);
+                if (item) {
+                    Responses[TableName].push(this.project(item, projection));
+                }
+            });
+        });
+
+        return response({ Responses, UnprocessedKeys: {} });
+    }
+
+    handleBatchWriteItem(input) {
+        const requests = Object.entries(input.RequestItems || {});
+        const requestCount = requests.reduce((count, [, tableRequests]) => count + tableRequests.length, 0);
+        if (requestCount === 0) {
+            throw validationError('The requestItems parameter is required for BatchWriteItem');
+        }
+        if (requestCount > 25) {
+            throw validationError('Too many items requested for the BatchWriteItem call');
+        }
+
+        // Every request is validated before any is applied
+        const plans = requests.flatMap(([TableName, tableRequests]) => {
+            const table = this.getTable(TableName);
+            const keys = new Set();
+
+            return tableRequests.map(({ PutRequest, DeleteRequest }) => {
+                if (Boolean(PutRequest) === Boolean(DeleteRequest)) {
+                    throw validationError('Supplied AttributeValue has more than one request type set, must contain exactly one of PutRequest or DeleteRequest');
+                }
+
+                const plan = PutRequest
+                    ? this.planWrite('PutItem', { TableName, Item: PutRequest.Item })
+                    : this.planWrite('DeleteItem', { TableName, Key: DeleteRequest.Key });
+                if (keys.has(plan.itemKey)) {
+                    throw validationError('Provided list of item keys contains duplicates');
+                }
+                keys.add(plan.itemKey);
+                return plan;
+            });
+        });
+
+        plans.forEach((plan) => this.commitWrite(plan));
+        return response({ UnprocessedItems: {} });
+    }
+
+    handleTransactWriteItems(input) {
+        const { TransactItems = [] } = input;
+        if (TransactItems.length === 0 || TransactItems.length > 100) {
+            throw validationError('Member must have length less than or equal to 100 and greater than or equal to 1: TransactItems');
+        }
+
+        const operations = { Put: 'PutItem', Update: 'UpdateItem', Delete: 'DeleteItem', ConditionCheck: 'ConditionCheck' };
+        const targets = new Set();
+        const plans = TransactItems.map((transactItem) => {
+            const actions = Object.keys(transactItem).filter((action) => transactItem[action]);
+            if (actions.length !== 1 || !operations[actions[0]]) {
+                throw validationError('TransactItems can only contain one of Check, Put, Update or Delete');
+            }
+
+            const request = transactItem[actions[0]];
+            const plan = this.planWrite(operations[actions[0]], request);
+            const target = `${request.TableName}/${plan.itemKey}`;
+            if (targets.has(target)) {
+                throw validationError('Transaction request cannot include multiple operations on one item');
+            }
+            targets.add(target);
+            return { plan, request };
+        });
+
+        if (plans.some(({ plan }) => !plan.passed)) {
+            const CancellationReasons = plans.map(({ plan, request }) => plan.passed
+                ? { Code: 'None' }
+                : {
+                    Code: 'ConditionalCheckFailed',
+                    Message: 'The conditional request failed',
+                    ...(request.ReturnValuesOnConditionCheckFailure === 'ALL_OLD' && plan.oldItem ? { Item: structuredClone(plan.oldItem) } : {}),
+                });
+            throw createServiceError(
+                'TransactionCanceledException',
+                `Transaction cancelled, please refer cancellation reasons for specific reasons [${CancellationReasons.map(({ Code }) => Code).join(', ')}]`,
+                { CancellationReasons }
+            );
+        }
+
+        plans.forEach(({ plan }) => this.commitWrite(plan));
+        return response();
+    }
+
+    handleTransactGetItems(input) {
+        const { TransactItems = [] } = input;
+        if (TransactItems.length === 0 || TransactItems.length > 100) {
+            throw validationError('Member must have length less than or equal to 100 and greater than or equal to 1: TransactItems');
+        }
+
+        const Responses = TransactItems.map(({ Get }) => {
+            if (!Get) {
+                throw validationError('TransactItems can only contain Get');
+            }
+            const output = this.handleGetItem(Get);
+            return output.Item ? { Item: output.Item } : {};
+        });
+
+        return response({ Responses });
+    }
+}
+
+export default InMemoryDynamoDBClient;
@@ -0,0 +1,198 @@
+import { createReadStream, createWriteStream } from 'fs';
+import { mkdir, readdir, rm, stat } from 'fs/promises';
+import { dirname, join, relative, resolve, sep } from 'path';
+import { Readable } from 'stream';
+import { pathToFileURL } from 'url';
+import { pipeline } from 'stream/promises';
+import { createServiceError } from './expressions.js';
+
+const response = (output = {}) => ({ $metadata: { httpStatusCode: 200 }, ...output });
+
+const noSuchKey = (Key) => Object.assign(createServiceError('NoSuchKey', 'The specified key does not exist.', { Key }), { $metadata: { httpStatusCode: 404 } });
+
+/**
+ * @classdesc A stand-in for the S3Client of the AWS SDK that stores objects as files, implementing the send(command) surface used by the API.
+ *
+ * Each bucket is a directory under the root directory, and each object a file at its key within it, so that objects written
+ * during local development can be inspected, and test videos can be placed where the API expects them.
+ *
+ * Supported commands: PutObject, GetObject, HeadObject, DeleteObject, DeleteObjects and ListObjectsV2.
+ * Object metadata, versions, ranges and delimiters are not supported.
+ *
+ * @example
+ * const s3Client = new LocalFileSystemS3Client('./.local/s3');
+ * await s3Client.send(new PutObjectCommand({ Bucket: "bucket", Key: "user/video.mp4", Body: "..." }));
+ */
+class LocalFileSystemS3Client {
+    /**
+     * Create a new client storing its buckets under a directory, which is created when the first object is written.
+     * @param {string} rootDir - The directory holding one directory per bucket.
+     */
+    constructor(rootDir) {
+        if (typeof rootDir !== 'string' || rootDir.length === 0) {
+            throw new Error('Invalid rootDir');
+        }
+        this.rootDir = resolve(rootDir);
+    }
+
+    /**
+     * Present for compatibility with the AWS SDK clients, there are no resources to release.
+     */
+    destroy() { }
+
+    /**
+     * Executes a command of the AWS SDK S3 client against the local buckets.
+     * @param {Object} command - The command, e.g. new GetObjectCommand(params).
+     * @returns {Promise<Object>} - A promise that resolves to the command output, in the same format as S3.
+     * @throws {Error} - An error with the same name as the S3 error, e.g. NoSuchKey.
+     */
+    async send(command) {
+        const operation = command.constructor.name.replace(/Command$/, '');
+        const handler = this[`handle${operation}`];
+        if (typeof handler !== 'function') {
+            throw new Error(`Unsupported command "${command.constructor.name}".`);
+        }
+        return await handler.call(this, command.input || {});
+    }
+
+    bucketPath(Bucket) {
+        if (!Bucket || Bucket.includes('/') || Bucket.startsWith('.')) {
+            throw createServiceError('InvalidBucketName', 'The specified bucket is not valid.');
+        }
+        return join(this.rootDir, Bucket);
+    }
+
+    /**
+     * Returns the file an object is stored in.
+     * @param {string} Bucket - The bucket name.
+     * @param {string} Key - The object key.
+     * @returns {string} - The absolute path of the file.
+     */
+    objectPath(Bucket, Key) {
+        const bucketPath = this.bucketPath(Bucket);
+        const path = resolve(bucketPath, Key || '');
+
+        // Keys such as "../other" would otherwise reach outside the bucket
+        if (!Key || !path.startsWith(bucketPath + sep)) {
+            throw createServiceError('InvalidArgument', `Invalid key "${Key}".`);
+        }
+        return path;
+    }
+
+    /**
+     * Returns a file URL of an object, in place of the presigned URL S3 would give out.
+     * @param {string} Bucket - The bucket name.
+     * @param {string} Key - The object key.
+     * @returns {string} - The URL of the file the object is, or would be, stored in.
+     */
+    getObjectUrl(Bucket, Key) {
+        return pathToFileURL(this.objectPath(Bucket, Key)).href;
+    }
+
+    async statObject(Bucket, Key) {
+        try {
+            const stats = await stat(this.objectPath(Bucket, Key));
+            if (stats.isFile()) {
+                return stats;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+                throw error;
+            }
+        }
+        throw noSuchKey(Key);
+    }
+
+    async handlePutObject({ Bucket, Key, Body }) {
+        const path = this.objectPath(Bucket, Key);
+        await mkdir(dirname(path), { recursive: true });
+
+        const source = Body instanceof Readable ? Body : Readable.from([typeof Body === 'string' ? Buffer.from(Body) : Buffer.from(Body || [])]);
+        await pipeline(source, createWriteStream(path));
+        return response();
+    }
+
+    async handleGetObject({ Bucket, Key }) {
+        const stats = await this.statObject(Bucket, Key);
+        const path = this.objectPath(Bucket, Key);
+
+        // The body offers the same helpers as the body of the AWS SDK
+        const Body = createReadStream(path);
+        Body.transformToByteArray = async () => {
+            const chunks = [];
+            for await (const chunk of Body) {
+                chunks.push(chunk);
+            }
+            return new Uint8Array(Buffer.concat(chunks));
+        };
+        Body.transformToString = async (encoding = 'utf-8') => Buffer.from(await Body.transformToByteArray()).toString(encoding);
+
+        return response({ Body, ContentLength: stats.size, LastModified: stats.mtime });
+    }
+
+    async handleHeadObject({ Bucket, Key }) {
+        const stats = await this.statObject(Bucket, Key);
+        return response({ ContentLength: stats.size, LastModified: stats.mtime });
+    }
+
+    async handleDeleteObject({ Bucket, Key }) {
+        // As in S3, deleting a missing object succeeds
+        await rm(this.objectPath(Bucket, Key), { force: true });
+        return response();
+    }
+
+    async handleDeleteObjects({ Bucket, Delete }) {
+        const Deleted = [];
+        for (const { Key } of (Delete && Delete.Objects) || []) {
+            await rm(this.objectPath(Bucket, Key), { force: true });
+            Deleted.push({ Key });
+        }
+        return response({ Deleted, Errors: [] });
+    }
+
+    async handleListObjectsV2({ Bucket, Prefix = '', ContinuationToken, StartAfter, MaxKeys = 1000 }) {
+        const bucketPath = this.bucketPath(Bucket);
+        const objects = [];
+        const walk = async (directory) => {
+            let entries;
+            try {
+                entries = await readdir(directory, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return;
+                }
+                throw error;
+            }
+            for (const entry of entries) {
+                const path = join(directory, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(path);
+                } else if (entry.isFile()) {
+                    const Key = relative(bucketPath, path).split(sep).join('/');
+                    if (Key.startsWith(Prefix)) {
+                        const stats = await stat(path);
+                        objects.push({ Key, Size: stats.size, LastModified: stats.mtime });
+                    }
+                }
+            }
+        };
+        await walk(bucketPath);
+
+        // Keys are listed in order, and a continuation token holds the last key listed
+        const after = ContinuationToken ? Buffer.from(ContinuationToken, 'base64url').toString('utf-8') : StartAfter;
+        const remaining = objects
+            .sort((a, b) => (a.Key < b.Key ? -1 : a.Key > b.Key ? 1 : 0))
+            .filter(({ Key }) => !after || Key > after);
+        const Contents = remaining.slice(0, MaxKeys);
+        const IsTruncated = remaining.length > Contents.length;
+
+        return response({
+            Contents,
+            KeyCount: Contents.length,
+            IsTruncated,
+            ...(IsTruncated ? { NextContinuationToken: Buffer.from(Contents[Contents.length - 1].Key).toString('base64url') } : {}),
+        });
+    }
+}
+
+export default LocalFileSystemS3Client;
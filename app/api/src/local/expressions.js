@@ -0,0 +1,852 @@
+/**
+ * Parser and evaluator for the DynamoDB expression language, used by the in-memory DynamoDB client.
+ *
+ * Supports condition expressions (ConditionExpression, FilterExpression and KeyConditionExpression), update expressions and projection expressions.
+ * Items and values are handled in DynamoDB attribute value format, e.g. { name: { S: "value" } }.
+ */
+
+const TOKEN_PATTERN = /\s*(?:(#[A-Za-z0-9_]+)|(:[A-Za-z0-9_]+)|([A-Za-z_][A-Za-z0-9_]*)|(\d+)|(<>|<=|>=|[=<>()[\],.+-]))/y;
+const COMPARATORS = ['=', '<>', '<', '<=', '>', '>='];
+const CONDITION_FUNCTIONS = ['attribute_exists', 'attribute_not_exists', 'attribute_type', 'begins_with', 'contains'];
+const UPDATE_CLAUSES = ['SET', 'REMOVE', 'ADD', 'DELETE'];
+const SET_TYPES = ['SS', 'NS', 'BS'];
+
+/**
+ * Creates an error shaped like the errors thrown by the AWS SDK, so that callers can check error.name.
+ * @param {string} name - The error name, e.g. "ValidationException".
+ * @param {string} message - The error message.
+ * @param {Object} [fields={}] - Additional fields to set on the error.
+ * @returns {Error} - The error.
+ */
+export const createServiceError = (name, message, fields = {}) => {
+    const error = new Error(message);
+    error.name = name;
+    error.$fault = 'client';
+    error.$metadata = { httpStatusCode: 400 };
+    return Object.assign(error, fields);
+};
+
+const validationError = (message) => createServiceError('ValidationException', message);
+
+/**
+ * Creates the context used to resolve expression attribute names and values of a request, and to track which of them are used.
+ * @param {Object} input - The request input, with optional ExpressionAttributeNames and ExpressionAttributeValues.
+ * @returns {Object} - The expression context.
+ */
+export const createExpressionContext = ({ ExpressionAttributeNames, ExpressionAttributeValues } = {}) => {
+    if (ExpressionAttributeNames && Object.keys(ExpressionAttributeNames).length === 0) {
+        throw validationError('ExpressionAttributeNames must not be empty');
+    }
+    if (ExpressionAttributeValues && Object.keys(ExpressionAttributeValues).length === 0) {
+        throw validationError('ExpressionAttributeValues must not be empty');
+    }
+
+    return {
+        names: ExpressionAttributeNames || {},
+        values: ExpressionAttributeValues || {},
+        usedNames: new Set(),
+        usedValues: new Set(),
+    };
+};
+
+/**
+ * Verifies that every expression attribute name and value of a request is used by one of its expressions, as DynamoDB does.
+ * @param {Object} context - The expression context, after all expressions of the request were parsed.
+ * @throws {Error} - A ValidationException if a name or value is unused.
+ */
+export const assertAllUsed = (context) => {
+    const unusedNames = Object.keys(context.names).filter((name) => !context.usedNames.has(name));
+    if (unusedNames.length > 0) {
+        throw validationError(`Value provided in ExpressionAttributeNames unused in expressions: keys: {${unusedNames.join(', ')}}`);
+    }
+
+    const unusedValues = Object.keys(context.values).filter((value) => !context.usedValues.has(value));
+    if (unusedValues.length > 0) {
+        throw validationError(`Value provided in ExpressionAttributeValues unused in expressions: keys: {${unusedValues.join(', ')}}`);
+    }
+};
+
+class ExpressionParser {
+    constructor(expression, context) {
+        if (typeof expression !== 'string' || expression.trim() === '') {
+            throw validationError('Invalid expression: The expression can not be empty;');
+        }
+
+        this.expression = expression;
+        this.context = context;
+        this.tokens = [];
+        this.position = 0;
+
+        TOKEN_PATTERN.lastIndex = 0;
+        while (TOKEN_PATTERN.lastIndex < expression.length) {
+            const start = TOKEN_PATTERN.lastIndex;
+            const match = TOKEN_PATTERN.exec(expression);
+            if (!match) {
+                if (expression.slice(start).trim() === '') {
+                    break;
+                }
+                throw validationError(`Invalid expression: Syntax error; token: "${expression.slice(start).trim()[0]}", near: "${expression.slice(start, start + 10).trim()}"`);
+            }
+
+            const [, name, value, identifier, number, symbol] = match;
+            if (name) this.tokens.push({ type: 'name', text: name });
+            else if (value) this.tokens.push({ type: 'value', text: value });
+            else if (identifier) this.tokens.push({ type: 'identifier', text: identifier });
+            else if (number) this.tokens.push({ type: 'number', text: number });
+            else this.tokens.push({ type: 'symbol', text: symbol });
+        }
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.position + offset];
+    }
+
+    next() {
+        const token = this.tokens[this.position];
+        if (!token) {
+            throw validationError(`Invalid expression: Syntax error; token: <EOF>, near: "${this.expression}"`);
+        }
+        this.position += 1;
+        return token;
+    }
+
+    isSymbol(text, offset = 0) {
+        const token = this.peek(offset);
+        return Boolean(token) && token.type === 'symbol' && token.text === text;
+    }
+
+    isKeyword(keyword, offset = 0) {
+        const token = this.peek(offset);
+        return Boolean(token) && token.type === 'identifier' && token.text.toUpperCase() === keyword;
+    }
+
+    isFunction(names) {
+        const token = this.peek();
+        return Boolean(token) && token.type === 'identifier' && names.includes(token.text) && this.isSymbol('(', 1);
+    }
+
+    expectSymbol(text) {
+        const token = this.next();
+        if (token.type !== 'symbol' || token.text !== text) {
+            throw validationError(`Invalid expression: Syntax error; token: "${token.text}", expected: "${text}"`);
+        }
+    }
+
+    expectEnd() {
+        const token = this.peek();
+        if (token) {
+            throw validationError(`Invalid expression: Syntax error; token: "${token.text}", near: "${this.expression}"`);
+        }
+    }
+
+    resolveName(token) {
+        if (token.type === 'name') {
+            if (this.context.names[token.text] === undefined) {
+                throw validationError(`Invalid expression: An expression attribute name used in the document path is not defined; attribute name: ${token.text}`);
+            }
+            this.context.usedNames.add(token.text);
+            return this.context.names[token.text];
+        }
+        if (token.type === 'identifier') {
+            return token.text;
+        }
+        throw validationError(`Invalid expression: Syntax error; token: "${token.text}", expected an attribute name`);
+    }
+
+    parsePath() {
+        const path = [this.resolveName(this.next())];
+        while (this.isSymbol('.') || this.isSymbol('[')) {
+            if (this.next().text === '.') {
+                path.push(this.resolveName(this.next()));
+            } else {
+                const index = this.next();
+                if (index.type !== 'number') {
+                    throw validationError(`Invalid expression: Syntax error; token: "${index.text}", expected a list index`);
+                }
+                this.expectSymbol(']');
+                path.push(Number(index.text));
+            }
+        }
+        return path;
+    }
+
+    parseValue() {
+        const token = this.next();
+        if (this.context.values[token.text] === undefined) {
+            throw validationError(`Invalid expression: An expression attribute value used in expression is not defined; attribute value: ${token.text}`);
+        }
+        this.context.usedValues.add(token.text);
+        return { type: 'value', value: this.context.values[token.text] };
+    }
+
+    parseOperand() {
+        const token = this.peek() || this.next();
+        if (token.type === 'value') {
+            return this.parseValue();
+        }
+        if (this.isFunction(['size'])) {
+            this.next();
+            this.expectSymbol('(');
+            const path = this.parsePath();
+            this.expectSymbol(')');
+            return { type: 'size', path };
+        }
+        return { type: 'path', path: this.parsePath() };
+    }
+
+    parseCondition() {
+        let left = this.parseAnd();
+        while (this.isKeyword('OR')) {
+            this.next();
+            left = { type: 'or', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.isKeyword('AND')) {
+            this.next();
+            left = { type: 'and', left, right: this.parseNot() };
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.isKeyword('NOT')) {
+            this.next();
+            return { type: 'not', condition: this.parseNot() };
+        }
+        return this.parsePredicate();
+    }
+
+    parsePredicate() {
+        if (this.isSymbol('(')) {
+            this.next();
+            const condition = this.parseCondition();
+            this.expectSymbol(')');
+            return condition;
+        }
+
+        if (this.isFunction(CONDITION_FUNCTIONS)) {
+            const name = this.next().text;
+            this.expectSymbol('(');
+            const args = [{ type: 'path', path: this.parsePath() }];
+            while (this.isSymbol(',')) {
+                this.next();
+                args.push(this.parseOperand());
+            }
+            this.expectSymbol(')');
+
+            const arity = ['attribute_exists', 'attribute_not_exists'].includes(name) ? 1 : 2;
+            if (args.length !== arity) {
+                throw validationError(`Invalid expression: Incorrect number of operands for operator or function; operator or function: ${name}, number of operands: ${args.length}`);
+            }
+            return { type: 'function', name, args };
+        }
+
+        const left = this.parseOperand();
+        const token = this.peek();
+        if (token && token.type === 'symbol' && COMPARATORS.includes(token.text)) {
+            this.next();
+            return { type: 'compare', operator: token.text, left, right: this.parseOperand() };
+        }
+        if (this.isKeyword('BETWEEN')) {
+            this.next();
+            const low = this.parseOperand();
+            if (!this.isKeyword('AND')) {
+                throw validationError(`Invalid expression: Syntax error; expected "AND" in BETWEEN condition`);
+            }
+            this.next();
+            return { type: 'between', operand: left, low, high: this.parseOperand() };
+        }
+        if (this.isKeyword('IN')) {
+            this.next();
+            this.expectSymbol('(');
+            const candidates = [this.parseOperand()];
+            while (this.isSymbol(',')) {
+                this.next();
+                candidates.push(this.parseOperand());
+            }
+            this.expectSymbol(')');
+            if (candidates.length > 100) {
+                throw validationError('Invalid expression: The IN operator is provided with too many operands; number of operands: ' + candidates.length);
+            }
+            return { type: 'in', operand: left, candidates };
+        }
+
+        throw validationError(`Invalid expression: Syntax error; token: "${token ? token.text : '<EOF>'}", near: "${this.expression}"`);
+    }
+
+    parseUpdateOperand() {
+        if (this.isFunction(['if_not_exists', 'list_append'])) {
+            const name = this.next().text;
+            this.expectSymbol('(');
+            const first = name === 'if_not_exists' ? { type: 'path', path: this.parsePath() } : this.parseUpdateOperand();
+            this.expectSymbol(',');
+            const second = this.parseUpdateOperand();
+            this.expectSymbol(')');
+            return { type: 'function', name, args: [first, second] };
+        }
+        if (this.peek() && this.peek().type === 'value') {
+            return this.parseValue();
+        }
+        return { type: 'path', path: this.parsePath() };
+    }
+
+    parseUpdate() {
+        const update = { SET: [], REMOVE: [], ADD: [], DELETE: [] };
+        const seen = new Set();
+
+        while (this.peek()) {
+            const clause = this.next().text.toUpperCase();
+            if (!UPDATE_CLAUSES.includes(clause)) {
+                throw validationError(`Invalid UpdateExpression: Syntax error; token: "${this.peek(-1).text}", near: "${this.expression}"`);
+            }
+            if (seen.has(clause)) {
+                throw validationError(`Invalid UpdateExpression: The "${clause}" section can only be used once in an update expression;`);
+            }
+            seen.add(clause);
+
+            do {
+                if (update[clause].length > 0) {
+                    this.expectSymbol(',');
+                }
+
+                const path = this.parsePath();
+                if (clause === 'SET') {
+                    this.expectSymbol('=');
+                    let value = this.parseUpdateOperand();
+                    if (this.isSymbol('+') || this.isSymbol('-')) {
+                        const operator = this.next().text;
+                        value = { type: 'arithmetic', operator, left: value, right: this.parseUpdateOperand() };
+                    }
+                    update.SET.push({ path, value });
+                } else if (clause === 'REMOVE') {
+                    update.REMOVE.push({ path });
+                } else {
+                    if (!this.peek() || this.peek().type !== 'value') {
+                        throw validationError(`Invalid UpdateExpression: Syntax error; the ${clause} action requires an expression attribute value`);
+                    }
+                    update[clause].push({ path, value: this.parseValue() });
+                }
+            } while (this.isSymbol(','));
+        }
+
+        return update;
+    }
+
+    parseProjection() {
+        const paths = [this.parsePath()];
+        while (this.isSymbol(',')) {
+            this.next();
+            paths.push(this.parsePath());
+        }
+        return paths;
+    }
+}
+
+/**
+ * Parses a condition expression (ConditionExpression, FilterExpression or KeyConditionExpression).
+ * @param {string} expression - The expression to parse.
+ * @param {Object} context - The expression context of the request.
+ * @returns {Object} - The parsed condition.
+ * @throws {Error} - A ValidationException if the expression is invalid or refers to undefined names or values.
+ */
+export const parseCondition = (expression, context) => {
+    const parser = new ExpressionParser(expression, context);
+    const condition = parser.parseCondition();
+    parser.expectEnd();
+    return condition;
+};
+
+/**
+ * Parses an update expression into its SET, REMOVE, ADD and DELETE actions.
+ * @param {string} expression - The expression to parse.
+ * @param {Object} context - The expression context of the request.
+ * @returns {Object} - The parsed actions, grouped by clause.
+ * @throws {Error} - A ValidationException if the expression is invalid or refers to undefined names or values.
+ */
+export const parseUpdate = (expression, context) => {
+    const parser = new ExpressionParser(expression, context);
+    const update = parser.parseUpdate();
+    parser.expectEnd();
+    return update;
+};
+
+/**
+ * Parses a projection expression into a list of document paths.
+ * @param {string} expression - The expression to parse.
+ * @param {Object} context - The expression context of the request.
+ * @returns {Array<Array<string|number>>} - The projected paths.
+ * @throws {Error} - A ValidationException if the expression is invalid or refers to undefined names.
+ */
+export const parseProjection = (expression, context) => {
+    const parser = new ExpressionParser(expression, context);
+    const paths = parser.parseProjection();
+    parser.expectEnd();
+    return paths;
+};
+
+const typeOf = (value) => Object.keys(value)[0];
+
+const toBuffer = (binary) => typeof binary === 'string' ? Buffer.from(binary, 'base64') : Buffer.from(binary);
+
+/**
+ * Reads the value at a document path of an item.
+ * @param {Object} item - The item, in DynamoDB format.
+ * @param {Array<string|number>} path - The document path.
+ * @returns {Object|undefined} - The attribute value, or undefined if the path does not exist.
+ */
+export const getPath = (item, path) => {
+    let current = item[path[0]];
+    for (const segment of path.slice(1)) {
+        if (current === undefined) {
+            return undefined;
+        }
+        current = typeof segment === 'number'
+            ? (Array.isArray(current.L) ? current.L[segment] : undefined)
+            : (current.M ? current.M[segment] : undefined);
+    }
+    return current;
+};
+
+const setPath = (item, path, value) => {
+    if (path.length === 1) {
+        item[path[0]] = value;
+        return;
+    }
+
+    const parent = getPath(item, path.slice(0, -1));
+    const segment = path[path.length - 1];
+    if (typeof segment === 'number' && parent && Array.isArray(parent.L)) {
+        if (segment >= parent.L.length) {
+            parent.L.push(value);
+        } else {
+            parent.L[segment] = value;
+        }
+    } else if (typeof segment === 'string' && parent && parent.M) {
+        parent.M[segment] = value;
+    } else {
+        throw validationError('The document path provided in the update expression is invalid for update');
+    }
+};
+
+const removePath = (item, path) => {
+    if (path.length === 1) {
+        delete item[path[0]];
+        return;
+    }
+
+    const parent = getPath(item, path.slice(0, -1));
+    const segment = path[path.length - 1];
+    if (typeof segment === 'number' && parent && Array.isArray(parent.L)) {
+        if (segment < parent.L.length) {
+            parent.L.splice(segment, 1);
+        }
+    } else if (typeof segment === 'string' && parent && parent.M) {
+        delete parent.M[segment];
+    } else if (parent !== undefined) {
+        throw validationError('The document path provided in the update expression is invalid for update');
+    }
+};
+
+/**
+ * Checks two attribute values for equality, with the semantics of the DynamoDB "=" comparator.
+ * @param {Object} left - The first attribute value.
+ * @param {Object} right - The second attribute value.
+ * @returns {boolean} - Whether the values are of the same type and equal.
+ */
+export const valuesEqual = (left, right) => {
+    if (left === undefined || right === undefined) {
+        return false;
+    }
+
+    const type = typeOf(left);
+    if (type !== typeOf(right)) {
+        return false;
+    }
+
+    switch (type) {
+        case 'N':
+            return Number(left.N) === Number(right.N);
+        case 'B':
+            return toBuffer(left.B).equals(toBuffer(right.B));
+        case 'SS':
+        case 'NS':
+        case 'BS': {
+            const element = type[0];
+            return left[type].length === right[type].length
+                && left[type].every((value) => right[type].some((other) => valuesEqual({ [element]: value }, { [element]: other })));
+        }
+        case 'L':
+            return left.L.length === right.L.length && left.L.every((value, index) => valuesEqual(value, right.L[index]));
+        case 'M': {
+            const keys = Object.keys(left.M);
+            return keys.length === Object.keys(right.M).length && keys.every((key) => valuesEqual(left.M[key], right.M[key]));
+        }
+        default:
+            return left[type] === right[type];
+    }
+};
+
+/**
+ * Orders two scalar attribute values, as DynamoDB orders sort keys: numerically for numbers and by UTF-8 bytes for strings and binaries.
+ * @param {Object} left - The first attribute value.
+ * @param {Object} right - The second attribute value.
+ * @returns {number|null} - A negative, zero or positive number, or null if the values are not comparable.
+ */
+export const compareValues = (left, right) => {
+    if (left === undefined || right === undefined) {
+        return null;
+    }
+    if (left.N !== undefined && right.N !== undefined) {
+        return Number(left.N) - Number(right.N);
+    }
+    if (left.S !== undefined && right.S !== undefined) {
+        return Buffer.compare(Buffer.from(left.S, 'utf8'), Buffer.from(right.S, 'utf8'));
+    }
+    if (left.B !== undefined && right.B !== undefined) {
+        return Buffer.compare(toBuffer(left.B), toBuffer(right.B));
+    }
+    return null;
+};
+
+const sizeOf = (value) => {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    const type = typeOf(value);
+    switch (type) {
+        case 'S':
+            return value.S.length;
+        case 'B':
+            return toBuffer(value.B).length;
+        case 'SS':
+        case 'NS':
+        case 'BS':
+        case 'L':
+            return value[type].length;
+        case 'M':
+            return Object.keys(value.M).length;
+        default:
+            return undefined;
+    }
+};
+
+const evaluateOperand = (operand, item) => {
+    switch (operand.type) {
+        case 'value':
+            return operand.value;
+        case 'path':
+            return getPath(item, operand.path);
+        case 'size': {
+            const size = sizeOf(getPath(item, operand.path));
+            return size === undefined ? undefined : { N: String(size) };
+        }
+        default:
+            throw validationError(`Invalid expression: Unsupported operand "${operand.type}"`);
+    }
+};
+
+const compare = (operator, left, right) => {
+    if (operator === '=') {
+        return valuesEqual(left, right);
+    }
+    if (operator === '<>') {
+        return left !== undefined && right !== undefined && !valuesEqual(left, right);
+    }
+
+    const order = compareValues(left, right);
+    if (order === null) {
+        return false;
+    }
+    switch (operator) {
+        case '<': return order < 0;
+        case '<=': return order <= 0;
+        case '>': return order > 0;
+        default: return order >= 0;
+    }
+};
+
+const contains = (container, operand) => {
+    if (container === undefined || operand === undefined) {
+        return false;
+    }
+    if (container.S !== undefined) {
+        return operand.S !== undefined && container.S.includes(operand.S);
+    }
+    if (Array.isArray(container.L)) {
+        return container.L.some((element) => valuesEqual(element, operand));
+    }
+
+    const type = typeOf(container);
+    if (SET_TYPES.includes(type)) {
+        const element = type[0];
+        return container[type].some((value) => valuesEqual({ [element]: value }, operand));
+    }
+    return false;
+};
+
+/**
+ * Evaluates a parsed condition against an item.
+ * @param {Object} condition - The condition, as returned by parseCondition.
+ * @param {Object} item - The item, in DynamoDB format. Missing items are evaluated as an empty item.
+ * @returns {boolean} - Whether the item satisfies the condition.
+ */
+export const evaluateCondition = (condition, item = {}) => {
+    switch (condition.type) {
+        case 'and':
+            return evaluateCondition(condition.left, item) && evaluateCondition(condition.right, item);
+        case 'or':
+            return evaluateCondition(condition.left, item) || evaluateCondition(condition.right, item);
+        case 'not':
+            return !evaluateCondition(condition.condition, item);
+        case 'compare':
+            return compare(condition.operator, evaluateOperand(condition.left, item), evaluateOperand(condition.right, item));
+        case 'between': {
+            const value = evaluateOperand(condition.operand, item);
+            return compare('>=', value, evaluateOperand(condition.low, item)) && compare('<=', value, evaluateOperand(condition.high, item));
+        }
+        case 'in': {
+            const value = evaluateOperand(condition.operand, item);
+            return condition.candidates.some((candidate) => valuesEqual(value, evaluateOperand(candidate, item)));
+        }
+        case 'function': {
+            const [target, operand] = condition.args.map((arg) => evaluateOperand(arg, item));
+            switch (condition.name) {
+                case 'attribute_exists':
+                    return target !== undefined;
+                case 'attribute_not_exists':
+                    return target === undefined;
+                case 'attribute_type':
+                    return target !== undefined && operand !== undefined && typeOf(target) === operand.S;
+                case 'begins_with':
+                    if (target === undefined || operand === undefined) return false;
+                    if (target.S !== undefined && operand.S !== undefined) return target.S.startsWith(operand.S);
+                    if (target.B !== undefined && operand.B !== undefined) {
+                        const prefix = toBuffer(operand.B);
+                        return toBuffer(target.B).subarray(0, prefix.length).equals(prefix);
+                    }
+                    return false;
+                default:
+                    return contains(target, operand);
+            }
+        }
+        default:
+            throw validationError(`Invalid expression: Unsupported condition "${condition.type}"`);
+    }
+};
+
+/**
+ * Splits a parsed condition into the conditions joined by AND. Used to validate key conditions, which may not use OR or NOT.
+ * @param {Object} condition - The condition, as returned by parseCondition.
+ * @returns {Array<Object>} - The conditions joined by AND.
+ * @throws {Error} - A ValidationException if the condition uses OR or NOT.
+ */
+export const flattenConjunction = (condition) => {
+    if (condition.type === 'and') {
+        return [...flattenConjunction(condition.left), ...flattenConjunction(condition.right)];
+    }
+    if (condition.type === 'or' || condition.type === 'not') {
+        throw validationError(`Invalid operator used in KeyConditionExpression: ${condition.type.toUpperCase()}`);
+    }
+    return [condition];
+};
+
+const evaluateUpdateOperand = (operand, item) => {
+    switch (operand.type) {
+        case 'value':
+            return operand.value;
+        case 'path': {
+            const value = getPath(item, operand.path);
+            if (value === undefined) {
+                throw validationError('The provided expression refers to an attribute that does not exist in the item');
+            }
+            return value;
+        }
+        case 'arithmetic': {
+            const left = evaluateUpdateOperand(operand.left, item);
+            const right = evaluateUpdateOperand(operand.right, item);
+            if (left.N === undefined || right.N === undefined) {
+                throw validationError(`An operand in the update expression has an incorrect data type`);
+            }
+            const result = operand.operator === '+' ? Number(left.N) + Number(right.N) : Number(left.N) - Number(right.N);
+            return { N: String(result) };
+        }
+        case 'function': {
+            if (operand.name === 'if_not_exists') {
+                const existing = getPath(item, operand.args[0].path);
+                return existing !== undefined ? existing : evaluateUpdateOperand(operand.args[1], item);
+            }
+
+            const left = evaluateUpdateOperand(operand.args[0], item);
+            const right = evaluateUpdateOperand(operand.args[1], item);
+            if (!Array.isArray(left.L) || !Array.isArray(right.L)) {
+                throw validationError('Invalid UpdateExpression: Incorrect operand type for operator or function; operator or function: list_append');
+            }
+            return { L: [...left.L, ...right.L] };
+        }
+        default:
+            throw validationError(`Invalid UpdateExpression: Unsupported operand "${operand.type}"`);
+    }
+};
+
+const formatPath = (path) => path.map((segment) => typeof segment === 'number' ? `[${segment}]` : segment).join(', ');
+
+const isPrefix = (prefix, path) => prefix.length <= path.length && prefix.every((segment, index) => segment === path[index]);
+
+const uniqueSetValues = (type, values) => values.filter((value, index) => values.findIndex((other) => valuesEqual({ [type[0]]: other }, { [type[0]]: value })) === index);
+
+/**
+ * Applies parsed update actions to an item. All operands are evaluated against the item as it was before the update.
+ * @param {Object} update - The actions, as returned by parseUpdate.
+ * @param {Object} item - The item to update, in DynamoDB format. It is modified in place.
+ * @param {string[]} keyAttributes - The key attributes of the table, which cannot be updated.
+ * @returns {string[]} - The top-level attributes that were updated.
+ * @throws {Error} - A ValidationException if the update is invalid for the item.
+ */
+export const applyUpdate = (update, item, keyAttributes) => {
+    const actions = UPDATE_CLAUSES.flatMap((clause) => update[clause].map((action) => ({ clause, ...action })));
+
+    actions.forEach(({ path }, index) => {
+        if (keyAttributes.includes(path[0])) {
+            throw validationError(`One or more parameter values were invalid: Cannot update attribute ${path[0]}. This attribute is part of the key`);
+        }
+        actions.slice(index + 1).forEach((other) => {
+            if (isPrefix(path, other.path) || isPrefix(other.path, path)) {
+                throw validationError(`Invalid UpdateExpression: Two document paths overlap with each other; must remove or rewrite one of these paths; path one: [${formatPath(path)}], path two: [${formatPath(other.path)}]`);
+            }
+        });
+    });
+
+    const original = structuredClone(item);
+    const values = actions.map(({ clause, value }) => clause === 'SET' ? evaluateUpdateOperand(value, original) : (value ? value.value : undefined));
+
+    actions.forEach(({ clause, path }, index) => {
+        const value = values[index];
+        if (clause === 'SET') {
+            setPath(item, path, structuredClone(value));
+        } else if (clause === 'REMOVE') {
+            removePath(item, path);
+        } else {
+            if (path.length > 1) {
+                throw validationError(`Invalid UpdateExpression: The ${clause} action is only supported on top-level attributes`);
+            }
+
+            const type = typeOf(value);
+            const existing = getPath(item, path);
+            if (clause === 'ADD') {
+                if (type !== 'N' && !SET_TYPES.includes(type)) {
+                    throw validationError(`Invalid UpdateExpression: Incorrect operand type for operator or function; operator: ADD, operand type: ${type}`);
+                }
+                if (existing === undefined) {
+                    setPath(item, path, structuredClone(value));
+                } else if (typeOf(existing) !== type) {
+                    throw validationError('An operand in the update expression has an incorrect data type');
+                } else if (type === 'N') {
+                    setPath(item, path, { N: String(Number(existing.N) + Number(value.N)) });
+                } else {
+                    setPath(item, path, { [type]: uniqueSetValues(type, [...existing[type], ...value[type]]) });
+                }
+            } else {
+                if (!SET_TYPES.includes(type)) {
+                    throw validationError(`Invalid UpdateExpression: Incorrect operand type for operator or function; operator: DELETE, operand type: ${type}`);
+                }
+                if (existing !== undefined) {
+                    if (typeOf(existing) !== type) {
+                        throw validationError('An operand in the update expression has an incorrect data type');
+                    }
+                    const remaining = existing[type].filter((element) => !value[type].some((removed) => valuesEqual({ [type[0]]: element }, { [type[0]]: removed })));
+                    if (remaining.length > 0) {
+                        setPath(item, path, { [type]: remaining });
+                    } else {
+                        removePath(item, path);
+                    }
+                }
+            }
+        }
+    });
+
+    return Array.from(new Set(actions.map(({ path }) => path[0])));
+};
+
+/**
+ * Builds a copy of an item that only contains the projected document paths.
+ * @param {Object} item - The item, in DynamoDB format.
+ * @param {Array<Array<string|number>>} paths - The projected paths, as returned by parseProjection.
+ * @returns {Object} - The projected item.
+ */
+export const projectItem = (item, paths) => {
+    const projected = {};
+
+    paths.forEach((path) => {
+        const value = getPath(item, path);
+        if (value === undefined) {
+            return;
+        }
+
+        let target = projected;
+        let source = item;
+        path.forEach((segment, index) => {
+            const last = index === path.length - 1;
+            const sourceValue = index === 0 ? source[segment] : (typeof segment === 'number' ? source.L[segment] : source.M[segment]);
+            if (last) {
+                if (index === 0) {
+                    target[segment] = structuredClone(sourceValue);
+                } else if (typeof segment === 'number') {
+                    target.L.push(structuredClone(sourceValue));
+                } else {
+                    target.M[segment] = structuredClone(sourceValue);
+                }
+                return;
+            }
+
+            const container = Array.isArray(sourceValue.L) ? { L: [] } : { M: {} };
+            let next;
+            if (index === 0) {
+                next = target[segment] = target[segment] || container;
+            } else if (typeof segment === 'number') {
+                next = container;
+                target.L.push(next);
+            } else {
+                next = target.M[segment] = target.M[segment] || container;
+            }
+            target = next;
+            source = sourceValue;
+        });
+    });
+
+    return projected;
+};
+
+/**
+ * Validates an attribute value as DynamoDB does on writes: sets must be non-empty and may not contain duplicates.
+ * @param {string} name - The attribute name, used in error messages.
+ * @param {Object} value - The attribute value.
+ * @throws {Error} - A ValidationException if the value is invalid.
+ */
+export const validateAttributeValue = (name, value) => {
+    if (typeof value !== 'object' || value === null || Object.keys(value).length !== 1) {
+        throw validationError(`Supplied AttributeValue has more than one datatypes set, must contain exactly one of the supported datatypes; attribute: ${name}`);
+    }
+
+    const type = typeOf(value);
+    if (SET_TYPES.includes(type)) {
+        if (!Array.isArray(value[type]) || value[type].length === 0) {
+            throw validationError(`One or more parameter values were invalid: An ${type === 'NS' ? 'number' : (type === 'SS' ? 'string' : 'binary')} set  may not be empty`);
+        }
+        if (uniqueSetValues(type, value[type]).length !== value[type].length) {
+            throw validationError(`One or more parameter values were invalid: Input collection ${JSON.stringify(value[type])} contains duplicates.`);
+        }
+    } else if (type === 'L') {
+        value.L.forEach((element, index) => validateAttributeValue(`${name}[${index}]`, element));
+    } else if (type === 'M') {
+        Object.entries(value.M).forEach(([key, element]) => validateAttributeValue(`${name}.${key}`, element));
+    } else if (type === 'N' && Number.isNaN(Number(value.N))) {
+        throw validationError(`The parameter cannot be converted to a numeric value: ${value.N}`);
+    } else if (!['S', 'N', 'B', 'BOOL', 'NULL'].includes(type)) {
+        throw validationError(`Supplied AttributeValue is empty, must contain exactly one of the supported datatypes; attribute: ${name}`);
+    }
+};
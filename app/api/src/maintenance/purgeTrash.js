@@ -0,0 +1,87 @@
+import { DeleteObjectsCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+
+/**
+ * Permanently removes trashed videos and snippets whose retention period has expired, together with their S3 objects.
+ *
+ * Each record is deleted only if it is still trashed and expired, so items restored while the purge runs are kept.
+ * The video and snippet tables have no TTL, as DynamoDB would delete expired records without their S3 objects, so
+ * the purge is the only place where trashed items are removed.
+ * @param {Object} purgeParams - Parameters for the purge.
+ * @param {DynamoDBModel} purgeParams.model - The model used to read and delete the trashed items.
+ * @param {S3Client} purgeParams.s3Client - The client used to delete the S3 objects.
+ * @param {string} purgeParams.bucket - The data bucket holding the video and snippet files.
+ * @param {number} [purgeParams.now] - The current time, in seconds since the epoch. Items that expired at or before it are purged.
+ * @param {number} [purgeParams.segments=4] - The number of parallel scan segments per table.
+ * @returns {Promise<{video: number, snippet: number, objects: number, failedObjects: string[]}>} - The number of purged records per table and of deleted objects, and the keys of objects that could not be deleted.
+ */
+export const purgeExpiredTrash = async ({ model, s3Client, bucket, now = Math.floor(Date.now() / 1000), segments = 4 }) => {
+    const summary = { video: 0, snippet: 0, objects: 0, failedObjects: [] };
+    const objectKeys = [];
+    const expired = {
+        and: [
+            { path: "deletedAt", op: "exists" },
+            { path: "expiresAt", op: "le", value: now },
+        ]
+    };
+
+    // Snippets are purged first, so that a failure part-way never leaves snippets of a purged video behind
+    for (const table of ["snippet", "video"]) {
+        await model.parallelScan(table, {
+            segments,
+            filter: expired,
+            other_params: { ProjectionExpression: "userId, id, key, thumbnailKey, playbackManifestKey" },
+            onItem: async ({ userId, id, key, thumbnailKey, playbackManifestKey }) => {
+                try {
+                    await model.deleteItem(table, {
+                        key: { userId, id },
+                        other_params: {
+                            ConditionExpression: "attribute_exists(#deletedAt) AND #expiresAt <= :now",
+                            ExpressionAttributeNames: { "#deletedAt": "deletedAt", "#expiresAt": "expiresAt" },
+                            ExpressionAttributeValues: { ":now": now },
+                            ReturnValues: "NONE"
+                        }
+                    }, true);
+                } catch (error) {
+                    if (error.name === 'ConditionalCheckFailedException') {
+                        return;
+                    }
+                    throw error;
+                }
+
+                summary[table] += 1;
+                if (key) {
+                    objectKeys.push(key);
+                }
+                if (thumbnailKey) {
+                    objectKeys.push(thumbnailKey);
+                }
+                if (playbackManifestKey) {
+                    // The playlists and segments of the HLS renditions are stored under the directory of the master playlist
+                    const prefix = playbackManifestKey.replace(/[^/]*$/, '');
+                    let ContinuationToken;
+                    do {
+                        const response = await s3Client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+                        objectKeys.push(...(response.Contents || []).map(({ Key }) => Key));
+                        ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+                    } while (ContinuationToken);
+                }
+            }
+        }, true);
+    }
+
+    // DeleteObjects accepts at most 1000 keys per request
+    for (let index = 0; index < objectKeys.length; index += 1000) {
+        const keys = objectKeys.slice(index, index + 1000);
+        const response = await s3Client.send(new DeleteObjectsCommand({
+            Bucket: bucket,
+            Delete: { Objects: keys.map((Key) => ({ Key })), Quiet: true },
+        }));
+
+        const errors = response.Errors || [];
+        errors.forEach(({ Key, Code, Message }) => console.error(`Unable to delete object ${Key}: ${Code} ${Message}`));
+        summary.objects += keys.length - errors.length;
+        summary.failedObjects.push(...errors.map(({ Key }) => Key));
+    }
+
+    return summary;
+};
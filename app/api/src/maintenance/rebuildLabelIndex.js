@@ -0,0 +1,66 @@
+import { labelIndexEntries } from '../resolvers/functions.js';
+
+/**
+ * Rebuilds the label index of snippets, which lists the snippets of each user's label for snippetsByLabels.
+ *
+ * The mutations keep the index in sync as snippets change, so a rebuild is only needed to index existing snippets, or
+ * to repair entries left behind by a failed write. Every entry of a snippet outside the trash is written again, and
+ * entries that no longer match their snippet are removed. Such an entry is checked against a fresh read of its snippet
+ * before it is removed, so that snippets written while the rebuild runs keep their entries.
+ * @param {Object} rebuildParams - Parameters for the rebuild.
+ * @param {DynamoDBModel} rebuildParams.model - The model used to read the snippets and write the index.
+ * @param {number} [rebuildParams.segments=4] - The number of parallel scan segments per table.
+ * @returns {Promise<{indexed: number, removed: number}>} - The number of entries written and removed.
+ */
+export const rebuildLabelIndex = async ({ model, segments = 4 }) => {
+    const summary = { indexed: 0, removed: 0 };
+    const expected = new Set();
+    const entries = [];
+
+    await model.parallelScan("snippet", {
+        segments,
+        filter: { and: [{ path: "deletedAt", op: "not_exists" }, { path: "labels", op: "exists" }] },
+        other_params: { ProjectionExpression: "userId, id, labels" },
+        onItem: (snippet) => {
+            labelIndexEntries(snippet.userId, snippet).forEach((entry) => {
+                expected.add(`${entry.labelKey}/${entry.snippetId}`);
+                entries.push(entry);
+            });
+        }
+    }, true);
+
+    if (entries.length > 0) {
+        await model.batchWriteItem({ batch_items: { snippetLabel: { put: entries } } }, true);
+        summary.indexed = entries.length;
+    }
+
+    const candidates = [];
+    await model.parallelScan("snippetLabel", {
+        segments,
+        onItem: (entry) => {
+            if (!expected.has(`${entry.labelKey}/${entry.snippetId}`)) {
+                candidates.push(entry);
+            }
+        }
+    }, true);
+
+    for (let index = 0; index < candidates.length; index += 100) {
+        const batch = candidates.slice(index, index + 100);
+        const { snippet } = await model.batchGetItem({
+            batch_items: { snippet: { get: batch.map(({ userId, snippetId }) => ({ userId, id: snippetId })) } },
+            other_params: { ConsistentRead: true }
+        }, true);
+
+        const current = new Set(snippet.flatMap((item) => labelIndexEntries(item.userId, item).map(({ labelKey, snippetId }) => `${labelKey}/${snippetId}`)));
+        const stale = batch
+            .filter(({ labelKey, snippetId }) => !current.has(`${labelKey}/${snippetId}`))
+            .map(({ labelKey, snippetId }) => ({ labelKey, snippetId }));
+
+        if (stale.length > 0) {
+            await model.batchWriteItem({ batch_items: { snippetLabel: { delete: stale } } }, true);
+            summary.removed += stale.length;
+        }
+    }
+
+    return summary;
+};
@@ -0,0 +1,69 @@
+import { searchIndexEntries } from '../resolvers/functions.js';
+
+/**
+ * Rebuilds the search index, which lists the terms in the names and descriptions of each user's videos and snippets.
+ *
+ * As with the label index, the mutations keep the search index in sync, so a rebuild only indexes existing items and
+ * repairs entries left behind by a failed write. Entries that no longer match their item are checked against a fresh
+ * read of the item before they are removed.
+ * @param {Object} rebuildParams - Parameters for the rebuild.
+ * @param {DynamoDBModel} rebuildParams.model - The model used to read the videos and snippets and write the index.
+ * @param {number} [rebuildParams.segments=4] - The number of parallel scan segments per table.
+ * @returns {Promise<{indexed: number, removed: number}>} - The number of entries written and removed.
+ */
+export const rebuildSearchIndex = async ({ model, segments = 4 }) => {
+    const summary = { indexed: 0, removed: 0 };
+    const expected = new Set();
+    const entries = [];
+
+    for (const table of ["video", "snippet"]) {
+        await model.parallelScan(table, {
+            segments,
+            filter: { path: "deletedAt", op: "not_exists" },
+            other_params: { ProjectionExpression: table === "video" ? "userId, id, name, description" : "userId, id, name" },
+            onItem: (item) => {
+                searchIndexEntries(item.userId, table, item).forEach((entry) => {
+                    expected.add(`${entry.userId}/${entry.entryKey}`);
+                    entries.push(entry);
+                });
+            }
+        }, true);
+    }
+
+    if (entries.length > 0) {
+        await model.batchWriteItem({ batch_items: { searchIndex: { put: entries } } }, true);
+        summary.indexed = entries.length;
+    }
+
+    const candidates = [];
+    await model.parallelScan("searchIndex", {
+        segments,
+        onItem: (entry) => {
+            if (!expected.has(`${entry.userId}/${entry.entryKey}`)) {
+                candidates.push(entry);
+            }
+        }
+    }, true);
+
+    for (let index = 0; index < candidates.length; index += 100) {
+        const batch = candidates.slice(index, index + 100);
+        const batchItems = {};
+        batch.forEach(({ userId, entityType, entityId }) => {
+            batchItems[entityType] = batchItems[entityType] || { get: [] };
+            batchItems[entityType].get.push({ userId, id: entityId });
+        });
+        const items = await model.batchGetItem({ batch_items: batchItems, other_params: { ConsistentRead: true } }, true);
+
+        const current = new Set(Object.entries(items).flatMap(([entityType, tableItems]) => tableItems.flatMap((item) => searchIndexEntries(item.userId, entityType, item).map(({ userId, entryKey }) => `${userId}/${entryKey}`))));
+        const stale = batch
+            .filter(({ userId, entryKey }) => !current.has(`${userId}/${entryKey}`))
+            .map(({ userId, entryKey }) => ({ userId, entryKey }));
+
+        if (stale.length > 0) {
+            await model.batchWriteItem({ batch_items: { searchIndex: { delete: stale } } }, true);
+            summary.removed += stale.length;
+        }
+    }
+
+    return summary;
+};
@@ -1,4 +1,4 @@
-import { PutItemCommand, GetItemCommand, QueryCommand, UpdateItemCommand, DeleteItemCommand, ScanCommand, BatchGetItemCommand, BatchWriteItemCommand } from '@aws-sdk/client-dynamodb';
+import { PutItemCommand, GetItemCommand, QueryCommand, UpdateItemCommand, DeleteItemCommand, ScanCommand, BatchGetItemCommand, BatchWriteItemCommand, TransactWriteItemsCommand, TransactGetItemsCommand } from '@aws-sdk/client-dynamodb';
 
 /**
  * @classdesc A higher-level abstraction class for performing CRUD operations on a DynamoDB table in an Apollo GraphQL server.
@@ -240,7 +240,7 @@ class DynamoDBModel {
         try {
             return await operation();
         } catch (error) {
-            if (retryableErrors.includes(error.code)) {
+            if (retryableErrors.includes(error.name) || retryableErrors.includes(error.code)) {
                 if (retryCount < retryOptions.maxRetries) {
                     // Calculate delay using exponential backoff formula
                     const delay = Math.pow(retryOptions.exponent, retryCount) * retryOptions.baseDelay;
@@ -263,12 +263,93 @@ class DynamoDBModel {
         }
     }
 
+    /**
+     * Encodes a DynamoDB key (e.g. a LastEvaluatedKey) into an opaque cursor string that can be handed to clients.
+     * @param {Object} key - The key in plain JavaScript format, or null if there are no more pages.
+     * @returns {string|null} - A base64url encoded cursor, or null if no key is provided.
+     */
+    static encodeCursor(key) {
+        if (!key || typeof key !== 'object' || Object.keys(key).length === 0) {
+            return null;
+        }
+
+        return Buffer.from(JSON.stringify(key)).toString('base64url');
+    }
+
+    /**
+     * Decodes a cursor produced by encodeCursor back into a plain JavaScript key.
+     * @param {string} cursor - The cursor to decode.
+     * @returns {Object} - The decoded key in plain JavaScript format.
+     * @throws {Error} - If the cursor is malformed.
+     */
+    static decodeCursor(cursor) {
+        let key;
+        try {
+            key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+        } catch (error) {
+            throw new Error(`Invalid cursor "${cursor}".`);
+        }
+
+        if (typeof key !== 'object' || key === null || Array.isArray(key)) {
+            throw new Error(`Invalid cursor "${cursor}".`);
+        }
+
+        return key;
+    }
+
+    /**
+     * Returns the names of the key attributes that make up a LastEvaluatedKey for the table or one of its indexes.
+     * @param {String} table - The target table.
+     * @param {string} [indexName=null] - The name of the index (optional).
+     * @returns {string[]} - The key attribute names.
+     */
+    getKeyAttributes(table, indexName = null) {
+        if (!this.config[table]) {
+            throw new Error(`Table "${table}" does not exist.`);
+        }
+
+        const { hash_key, range_key, indexes } = this.config[table];
+        const keyAttributes = [hash_key, range_key];
+
+        if (indexName) {
+            if (!indexes || !indexes[indexName]) {
+                throw new Error(`Index "${indexName}" is not defined for table "${table}".`);
+            }
+            keyAttributes.push(indexes[indexName].hash_key, indexes[indexName].range_key);
+        }
+
+        return Array.from(new Set(keyAttributes.filter(Boolean)));
+    }
+
+    /**
+     * Builds a cursor pointing at a specific item, so that a subsequent query or scan resumes right after it.
+     * @param {String} table - The target table.
+     * @param {Object} item - The item in plain JavaScript format. It must include all key attributes of the table (and index, if provided).
+     * @param {string} [indexName=null] - The name of the index the item was read from (optional).
+     * @returns {string} - The encoded cursor.
+     */
+    getItemCursor(table, item, indexName = null) {
+        const key = {};
+        for (const attribute of this.getKeyAttributes(table, indexName)) {
+            if (item[attribute] === undefined) {
+                throw new Error(`Unable to build cursor: item is missing key attribute "${attribute}".`);
+            }
+            key[attribute] = item[attribute];
+        }
+
+        return DynamoDBModel.encodeCursor(key);
+    }
+
     /**
      * Creates an item in the DynamoDB table.
      * @param {String} table - The target table to perform operation on.
      * @param {Object} item - The item to be created. It should include the hash key and range key(s) of all indexes.
      * @param {boolean} [retry=false] - Whether to retry the operation on error. Retry parameters are set on model construction.
-     * @returns {Promise<any>} - A promise that resolves to the result of the operation if successful, or throws an error if retries are exhausted or an error occurs.
+     * @param {Object} [options={}] - Write options.
+     * @param {boolean} [options.overwrite=false] - Whether an existing item with the same key may be replaced. By default the write fails with a ConditionalCheckFailedException if the item already exists.
+     * @param {number} [options.version] - When overwriting an item in a versioned table, the version the existing item is expected to have.
+     * @param {Object} [options.other_params] - Additional parameters, such as a ConditionExpression with its ExpressionAttributeNames and ExpressionAttributeValues. The ConditionExpression is combined with the model's own conditions using AND.
+     * @returns {Promise<Object>} - A promise that resolves to the created item, including its version attribute if the table is versioned, or throws an error if retries are exhausted or an error occurs.
      * @throws {Error} - If the item parameter is missing or not an object, or if it does not include the required key properties.
      *
      * @example
@@ -280,10 +361,10 @@ class DynamoDBModel {
      *   age: 30
      * };
      * 
-     * const result = await DynamoDBModel.createItem(item, true);
+     * const result = await DynamoDBModel.createItem("tableName", item, true);
      * console.log(result);
      */
-    async createItem(table, item, retry = false) {
+    async createItem(table, item, retry = false, { overwrite = false, version, other_params = {} } = {}) {
         if (!this.config.hasOwnProperty(table)) {
             throw new Error(`Table "${table}" does not exist`);
         }
@@ -301,15 +382,25 @@ class DynamoDBModel {
             throw new Error(`The item parameter must include the range key property: ${range_key}`);
         }
 
+        const versionedItem = this.withVersion(table, item, overwrite ? version : undefined);
+        const { ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues, ...others } = other_params;
         const params = {
             TableName: table_name,
-            Item: this.convertToDynamoDBAttributeValue(item, table),
+            Item: this.convertToDynamoDBAttributeValue(versionedItem, table),
+            ...this.buildConditionExpression(table, {
+                exists: overwrite ? undefined : false,
+                version: overwrite ? version : undefined,
+                ConditionExpression,
+                ExpressionAttributeNames,
+                ExpressionAttributeValues
+            }),
+            ...others
         };
 
-        const response = retry ? await DynamoDBModel.retryWithBackoff(async () => {
+        retry ? await DynamoDBModel.retryWithBackoff(async () => {
             return await this.dynamodbClient.send(new PutItemCommand(params))
         }) : await this.dynamodbClient.send(new PutItemCommand(params));
-        return response
+        return versionedItem
     }
 
     /**
@@ -386,6 +477,11 @@ class DynamoDBModel {
             }
 
             Object.assign(params, others);
+
+            // DynamoDB rejects empty expression attribute maps
+            if (Object.keys(params.ExpressionAttributeNames).length === 0) {
+                delete params.ExpressionAttributeNames;
+            }
         }
 
         const response = retry ? await DynamoDBModel.retryWithBackoff(async () => { return await this.dynamodbClient.send(new GetItemCommand(params)) }) : await this.dynamodbClient.send(new GetItemCommand(params));
@@ -401,9 +497,11 @@ class DynamoDBModel {
      * @param {Object} queryParams.range_key - The sort key conditions object.
      * @param {string} queryParams.range_key.operation - The operation to apply on the sort key (allowed values: "between," "gt," "lt", "ge", "le" "begins_with," "equals").
      * @param {*} queryParams.range_key.value - The value to use in the range key condition. Can be of any valid DynamoDB data type.
-     * @param {string} [indexName=null] - The name of the index to query (optional).
+     * @param {string} [queryParams.index_name=null] - The name of the index to query (optional).
+     * @param {Object} [queryParams.filter] - A structured filter, as described in buildFilterExpression, applied to the query results (optional). Combined with any FilterExpression in other_params using AND.
+     * @param {string} [queryParams.cursor] - A cursor returned by a previous call, to resume the query from where it stopped (optional).
      * @param {boolean} [retry=false] - Whether to retry the operation on error.
-     * @returns {Promise<any>} - A promise that resolves to the query results if successful, or throws an error if retries are exhausted or an error occurs.
+     * @returns {Promise<{items: Object[], cursor: string|null}>} - A promise that resolves to a page of query results and a cursor for the next page (null if this is the last page), or throws an error if retries are exhausted or an error occurs.
      * @throws {Error} - If the query parameters are missing or invalid, or if an unsupported operation is provided in the sort key conditions.
      *
      * @example
@@ -414,11 +512,10 @@ class DynamoDBModel {
      *     operation: 'gt',
      *     value: 10,
      *   },
-     * };
-     * other_params: {
+     *   cursor: previousPage.cursor,
+     *   other_params: {
      *     ProjectionExpression: "Field_1, Field_2",
      *     Limit: 10,
-     *     ExclusiveStartKey: LastEvaluatedKey,
      *     FilterExpression: "#NAME = :n",
      *     ExpressionAttributeNames: {
      *       "#NAME": "Name",
@@ -429,10 +526,10 @@ class DynamoDBModel {
      *   }
      * };
      * 
-     * const result = await DynamoDBModel.queryItems(queryParams, "exampleIndexName", true);
-     * console.log(result);
+     * const { items, cursor } = await DynamoDBModel.queryItems("tableName", queryParams, true);
+     * console.log(items, cursor);
      */
-    async queryItems(table, { hash_key, range_key: sortKeyConditions, index_name: indexName, other_params }, retry = false) {
+    async queryItems(table, { hash_key, range_key: sortKeyConditions, index_name: indexName, filter, cursor, other_params }, retry = false) {
         if (!this.config[table]) {
             throw new Error(`Table "${table}" does not exist.`);
         }
@@ -475,7 +572,7 @@ class DynamoDBModel {
 
             params.ExpressionAttributeValues = {
                 ...(params.ExpressionAttributeValues || {}),
-                ...(ExpressionAttributeValues ? convertToDynamoDBAttributeValue(ExpressionAttributeValues, table) : {})
+                ...(ExpressionAttributeValues ? this.convertToDynamoDBAttributeValue(ExpressionAttributeValues) : {})
             };
 
             if (ProjectionExpression) {
@@ -525,11 +622,22 @@ class DynamoDBModel {
             }
         }
 
+        if (filter) {
+            this.applyFilter(table, params, filter);
+        }
+
+        if (cursor) {
+            params.ExclusiveStartKey = this.convertToDynamoDBAttributeValue(DynamoDBModel.decodeCursor(cursor), table);
+        }
+
         const response = retry
             ? await DynamoDBModel.retryWithBackoff(async () => { return await this.dynamodbClient.send(new QueryCommand(params)) })
             : await this.dynamodbClient.send(new QueryCommand(params));
 
-        return response.Items ? response.Items.map(DynamoDBModel.convertToObject) : [];
+        return {
+            items: response.Items ? response.Items.map(DynamoDBModel.convertToObject) : [],
+            cursor: response.LastEvaluatedKey ? DynamoDBModel.encodeCursor(DynamoDBModel.convertToObject(response.LastEvaluatedKey)) : null,
+        };
     }
 
 
@@ -540,9 +648,11 @@ class DynamoDBModel {
      * @param {Object} scanParams.ExpressionAttributeValues - Expression attribute values for the scan operation.
      * @param {Object} scanParams.ExpressionAttributeNames - Expression attribute names for the scan operation (optional).
      * @param {string} scanParams.FilterExpression - Filter expression for the scan operation (optional).
+     * @param {Object} [scanParams.filter] - A structured filter, as described in buildFilterExpression (optional). Combined with FilterExpression using AND.
+     * @param {string} [scanParams.cursor] - A cursor returned by a previous call, to resume the scan from where it stopped (optional).
      * @param {Object} [scanParams.other_params] - Additional parameters for the scan operation (optional).
      * @param {boolean} [retry=false] - Whether to retry the operation in case of errors. Retry parameters are set on Model construction.
-     * @returns {Promise<any>} - Promise resolving to the result of the scan operation.
+     * @returns {Promise<{items: Object[], cursor: string|null}>} - Promise resolving to a page of scanned items and a cursor for the next page (null if this is the last page).
      * @throws {Error} - If an error occurs during the scan operation.
      *
      * @example
@@ -554,14 +664,14 @@ class DynamoDBModel {
      *     "#field": "fieldName",
      *   },
      *   FilterExpression: "attribute_exists(#field) AND begins_with(#field = :value)",
+     *   cursor: previousPage.cursor,
      *   other_params: {
      *     ProjectionExpression: "#field, otherField",
      *     Limit: 10,
-     *     ExclusiveStartKey: LastEvaluatedKey,
      *   }
      * };
-     * const result = await DynamoDBModel.scanItems(scanParams, true);
-     * console.log(result);
+     * const { items, cursor } = await DynamoDBModel.scanItems("tableName", scanParams, true);
+     * console.log(items, cursor);
      *
      * Accepted operations in FilterExpression:
      *   - comparator operand
@@ -589,7 +699,7 @@ class DynamoDBModel {
      *   - contains (path, operand)
      *   - size (path)
      */
-    async scanItems(table, { ExpressionAttributeValues, ExpressionAttributeNames, FilterExpression, other_params }, retry = false) {
+    async scanItems(table, { ExpressionAttributeValues, ExpressionAttributeNames, FilterExpression, filter, cursor, other_params }, retry = false) {
         // Validate ExpressionAttributeValues parameter if provided
         if (ExpressionAttributeValues && typeof ExpressionAttributeValues !== 'object') {
             throw new Error('Invalid ExpressionAttributeValues parameter. Expected an object.');
@@ -609,6 +719,10 @@ class DynamoDBModel {
         if (other_params && typeof other_params !== 'object') {
             throw new Error('Invalid other_params parameter. Expected an object.');
         }
+        if (!this.config[table]) {
+            throw new Error(`Table "${table}" does not exist.`);
+        }
+
         const table_name = this.config[table].table_name
         const params = {
             TableName: table_name,
@@ -632,7 +746,7 @@ class DynamoDBModel {
 
             params.ExpressionAttributeValues = {
                 ...(params.ExpressionAttributeValues || {}),
-                ...(ExpressionAttributeValues ? convertToDynamoDBAttributeValue(ExpressionAttributeValues, table) : {})
+                ...(ExpressionAttributeValues ? this.convertToDynamoDBAttributeValue(ExpressionAttributeValues) : {})
             };
 
             if (ProjectionExpression) {
@@ -648,9 +762,241 @@ class DynamoDBModel {
             Object.assign(params, others);
         }
 
-        const response = retry ? await DynamoDBModel.retryWithBackoff(async () => { }) : await this.dynamodbClient.send(new ScanCommand(params));
+        if (filter) {
+            this.applyFilter(table, params, filter);
+        }
+
+        // DynamoDB rejects empty expression attribute maps, which a filter without values would otherwise leave behind
+        ['ExpressionAttributeNames', 'ExpressionAttributeValues'].forEach((field) => {
+            if (params[field] && Object.keys(params[field]).length === 0) {
+                delete params[field];
+            }
+        });
+
+        if (cursor) {
+            params.ExclusiveStartKey = this.convertToDynamoDBAttributeValue(DynamoDBModel.decodeCursor(cursor), table);
+        }
+
+        const response = retry ? await DynamoDBModel.retryWithBackoff(async () => { return await this.dynamodbClient.send(new ScanCommand(params)) }) : await this.dynamodbClient.send(new ScanCommand(params));
+
+        return {
+            items: response.Items ? response.Items.map(DynamoDBModel.convertToObject) : [],
+            cursor: response.LastEvaluatedKey ? DynamoDBModel.encodeCursor(DynamoDBModel.convertToObject(response.LastEvaluatedKey)) : null,
+        };
+    }
+
+    /**
+     * Iterates over every item matching a query, following LastEvaluatedKey until the last page.
+     * @param {String} table - The target table to perform operation on.
+     * @param {Object} queryParams - The query parameters, as accepted by queryItems. A cursor starts the iteration from where a previous query stopped.
+     * @param {boolean} [retry=false] - Whether to retry each page request on error.
+     * @yields {Object} - The items, in query order.
+     * @throws {Error} - If the query parameters are invalid or a page request fails.
+     *
+     * @example
+     * for await (const snippet of DynamoDBModel.queryAll("snippet", { index_name: "videoId-id", hash_key: videoId })) {
+     *   console.log(snippet.id);
+     * }
+     */
+    async *queryAll(table, queryParams, retry = false) {
+        let cursor = queryParams.cursor || null;
+        do {
+            const page = await this.queryItems(table, { ...queryParams, cursor }, retry);
+            yield* page.items;
+            cursor = page.cursor;
+        } while (cursor);
+    }
 
-        return response.Items ? response.Items.map(DynamoDBModel.convertToObject) : []
+    /**
+     * Iterates over every item of a table matching a scan, following LastEvaluatedKey until the last page.
+     * @param {String} table - The target table to perform operation on.
+     * @param {Object} scanParams - The scan parameters, as accepted by scanItems. A cursor starts the iteration from where a previous scan stopped.
+     * @param {boolean} [retry=false] - Whether to retry each page request on error.
+     * @yields {Object} - The scanned items.
+     * @throws {Error} - If the scan parameters are invalid or a page request fails.
+     *
+     * @example
+     * for await (const video of DynamoDBModel.scanAll("video", { other_params: { ProjectionExpression: "userId, id, key" } })) {
+     *   console.log(video.key);
+     * }
+     */
+    async *scanAll(table, scanParams = {}, retry = false) {
+        let cursor = scanParams.cursor || null;
+        do {
+            const page = await this.scanItems(table, { ...scanParams, cursor }, retry);
+            yield* page.items;
+            cursor = page.cursor;
+        } while (cursor);
+    }
+
+    /**
+     * Scans an entire table in Segments of TotalSegments, read by a bounded pool of concurrent workers, and merges their results.
+     * Each worker reads one segment at a time and takes the next unread segment when it finishes, so no more than `concurrency` scans are ever in flight.
+     * @param {String} table - The target table to perform operation on.
+     * @param {Object} [scanParams={}] - The scan parameters, as accepted by scanItems. A cursor is not supported, as each segment keeps its own position.
+     * @param {number} [scanParams.segments=4] - The number of segments to split the scan into, up to DynamoDB's limit of 1000000.
+     * @param {number} [scanParams.concurrency] - The number of segments read at once, from 1 to 16. Defaults to the number of segments, capped at 16.
+     * @param {Function} [scanParams.onItem] - An optional async callback invoked with each item as its segment reads it, e.g. to process a large table without keeping it in memory. When given, items are not collected.
+     * @param {boolean} [retry=false] - Whether to retry each page request on error.
+     * @returns {Promise<Object[]>} - A promise that resolves to the items of all segments, or to an empty array when onItem is given. Items are grouped by segment, not in key order.
+     * @throws {Error} - If the parameters are invalid or any segment fails. The other segments then stop at their next item.
+     *
+     * @example
+     * const snippets = await DynamoDBModel.parallelScan("snippet", { segments: 8, filter: { path: "labels", op: "contains", value: 1 } }, true);
+     *
+     * await DynamoDBModel.parallelScan("video", {
+     *   segments: 4,
+     *   onItem: async (video) => reconcile(video),
+     * });
+     */
+    async parallelScan(table, { segments = 4, concurrency = Math.min(segments, 16), onItem, cursor, ...scanParams } = {}, retry = false) {
+        if (!Number.isInteger(segments) || segments < 1 || segments > 1000000) {
+            throw new Error(`Invalid segments parameter "${segments}". Expected an integer between 1 and 1000000.`);
+        }
+
+        if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 16) {
+            throw new Error(`Invalid concurrency parameter "${concurrency}". Expected an integer between 1 and 16.`);
+        }
+
+        if (onItem !== undefined && typeof onItem !== 'function') {
+            throw new Error('Invalid onItem parameter. Expected a function.');
+        }
+
+        if (cursor) {
+            throw new Error('Invalid cursor parameter. A parallel scan cannot be resumed from a cursor.');
+        }
+
+        let failed = false;
+        const scanSegment = async (segment) => {
+            const items = [];
+            const segmentParams = {
+                ...scanParams,
+                other_params: { ...(scanParams.other_params || {}), Segment: segment, TotalSegments: segments },
+            };
+
+            try {
+                for await (const item of this.scanAll(table, segmentParams, retry)) {
+                    if (onItem) {
+                        await onItem(item);
+                    } else {
+                        items.push(item);
+                    }
+                    if (failed) {
+                        break;
+                    }
+                }
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+            return items;
+        };
+
+        const results = [];
+        let nextSegment = 0;
+        const worker = async () => {
+            while (!failed && nextSegment < segments) {
+                const segment = nextSegment++;
+                results[segment] = await scanSegment(segment);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(concurrency, segments) }, worker));
+        return results.flat();
+    }
+
+    /**
+     * Compiles a structured filter and merges it into the FilterExpression and expression attributes of query or scan parameters.
+     * @param {String} table - The target table.
+     * @param {Object} params - The request parameters to modify.
+     * @param {Object} filter - The filter to apply, as described in buildFilterExpression.
+     * @returns {Object} - The modified request parameters.
+     */
+    applyFilter(table, params, filter) {
+        const { FilterExpression, ExpressionAttributeNames, ExpressionAttributeValues } = this.buildFilterExpression(table, filter);
+
+        params.FilterExpression = params.FilterExpression ? `(${params.FilterExpression}) AND (${FilterExpression})` : FilterExpression;
+        params.ExpressionAttributeNames = { ...(params.ExpressionAttributeNames || {}), ...ExpressionAttributeNames };
+        params.ExpressionAttributeValues = { ...(params.ExpressionAttributeValues || {}), ...ExpressionAttributeValues };
+        return params;
+    }
+
+    /**
+     * Evaluates a structured filter against an item that has already been read, e.g. by getItem or batchGetItem, which
+     * do not support a FilterExpression. Conditions behave as they would in a FilterExpression: comparisons between
+     * values of different types and conditions on missing attributes are false, except for "ne" and "not_exists".
+     * @param {String} table - The table the item belongs to.
+     * @param {Object} item - The item, in plain JavaScript format.
+     * @param {Object} filter - The filter to evaluate, as described in buildFilterExpression.
+     * @returns {boolean} - Whether the item matches the filter.
+     * @throws {Error} - If the filter is invalid, exactly as buildFilterExpression would.
+     */
+    matchesFilter(table, item, filter) {
+        this.buildFilterExpression(table, filter);
+
+        const comparable = (a, b) => (typeof a === 'number' || typeof a === 'string') && typeof a === typeof b;
+        const equals = (a, b) => {
+            if (Array.isArray(a) && Array.isArray(b)) {
+                // Sets are unordered, so they are compared by their sorted elements
+                const sort = (values) => values.map((value) => JSON.stringify(value)).sort();
+                return JSON.stringify(sort(a)) === JSON.stringify(sort(b));
+            }
+            return JSON.stringify(a) === JSON.stringify(b);
+        };
+        const sizeOf = (value) => {
+            if (typeof value === 'string' || Array.isArray(value)) {
+                return value.length;
+            }
+            return value && typeof value === 'object' ? Object.keys(value).length : undefined;
+        };
+
+        const evaluate = (node) => {
+            if (node.and) {
+                return node.and.every(evaluate);
+            }
+            if (node.or) {
+                return node.or.some(evaluate);
+            }
+            if (node.not) {
+                return !evaluate(node.not);
+            }
+
+            const { path, op, value, size } = node;
+            const attribute = path.split('.').reduce((current, segment) => (current && typeof current === 'object' && !Array.isArray(current) ? current[segment] : undefined), item);
+            const operand = size ? sizeOf(attribute) : attribute;
+
+            switch (op.toLowerCase()) {
+                case 'eq':
+                    return operand !== undefined && equals(operand, value);
+                case 'ne':
+                    return operand === undefined || !equals(operand, value);
+                case 'lt':
+                    return comparable(operand, value) && operand < value;
+                case 'le':
+                    return comparable(operand, value) && operand <= value;
+                case 'gt':
+                    return comparable(operand, value) && operand > value;
+                case 'ge':
+                    return comparable(operand, value) && operand >= value;
+                case 'between':
+                    return comparable(operand, value[0]) && comparable(operand, value[1]) && operand >= value[0] && operand <= value[1];
+                case 'in':
+                    return operand !== undefined && value.some((candidate) => equals(operand, candidate));
+                case 'begins_with':
+                    return typeof operand === 'string' && operand.startsWith(value);
+                case 'contains':
+                    if (typeof operand === 'string') {
+                        return typeof value === 'string' && operand.includes(value);
+                    }
+                    return Array.isArray(operand) && operand.some((element) => equals(element, value));
+                case 'exists':
+                    return operand !== undefined;
+                case 'not_exists':
+                    return operand === undefined;
+            }
+        };
+
+        return evaluate(filter);
     }
 
     /**
@@ -658,11 +1004,12 @@ class DynamoDBModel {
      * @param {String} table - The target table to perform operation on.
      * @param {Object} updateParams - Parameters for the update operation.
      * @param {Object} updateParams.key - Key of the item to be updated. Must include the hash key and range key if applicable.
-     * @param {Object} updateParams.updates - Updates to be applied to the item.
-     * @param {Object} [updateParams.other_params] - Additional parameters for the update operation (optional).
+     * @param {Object} updateParams.updates - Updates to be applied to the item. Besides plain attribute values, supports nested map paths and the $remove, $add, $delete, $append and $if_not_exists operators described in buildUpdateExpression.
+     * @param {number} [updateParams.version] - The version the item is expected to have. Only applies to versioned tables, where every update also increments the version attribute.
+     * @param {Object} [updateParams.other_params] - Additional parameters for the update operation (optional). A ConditionExpression is combined with the model's own conditions using AND.
      * @param {boolean} [retry=false] - Whether to retry the operation in case of errors. Retry parameters are set on Model construction.
      * @returns {Promise<any>} - Promise resolving to the updated item.
-     * @throws {Error} - If an error occurs during the update operation or required parameters are missing or invalid.
+     * @throws {Error} - If an error occurs during the update operation or required parameters are missing or invalid. The update never creates a new item: if the item does not exist, or its version does not match, a ConditionalCheckFailedException is thrown.
      *
      * @example
      * const updateParams = {
@@ -673,7 +1020,10 @@ class DynamoDBModel {
      *   updates: {
      *     field1: "updatedValue1",
      *     field2: "updatedValue2",
+     *     $remove: ["field3"],
+     *     $add: { counter: 1 },
      *   },
+     *   version: 3,
      *   other_params: {
      *     ReturnValues: "ALL_NEW",
      *   },
@@ -681,7 +1031,7 @@ class DynamoDBModel {
      * const updatedItem = await DynamoDBModel.updateItem(updateParams, true);
      * console.log(updatedItem);
      */
-    async updateItem(table, { key, updates, other_params = { ReturnValues: "ALL_NEW" } }, retry = false) {
+    async updateItem(table, { key, updates, version, other_params = { ReturnValues: "ALL_NEW" } }, retry = false) {
         // Validate key parameter
         if (!key || typeof key !== "object") {
             throw new Error("Invalid key parameter. Expected an object.");
@@ -700,46 +1050,443 @@ class DynamoDBModel {
             throw new Error(`The key parameter must include the range key property: ${range_key}`);
         }
 
+        const { ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues, ...others } = other_params;
+        const updateExpression = this.buildUpdateExpression(table, updates);
+        const conditionExpression = this.buildConditionExpression(table, {
+            exists: true,
+            version,
+            ConditionExpression,
+            ExpressionAttributeNames,
+            ExpressionAttributeValues
+        });
+
         const params = {
             TableName: table_name,
             Key: this.convertToDynamoDBAttributeValue(key, table),
-            UpdateExpression: "SET ",
-            ExpressionAttributeNames: {},
-            ExpressionAttributeValues: {},
-            ...other_params
+            UpdateExpression: updateExpression.UpdateExpression,
+            ConditionExpression: conditionExpression.ConditionExpression,
+            ExpressionAttributeNames: {
+                ...updateExpression.ExpressionAttributeNames,
+                ...conditionExpression.ExpressionAttributeNames
+            },
+            ExpressionAttributeValues: {
+                ...updateExpression.ExpressionAttributeValues,
+                ...conditionExpression.ExpressionAttributeValues
+            },
+            ...others
         };
 
-        const updateArray = []
-        Object.entries(this.convertToDynamoDBAttributeValue(updates, table)).forEach(([key, value]) => {
-            params.ExpressionAttributeNames[`#${key}`] = key
-            params.ExpressionAttributeValues[`:${key}`] = value
-            updateArray.push(`#${key} = :${key}`)
-        });
-        params.UpdateExpression += updateArray.join(", ")
-
         const response = retry ? await DynamoDBModel.retryWithBackoff(async () => { return await this.dynamodbClient.send(new UpdateItemCommand(params)) })
             : await this.dynamodbClient.send(new UpdateItemCommand(params));
 
         return response.Attributes ? DynamoDBModel.convertToObject(response.Attributes) : {}
     }
 
+    /**
+     * Resolves a dotted attribute path into an expression using attribute name placeholders, validating it against the table configuration.
+     * @param {String} table - The target table.
+     * @param {string} path - The attribute path, e.g. "name" or "meta.size.width". Nested paths are only allowed in map (M) attributes.
+     * @param {Object} ExpressionAttributeNames - The expression attribute names collected so far. Placeholders for the path are added to it.
+     * @returns {{attribute: string, attributeType: string, nested: boolean, expression: string}} - The top-level attribute and its type, whether the path is nested, and the path expression.
+     * @throws {Error} - If the path is malformed, the attribute is not defined for the table, or a nested path is used on a non-map attribute.
+     */
+    resolveAttributePath(table, path, ExpressionAttributeNames) {
+        const { attributes = {}, key_attributes = {} } = this.config[table];
+        const segments = typeof path === 'string' ? path.split('.') : [];
+        if (segments.length === 0 || segments.some((segment) => segment === '')) {
+            throw new Error(`Invalid attribute path "${path}" for table "${table}".`);
+        }
+
+        const [attribute] = segments;
+        const attributeType = attributes[attribute] || key_attributes[attribute];
+        if (!attributeType) {
+            throw new Error(`Attribute "${attribute}" is not defined for table "${table}".`);
+        }
+        if (segments.length > 1 && attributeType !== 'M') {
+            throw new Error(`Invalid attribute path "${path}" for table "${table}". Nested paths are only supported in map (M) attributes, but "${attribute}" is of type "${attributeType}".`);
+        }
+
+        const expression = segments.map((segment) => {
+            let placeholder = `#${segment.replace(/[^A-Za-z0-9_]/g, '_')}`;
+            if (ExpressionAttributeNames[placeholder] !== undefined && ExpressionAttributeNames[placeholder] !== segment) {
+                placeholder = `#path${Object.keys(ExpressionAttributeNames).length}`;
+            }
+            ExpressionAttributeNames[placeholder] = segment;
+            return placeholder;
+        }).join('.');
+
+        return { attribute, attributeType, nested: segments.length > 1, expression };
+    }
+
+    /**
+     * Builds the UpdateExpression and its expression attribute names and values for a set of updates.
+     *
+     * Plain entries of the updates object are SET on the item. Their keys may be dotted paths into map (M) attributes, e.g. "meta.size.width".
+     * The following operators are also supported:
+     *   - $remove: a list of attributes or nested map paths to REMOVE from the item.
+     *   - $add: an object of number (N) attributes to increment, or set (SS, NS, BS) attributes to add elements to. Missing attributes are created.
+     *   - $delete: an object of set (SS, NS, BS) attributes to remove elements from.
+     *   - $append: an object of list (L) attributes, or lists nested in a map, to append elements to. Missing lists are created.
+     *   - $if_not_exists: an object of attributes or nested map paths to SET only if they do not exist yet.
+     *
+     * Values of top-level attributes are validated against the attribute types of the table.
+     * @param {String} table - The target table, used to validate the attribute types of the updates.
+     * @param {Object} updates - Updates to be applied to the item.
+     * @returns {Object} - An object containing the UpdateExpression, ExpressionAttributeNames and ExpressionAttributeValues parameters.
+     * @throws {Error} - If no updates are provided, or an attribute is not defined for the table, is part of the primary key, or does not support the operation.
+     *
+     * @example
+     * const updates = {
+     *   name: "New name",
+     *   "meta.size.width": 1920,
+     *   $remove: ["description"],
+     *   $add: { views: 1, labels: [4] },
+     *   $delete: { tags: ["draft"] },
+     *   $append: { history: [{ action: "trimmed" }] },
+     *   $if_not_exists: { createdAt: "2023-06-14" },
+     * };
+     * const { UpdateExpression } = DynamoDBModel.buildUpdateExpression("tableName", updates);
+     * // SET #name = :update0, #meta.#size.#width = :update1, ... REMOVE #description ADD #views :update2, ...
+     */
+    buildUpdateExpression(table, updates) {
+        const { hash_key, range_key, version_attribute } = this.config[table];
+        const ExpressionAttributeNames = {};
+        const ExpressionAttributeValues = {};
+        const clauses = { SET: [], REMOVE: [], ADD: [], DELETE: [] };
+        const setTypes = ['SS', 'NS', 'BS'];
+
+        const resolvePath = (path, operation) => {
+            const [attribute] = typeof path === 'string' ? path.split('.') : [];
+            if (attribute === hash_key || attribute === range_key) {
+                throw new Error(`Invalid ${operation} on "${path}". The primary key of table "${table}" cannot be updated.`);
+            }
+            if (version_attribute && attribute === version_attribute) {
+                throw new Error(`The "${version_attribute}" attribute of table "${table}" is managed by the model and cannot be updated directly.`);
+            }
+
+            return this.resolveAttributePath(table, path, ExpressionAttributeNames);
+        };
+
+        const addValue = ({ attribute, nested }, value) => {
+            const placeholder = `:update${Object.keys(ExpressionAttributeValues).length}`;
+            // Values nested in a map are not described by the table configuration, so they are converted untyped
+            ExpressionAttributeValues[placeholder] = nested
+                ? this.convertToDynamoDBAttributeValue({ value }).value
+                : this.convertToDynamoDBAttributeValue({ [attribute]: value }, table)[attribute];
+            return placeholder;
+        };
+
+        const operatorEntries = (operator) => {
+            const operands = updates[operator];
+            if (typeof operands !== 'object' || operands === null || Array.isArray(operands)) {
+                throw new Error(`Invalid ${operator} parameter. Expected an object mapping attribute paths to values.`);
+            }
+            return Object.entries(operands);
+        };
+
+        for (const [key, value] of Object.entries(updates)) {
+            if (!key.startsWith('$')) {
+                const path = resolvePath(key, 'SET');
+                clauses.SET.push(`${path.expression} = ${addValue(path, value)}`);
+                continue;
+            }
+
+            switch (key) {
+                case '$remove':
+                    for (const removePath of Array.isArray(value) ? value : [value]) {
+                        clauses.REMOVE.push(resolvePath(removePath, key).expression);
+                    }
+                    break;
+                case '$add':
+                    for (const [addPath, addition] of operatorEntries(key)) {
+                        const path = resolvePath(addPath, key);
+                        if (path.nested || (path.attributeType !== 'N' && !setTypes.includes(path.attributeType))) {
+                            throw new Error(`Invalid ${key} on "${addPath}". Only top-level number (N) and set (SS, NS, BS) attributes support ADD.`);
+                        }
+                        clauses.ADD.push(`${path.expression} ${addValue(path, addition)}`);
+                    }
+                    break;
+                case '$delete':
+                    for (const [deletePath, elements] of operatorEntries(key)) {
+                        const path = resolvePath(deletePath, key);
+                        if (path.nested || !setTypes.includes(path.attributeType)) {
+                            throw new Error(`Invalid ${key} on "${deletePath}". Only top-level set (SS, NS, BS) attributes support DELETE.`);
+                        }
+                        clauses.DELETE.push(`${path.expression} ${addValue(path, elements)}`);
+                    }
+                    break;
+                case '$append':
+                    for (const [appendPath, elements] of operatorEntries(key)) {
+                        const path = resolvePath(appendPath, key);
+                        if (!Array.isArray(elements) || (!path.nested && path.attributeType !== 'L')) {
+                            throw new Error(`Invalid ${key} on "${appendPath}". Expected a list of elements to append to a list (L) attribute or a list nested in a map.`);
+                        }
+                        const emptyList = `:update${Object.keys(ExpressionAttributeValues).length}`;
+                        ExpressionAttributeValues[emptyList] = { L: [] };
+                        clauses.SET.push(`${path.expression} = list_append(if_not_exists(${path.expression}, ${emptyList}), ${addValue(path, elements)})`);
+                    }
+                    break;
+                case '$if_not_exists':
+                    for (const [defaultPath, defaultValue] of operatorEntries(key)) {
+                        const path = resolvePath(defaultPath, key);
+                        clauses.SET.push(`${path.expression} = if_not_exists(${path.expression}, ${addValue(path, defaultValue)})`);
+                    }
+                    break;
+                default:
+                    throw new Error(`Unsupported update operator "${key}". Supported operators are $remove, $add, $delete, $append and $if_not_exists.`);
+            }
+        }
+
+        if (Object.values(clauses).every((clause) => clause.length === 0)) {
+            throw new Error("Invalid updates parameter. At least one update is required.");
+        }
+
+        if (version_attribute) {
+            // Items written before versioning was enabled start counting from 0
+            ExpressionAttributeNames["#VERSION"] = version_attribute;
+            ExpressionAttributeValues[":VersionStart"] = { N: "0" };
+            ExpressionAttributeValues[":VersionIncrement"] = { N: "1" };
+            clauses.SET.push("#VERSION = if_not_exists(#VERSION, :VersionStart) + :VersionIncrement");
+        }
+
+        return {
+            UpdateExpression: Object.entries(clauses)
+                .filter(([, clause]) => clause.length > 0)
+                .map(([action, clause]) => `${action} ${clause.join(", ")}`)
+                .join(" "),
+            ExpressionAttributeNames,
+            ExpressionAttributeValues,
+        };
+    }
+
+    /**
+     * Compiles a structured filter into a FilterExpression (or ConditionExpression) with its expression attribute names and values.
+     * Attribute names and values are always bound through placeholders, so no part of the filter is interpolated into the expression.
+     *
+     * A filter is one of:
+     *   - { and: [filter, ...] } / { or: [filter, ...] }: all / any of the nested filters match.
+     *   - { not: filter }: the nested filter does not match.
+     *   - { path, op, value, size }: a condition on an attribute or nested map path, where op is one of:
+     *       - "eq", "ne", "lt", "le", "gt", "ge": compares the attribute with value.
+     *       - "between": value is a list [low, high], both inclusive.
+     *       - "in": value is a non-empty list of up to 100 candidates.
+     *       - "begins_with": value is a string prefix.
+     *       - "contains": value is a substring of a string, or an element of a set or list.
+     *       - "exists", "not_exists": whether the attribute is present. No value is used.
+     *     When size is true, comparisons, "between" and "in" apply to the size of the attribute (string length, number of elements) instead of its value.
+     *
+     * Operators are case-insensitive. Values of top-level attributes are validated against the attribute types of the table.
+     * @param {String} table - The target table, used to validate attribute paths and value types.
+     * @param {Object} filter - The filter to compile.
+     * @param {string} [placeholderPrefix="filter"] - Prefix for the value placeholders, to keep them apart from other expressions of the same request.
+     * @returns {Object} - An object containing the FilterExpression, ExpressionAttributeNames and ExpressionAttributeValues (in DynamoDB format) parameters.
+     * @throws {Error} - If the filter is malformed, refers to an attribute not defined for the table, or uses a value of the wrong type.
+     *
+     * @example
+     * const filter = {
+     *   and: [
+     *     { path: "userId", op: "eq", value: "exampleUserId" },
+     *     { or: [{ path: "labels", op: "contains", value: 1 }, { path: "labels", op: "contains", value: 2 }] },
+     *     { not: { path: "name", op: "begins_with", value: "Draft" } },
+     *     { path: "labels", size: true, op: "ge", value: 2 },
+     *   ]
+     * };
+     * const { FilterExpression } = DynamoDBModel.buildFilterExpression("snippet", filter);
+     * // #userId = :filter0 AND (contains(#labels, :filter1) OR contains(#labels, :filter2)) AND (NOT begins_with(#name, :filter3)) AND size(#labels) >= :filter4
+     */
+    buildFilterExpression(table, filter, placeholderPrefix = "filter") {
+        if (!this.config[table]) {
+            throw new Error(`Table "${table}" does not exist.`);
+        }
+
+        const ExpressionAttributeNames = {};
+        const ExpressionAttributeValues = {};
+        const comparators = { eq: "=", ne: "<>", lt: "<", le: "<=", gt: ">", ge: ">=" };
+        const setElementTypes = { SS: 'S', NS: 'N', BS: 'B' };
+
+        const addValue = (value, expectedType) => {
+            const attributeValue = this.convertToDynamoDBAttributeValue({ value }).value;
+            // Only scalar attribute types can be checked, documents and nested values are accepted as they are
+            if (['S', 'N', 'B', 'BOOL'].includes(expectedType) && attributeValue[expectedType] === undefined) {
+                throw new Error(`Invalid filter value ${JSON.stringify(value)} for table "${table}". Expected a value of type "${expectedType}".`);
+            }
+            const placeholder = `:${placeholderPrefix}${Object.keys(ExpressionAttributeValues).length}`;
+            ExpressionAttributeValues[placeholder] = attributeValue;
+            return placeholder;
+        };
+
+        const compile = (node, depth) => {
+            if (typeof node !== 'object' || node === null || Array.isArray(node)) {
+                throw new Error(`Invalid filter ${JSON.stringify(node)}. Expected an object.`);
+            }
+
+            // Filters may come from GraphQL input objects, which have no prototype
+            const fields = Object.keys(node).filter((field) => node[field] !== undefined && node[field] !== null);
+            const combinators = fields.filter((field) => ['and', 'or', 'not'].includes(field));
+            if (combinators.length > 1 || (combinators.length === 1 && fields.length > 1) || (combinators.length === 0 && !fields.includes('path'))) {
+                throw new Error(`Invalid filter ${JSON.stringify(node)}. Expected exactly one of "and", "or", "not" or a "path" condition.`);
+            }
+
+            if (combinators.length === 1) {
+                const combinator = combinators[0];
+                if (combinator === 'not') {
+                    return `(NOT ${compile(node.not, depth + 1)})`;
+                }
+                if (!Array.isArray(node[combinator]) || node[combinator].length === 0) {
+                    throw new Error(`Invalid "${combinator}" filter. Expected a non-empty list of filters.`);
+                }
+                const expressions = node[combinator].map((child) => compile(child, depth + 1));
+                const expression = expressions.join(` ${combinator.toUpperCase()} `);
+                return depth > 0 && expressions.length > 1 ? `(${expression})` : expression;
+            }
+
+            const { path, op, value, size } = node;
+            const operation = typeof op === 'string' ? op.toLowerCase() : op;
+            const { attributeType, nested, expression } = this.resolveAttributePath(table, path, ExpressionAttributeNames);
+            const operand = size ? `size(${expression})` : expression;
+            const valueType = size ? 'N' : (nested ? null : attributeType);
+
+            if (size && !['eq', 'ne', 'lt', 'le', 'gt', 'ge', 'between', 'in'].includes(operation)) {
+                throw new Error(`Invalid filter on "${path}". Size checks only support comparisons, "between" and "in".`);
+            }
+
+            switch (operation) {
+                case 'eq':
+                case 'ne':
+                case 'lt':
+                case 'le':
+                case 'gt':
+                case 'ge':
+                    return `${operand} ${comparators[operation]} ${addValue(value, valueType)}`;
+                case 'between':
+                    if (!Array.isArray(value) || value.length !== 2) {
+                        throw new Error(`Invalid "between" filter on "${path}". Expected a list of 2 values.`);
+                    }
+                    return `${operand} BETWEEN ${addValue(value[0], valueType)} AND ${addValue(value[1], valueType)}`;
+                case 'in':
+                    if (!Array.isArray(value) || value.length === 0 || value.length > 100) {
+                        throw new Error(`Invalid "in" filter on "${path}". Expected a list of 1 to 100 values.`);
+                    }
+                    return `${operand} IN (${value.map((candidate) => addValue(candidate, valueType)).join(", ")})`;
+                case 'begins_with':
+                    if (typeof value !== 'string') {
+                        throw new Error(`Invalid "begins_with" filter on "${path}". Expected a string value.`);
+                    }
+                    return `begins_with(${expression}, ${addValue(value, 'S')})`;
+                case 'contains':
+                    if (value === undefined || value === null) {
+                        throw new Error(`Invalid "contains" filter on "${path}". A value is required.`);
+                    }
+                    return `contains(${expression}, ${addValue(value, nested ? null : (setElementTypes[attributeType] || (attributeType === 'S' ? 'S' : null)))})`;
+                case 'exists':
+                    return `attribute_exists(${expression})`;
+                case 'not_exists':
+                    return `attribute_not_exists(${expression})`;
+                default:
+                    throw new Error(`Unsupported filter operator "${op}" on "${path}". Supported operators are eq, ne, lt, le, gt, ge, between, in, begins_with, contains, exists and not_exists.`);
+            }
+        };
+
+        return {
+            FilterExpression: compile(filter, 0),
+            ExpressionAttributeNames,
+            ExpressionAttributeValues,
+        };
+    }
+
+    /**
+     * Builds the ConditionExpression that guards a write, combining the model's existence and version checks with a caller-supplied condition.
+     * @param {String} table - The target table.
+     * @param {Object} conditions - The conditions to apply.
+     * @param {boolean} [conditions.exists] - true if the item must already exist, false if it must not exist, undefined to skip the existence check.
+     * @param {number} [conditions.version] - The version the item is expected to have. Ignored for tables without a version_attribute.
+     * @param {string} [conditions.ConditionExpression] - An additional condition supplied by the caller.
+     * @param {Object} [conditions.ExpressionAttributeNames] - Expression attribute names used by the caller's condition.
+     * @param {Object} [conditions.ExpressionAttributeValues] - Expression attribute values used by the caller's condition, in plain JavaScript format.
+     * @returns {Object} - An object containing the ConditionExpression, ExpressionAttributeNames and ExpressionAttributeValues parameters, omitting those that are empty.
+     */
+    buildConditionExpression(table, { exists, version, ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues }) {
+        const { hash_key, version_attribute } = this.config[table];
+        const names = { ...(ExpressionAttributeNames || {}) };
+        const values = ExpressionAttributeValues ? this.convertToDynamoDBAttributeValue(ExpressionAttributeValues) : {};
+        const conditions = [];
+
+        if (exists !== undefined) {
+            names["#PK"] = hash_key;
+            conditions.push(exists ? "attribute_exists(#PK)" : "attribute_not_exists(#PK)");
+        }
+
+        if (version_attribute && version !== undefined && version !== null) {
+            if (typeof version !== 'number') {
+                throw new Error(`Invalid version "${version}" for table "${table}". Expected a number value.`);
+            }
+            names["#VERSION"] = version_attribute;
+            values[":ExpectedVersion"] = { N: version.toString() };
+            conditions.push("#VERSION = :ExpectedVersion");
+        }
+
+        if (ConditionExpression) {
+            conditions.push(conditions.length > 0 ? `(${ConditionExpression})` : ConditionExpression);
+        }
+
+        const params = {};
+        if (conditions.length > 0) {
+            params.ConditionExpression = conditions.join(" AND ");
+        }
+        if (Object.keys(names).length > 0) {
+            params.ExpressionAttributeNames = names;
+        }
+        if (Object.keys(values).length > 0) {
+            params.ExpressionAttributeValues = values;
+        }
+
+        return params;
+    }
+
+    /**
+     * Returns a copy of an item with its version attribute set for a put, if the table is versioned.
+     * @param {String} table - The target table.
+     * @param {Object} item - The item to be written.
+     * @param {number} [version] - The version of the item being replaced, if any. New items start at version 1.
+     * @returns {Object} - The item to write.
+     */
+    withVersion(table, item, version) {
+        const { version_attribute } = this.config[table];
+        if (!version_attribute) {
+            return item;
+        }
+
+        return {
+            ...item,
+            [version_attribute]: typeof version === 'number' ? version + 1 : 1
+        };
+    }
+
     /**
      * Delete an item from the model's table based on the provided key.
      * @param {String} table - The target table to perform operation on.
-     * @param {Object} key - Key of the item to be deleted. Must include the hash key and range key if applicable.
+     * @param {Object} deleteParams - Parameters for the delete operation.
+     * @param {Object} deleteParams.key - Key of the item to be deleted. Must include the hash key and range key if applicable.
+     * @param {number} [deleteParams.version] - The version the item is expected to have. Only applies to versioned tables.
+     * @param {Object} [deleteParams.other_params] - Additional parameters for the delete operation (optional). A ConditionExpression is combined with the model's own conditions using AND.
      * @param {boolean} [retry=false] - Whether to retry the operation in case of errors. Retry parameters are set on Model construction.
      * @returns {Promise<any>} - Promise resolving to the deleted item.
      * @throws {Error} - If an error occurs during the delete operation or the key parameter is missing or invalid.
      *
      * @example
-     * const key = {
-     *   userId: "exampleUserId",
-     *   date: "exampleDate",
+     * const deleteParams = {
+     *   key: {
+     *     userId: "exampleUserId",
+     *     date: "exampleDate",
+     *   },
+     *   other_params: {
+     *     ReturnValues: "ALL_OLD",
+     *   },
      * };
-     * const deletedItem = await DynamoDBModel.deleteItem(key, true);
+     * const deletedItem = await DynamoDBModel.deleteItem("tableName", deleteParams, true);
      * console.log(deletedItem);
      */
-    async deleteItem(table, { key, other_params = { ReturnValues: "NONE" } }, retry = false) {
+    async deleteItem(table, { key, version, other_params = { ReturnValues: "NONE" } }, retry = false) {
         // Validate key parameter
         if (!key || typeof key !== "object") {
             throw new Error("Invalid key parameter. Expected an object.");
@@ -753,10 +1500,12 @@ class DynamoDBModel {
             throw new Error(`The key parameter must include the range key property: ${range_key}`);
         }
 
+        const { ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues, ...others } = other_params;
         const params = {
             TableName: table_name,
             Key: this.convertToDynamoDBAttributeValue(key, table),
-            ...other_params
+            ...this.buildConditionExpression(table, { version, ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues }),
+            ...others
         }
 
         const response = retry ? await DynamoDBModel.retryWithBackoff(async () => { return await this.dynamodbClient.send(new DeleteItemCommand(params)) }) : await this.dynamodbClient.send(new DeleteItemCommand(params))
@@ -764,14 +1513,50 @@ class DynamoDBModel {
     }
 
     /**
-     * Retrieve multiple items from the model's table based on the provided batch items.
+     * Sends a batch request and resends any unprocessed requests with an exponential backoff until they are all processed or the retries are exhausted.
+     * @param {Function} Command - The command class to send (BatchGetItemCommand or BatchWriteItemCommand).
+     * @param {Object} params - The request parameters, including RequestItems.
+     * @param {string} unprocessedField - The response field holding the unprocessed requests (UnprocessedKeys or UnprocessedItems).
+     * @param {boolean} [retry=false] - Whether to also retry each request on retryable errors.
+     * @param {Object} [retryOptions={ maxRetries: 5, baseDelay: 50, exponent: 2 }] - The backoff options for unprocessed requests.
+     * @returns {Promise<{responses: Object[], unprocessed: Object|null}>} - The responses of every request sent, and the requests still unprocessed after the last retry (null if everything was processed).
+     */
+    async sendBatchWithBackoff(Command, params, unprocessedField, retry = false, retryOptions = { maxRetries: 5, baseDelay: 50, exponent: 2 }) {
+        const responses = [];
+        let requestItems = params.RequestItems;
+
+        for (let retryCount = 0; ; retryCount++) {
+            const command = new Command({ ...params, RequestItems: requestItems });
+            const response = retry
+                ? await DynamoDBModel.retryWithBackoff(() => this.dynamodbClient.send(command))
+                : await this.dynamodbClient.send(command);
+            responses.push(response);
+
+            const unprocessed = response[unprocessedField];
+            if (!unprocessed || Object.keys(unprocessed).length === 0) {
+                return { responses, unprocessed: null };
+            }
+
+            if (retryCount >= retryOptions.maxRetries) {
+                return { responses, unprocessed };
+            }
+
+            const delay = Math.pow(retryOptions.exponent, retryCount) * retryOptions.baseDelay;
+            await new Promise((resolve) => setTimeout(resolve, delay));
+            requestItems = unprocessed;
+        }
+    }
+
+    /**
+     * Retrieve multiple items from one or more tables based on the provided batch items.
+     * Any number of keys can be requested: they are split into requests of at most 100 keys, and keys that DynamoDB leaves unprocessed are retried with an exponential backoff.
      * @param {Object} batchGetParams - Parameters for the batch get operation
-     * @param {Object} batchGetParams.batch_items - Batch items object containing a non-null 'get' field of type array, specifying the keys to retrieve.
-     * @param {Array<Object>} batchGetParams.batch_items.get - Array of key objects representing the items to retrieve.
-     * @param {Object} [batchGetParams.other_params={}] - Additional parameters to customize the batch get operation.
+     * @param {Object} batchGetParams.batch_items - Batch items object, keyed by table, each containing a non-null 'get' field of type array, specifying the keys to retrieve.
+     * @param {Array<Object>} batchGetParams.batch_items.get - Array of key objects representing the items to retrieve. Duplicate keys are only retrieved once.
+     * @param {Object} [batchGetParams.other_params={}] - Additional parameters to customize the batch get operation. ProjectionExpression, ExpressionAttributeNames and ConsistentRead are applied to every table.
      * @param {boolean} [retry=false] - Whether to retry the operation in case of errors. Retry parameters are set on Model construction.
-     * @returns {Promise<any>} - Promise resolving to the retrieved items.
-     * @throws {Error} - If an error occurs during the batch get operation or the batch_items parameter is missing, invalid, or doesn't contain the 'get' field.
+     * @returns {Promise<Object>} - Promise resolving to the retrieved items, keyed by table.
+     * @throws {Error} - If the batch_items parameter is missing or invalid. If some keys are still unprocessed after the last retry, the error has an 'unprocessed' property listing them in the batch_items format, and a 'results' property holding the items that were retrieved.
      *
      * @example
      * const batchGetParams = {
@@ -789,87 +1574,124 @@ class DynamoDBModel {
      *   }
      * };
      * const retrievedItems = await DynamoDBModel.batchGetItem(batchGetParams, true);
-     * console.log(retrievedItems);
+     * console.log(retrievedItems.tableName);
      */
     async batchGetItem({ batch_items, other_params }, retry = false) {
         if (!batch_items || typeof batch_items !== "object") {
             throw new Error("Invalid batch_items parameter. Expected an non-null object.");
         }
 
-        const params = {
-            RequestItems: {},
-        };
+        const tableParams = {};
+        const params = {};
 
         if (other_params) {
             const {
                 ProjectionExpression,
                 ExpressionAttributeNames,
-                ExpressionAttributeValues,
+                ConsistentRead,
                 ...others
             } = other_params;
 
+            if (ExpressionAttributeNames || ProjectionExpression) {
+                tableParams.ExpressionAttributeNames = {
+                    ...(ExpressionAttributeNames || {})
+                };
+            }
+
             if (ProjectionExpression) {
-                params.ProjectionExpression = ProjectionExpression
+                tableParams.ProjectionExpression = ProjectionExpression
                     .split(', ')
                     .map((element) => {
-                        params.ExpressionAttributeNames[`#${element}`] = element;
+                        tableParams.ExpressionAttributeNames[`#${element}`] = element;
                         return `#${element}`;
                     })
                     .join(", ");
             }
 
-            params.ExpressionAttributeNames = {
-                ...(params.ExpressionAttributeNames || {}),
-                ...(ExpressionAttributeNames || {})
-            };
-
-            params.ExpressionAttributeValues = {
-                ...(params.ExpressionAttributeValues || {}),
-                ...(ExpressionAttributeValues ? convertToDynamoDBAttributeValue(ExpressionAttributeValues, table) : {})
-            };
+            if (ConsistentRead !== undefined) {
+                tableParams.ConsistentRead = ConsistentRead;
+            }
 
             Object.assign(params, others);
         }
 
         const tableNameMap = {};
+        const requests = [];
+        const convertedItems = {};
 
         for (const [tableName, tableData] of Object.entries(batch_items)) {
             const tableConfig = this.config[tableName];
+            if (!tableConfig) {
+                throw new Error(`Table "${tableName}" does not exist.`);
+            }
             const table_name = tableConfig.table_name;
             tableNameMap[table_name] = tableName;
+            convertedItems[tableName] = [];
 
             if (!Array.isArray(tableData.get) || tableData.get.length === 0) {
                 throw new Error(`Invalid get parameter for table ${tableName}. Expected a non-null list.`);
             }
 
-            params.RequestItems[table_name] = {
-                Keys: tableData.get.map(key => this.convertToDynamoDBAttributeValue(key, tableName))
-            };
+            // DynamoDB rejects a request that contains the same key twice
+            const seenKeys = new Set();
+            for (const key of tableData.get) {
+                this.validateKey(tableName, key);
+                const convertedKey = this.convertToDynamoDBAttributeValue(key, tableName);
+                const keyId = JSON.stringify(Object.entries(convertedKey).sort(([a], [b]) => a.localeCompare(b)));
+                if (!seenKeys.has(keyId)) {
+                    seenKeys.add(keyId);
+                    requests.push({ table_name, key: convertedKey });
+                }
+            }
         }
 
-        const response = retry
-            ? await DynamoDBModel.retryWithBackoff(() => this.dynamodbClient.send(new BatchGetItemCommand(params)))
-            : await this.dynamodbClient.send(new BatchGetItemCommand(params));
+        const unprocessedKeys = {};
 
-        const convertedItems = {};
+        for (let index = 0; index < requests.length; index += 100) {
+            const RequestItems = {};
+            for (const { table_name, key } of requests.slice(index, index + 100)) {
+                if (!RequestItems[table_name]) {
+                    RequestItems[table_name] = { ...tableParams, Keys: [] };
+                }
+                RequestItems[table_name].Keys.push(key);
+            }
+
+            const { responses, unprocessed } = await this.sendBatchWithBackoff(BatchGetItemCommand, { ...params, RequestItems }, "UnprocessedKeys", retry);
+
+            for (const response of responses) {
+                for (const [table_name, responseItems] of Object.entries(response.Responses || {})) {
+                    convertedItems[tableNameMap[table_name]].push(...responseItems.map(item => DynamoDBModel.convertToObject(item)));
+                }
+            }
+
+            for (const [table_name, { Keys }] of Object.entries(unprocessed || {})) {
+                const tableName = tableNameMap[table_name];
+                unprocessedKeys[tableName] = unprocessedKeys[tableName] || { get: [] };
+                unprocessedKeys[tableName].get.push(...Keys.map(key => DynamoDBModel.convertToObject(key)));
+            }
+        }
 
-        for (const [table_name, responseItems] of Object.entries(response.Responses)) {
-            convertedItems[tableNameMap[table_name]] = responseItems.map(item => DynamoDBModel.convertToObject(item));
+        if (Object.keys(unprocessedKeys).length > 0) {
+            const error = new Error(`Batch get incomplete. Unprocessed keys remain for tables: ${Object.keys(unprocessedKeys).join(", ")}.`);
+            error.unprocessed = unprocessedKeys;
+            error.results = convertedItems;
+            throw error;
         }
 
         return convertedItems;
     }
 
     /**
-     * Perform a batch operation to put or delete multiple items in the model's table.
+     * Perform a batch operation to put or delete multiple items in one or more tables.
+     * Any number of items can be written: they are split into requests of at most 25 writes, and writes that DynamoDB leaves unprocessed are retried with an exponential backoff.
      * @param {Object} batchWriteParams - Parameters for the batch write operation
-     * @param {Object} batchWriteParams.batch_items - Batch items object specifying the items to put or delete.
-     * @param {Array<Object>} [batchWriteParams.batch_items.put] - Array of items to put into the table.
-     * @param {Array<Object>} [batchWriteParams.batch_items.delete] - Array of keys representing the items to delete from the table.
+     * @param {Object} batchWriteParams.batch_items - Batch items object, keyed by table, specifying the items to put or delete.
+     * @param {Array<Object>} [batchWriteParams.batch_items.put] - Array of items to put into the table. Not supported for versioned tables, as a batch put would replace an item regardless of its version.
+     * @param {Array<Object>} [batchWriteParams.batch_items.delete] - Array of keys representing the items to delete from the table. A key repeated within the puts or within the deletes of a table is only written once, with its last item, and a key both put and deleted is rejected.
      * @param {Object} [batchWriteParams.other_params={}] - Additional parameters to customize the batch write operation.
      * @param {boolean} [retry=false] - Whether to retry the operation in case of errors. Retry parameters are set on Model construction.
-     * @returns {Promise<any>} - Promise resolving to the result of the batch operation.
-     * @throws {Error} - If an error occurs during the batch write operation or the batch_items parameter is missing or invalid.
+     * @returns {Promise<Object>} - Promise resolving to the number of puts and deletes written, keyed by table.
+     * @throws {Error} - If the batch_items parameter is missing or invalid, or puts items into a versioned table. If some writes are still unprocessed after the last retry, or a request fails, the error has an 'unprocessed' property listing the writes that may not have been applied and a 'written' property listing those that were, both in the batch_items format, and a 'results' property holding the counts of written items.
      *
      * @example
      * const batchWriteParams = {
@@ -888,11 +1710,11 @@ class DynamoDBModel {
      *       }
      *   },
      *   other_params: {
-     *     ReturnValues: "ALL_OLD"
+     *     ReturnConsumedCapacity: "TOTAL"
      *   }
      * };
-     * const result = await DynamoDBModel.batchPutOrDeleteItem(batchWriteParams, true);
-     * console.log(result);
+     * const result = await DynamoDBModel.batchWriteItem(batchWriteParams, true);
+     * console.log(result); // { tableName: { put: 2, delete: 2 } }
      */
     async batchWriteItem({ batch_items, other_params }, retry = false) {
         // Validate batch_items parameter
@@ -901,29 +1723,58 @@ class DynamoDBModel {
         }
 
         const params = {
-            RequestItems: {},
             ...other_params
         };
 
+        const tableNameMap = {};
+        const requests = [];
+        const written = {};
+        const writtenItems = {};
+        const unprocessedItems = {};
+
+        // Requests are matched to unprocessed writes by the key attributes of their table
+        const keyIdOf = (tableName, attributes) => {
+            const { hash_key, range_key } = this.config[tableName];
+            return JSON.stringify([attributes[hash_key], range_key ? attributes[range_key] : null]);
+        };
+
         Object.entries(batch_items).forEach(([tableName, tableData]) => {
+            if (!this.config[tableName]) {
+                throw new Error(`Table "${tableName}" does not exist.`);
+            }
             const table_name = this.config[tableName].table_name
-            const requests = [];
+            tableNameMap[table_name] = tableName;
+            written[tableName] = { put: 0, delete: 0 };
 
             // Validate put and delete arrays
             if (!tableData.put && !tableData.delete) {
                 throw new Error("Invalid parameter. Either 'put' or 'delete' field must be provided.");
             }
 
+            // DynamoDB rejects a request that contains the same key twice, so a put or delete repeating an earlier one of the
+            // same key replaces it. A key that is both put and deleted is ambiguous, and rejected
+            const tableRequests = new Map();
+            const addRequest = (action, value, request) => {
+                const keyId = keyIdOf(tableName, request.PutRequest ? request.PutRequest.Item : request.DeleteRequest.Key);
+                const existing = tableRequests.get(keyId);
+                if (existing && existing.action !== action) {
+                    throw new Error(`Invalid batch_items parameter for table ${tableName}. The key ${keyId} is both put and deleted.`);
+                }
+                tableRequests.set(keyId, { tableName, table_name, action, value, keyId, request });
+            };
+
             if (tableData.put) {
                 if (!Array.isArray(tableData.put) || tableData.put.length === 0) {
                     throw new Error(`Invalid put parameter for table ${tableName}. Expected a non-null list.`);
                 }
 
-                const putRequests = tableData.put.map(item => ({
-                    PutRequest: { Item: this.convertToDynamoDBAttributeValue(item, tableName) },
-                }));
+                // Batch puts cannot be conditional, so they always replace existing items. That would reset the version of
+                // an item in a versioned table, so such items must be written with createItem or transactWrite instead
+                if (this.config[tableName].version_attribute) {
+                    throw new Error(`Invalid put parameter for table ${tableName}. Items of versioned tables cannot be put in a batch write.`);
+                }
 
-                requests.push(...putRequests);
+                tableData.put.forEach(item => addRequest("put", item, { PutRequest: { Item: this.convertToDynamoDBAttributeValue(item, tableName) } }));
             }
 
 
@@ -932,24 +1783,292 @@ class DynamoDBModel {
                     throw new Error(`Invalid delete parameter for table ${tableName}. Expected a non-null list.`);
                 }
 
-                const deleteRequests = tableData.delete.map(item => ({
-                    DeleteRequest: { Key: this.convertToDynamoDBAttributeValue(item, tableName) },
-                }));
-
-                requests.push(...deleteRequests);
+                tableData.delete.forEach(item => addRequest("delete", item, { DeleteRequest: { Key: this.convertToDynamoDBAttributeValue(item, tableName) } }));
             }
 
-            params.RequestItems[table_name] = requests;
+            requests.push(...tableRequests.values());
         });
 
-        if (retry) {
-            return await DynamoDBModel.retryWithBackoff(async () => {
-                return await this.dynamodbClient.send(new BatchWriteItemCommand(params));
+        const record = (results, { tableName, action, value }) => {
+            results[tableName] = results[tableName] || {};
+            results[tableName][action] = results[tableName][action] || [];
+            results[tableName][action].push(value);
+        };
+
+        for (let index = 0; index < requests.length; index += 25) {
+            const chunk = requests.slice(index, index + 25);
+            const RequestItems = {};
+            for (const { table_name, request } of chunk) {
+                RequestItems[table_name] = RequestItems[table_name] || [];
+                RequestItems[table_name].push(request);
+            }
+
+            let unprocessed;
+            try {
+                ({ unprocessed } = await this.sendBatchWithBackoff(BatchWriteItemCommand, { ...params, RequestItems }, "UnprocessedItems", retry));
+            } catch (error) {
+                // Which writes of the failed request were applied is unknown, so they are all reported as unprocessed, along
+                // with the requests that were not sent. Puts and deletes can safely be written again
+                requests.slice(index).forEach((request) => record(unprocessedItems, request));
+                error.unprocessed = unprocessedItems;
+                error.written = writtenItems;
+                error.results = written;
+                throw error;
+            }
+
+            const unprocessedKeyIds = new Set(Object.entries(unprocessed || {}).flatMap(([table_name, writeRequests]) => writeRequests.map(({ PutRequest, DeleteRequest }) =>
+                `${tableNameMap[table_name]}#${keyIdOf(tableNameMap[table_name], PutRequest ? PutRequest.Item : DeleteRequest.Key)}`)));
+            for (const request of chunk) {
+                if (unprocessedKeyIds.has(`${request.tableName}#${request.keyId}`)) {
+                    record(unprocessedItems, request);
+                } else {
+                    record(writtenItems, request);
+                    written[request.tableName][request.action] += 1;
+                }
             }
-            );
-        } else {
-            return await this.dynamodbClient.send(new BatchWriteItemCommand(params));
         }
+
+        if (Object.keys(unprocessedItems).length > 0) {
+            const error = new Error(`Batch write incomplete. Unprocessed items remain for tables: ${Object.keys(unprocessedItems).join(", ")}.`);
+            error.unprocessed = unprocessedItems;
+            error.written = writtenItems;
+            error.results = written;
+            throw error;
+        }
+
+        return written;
+    }
+
+    /**
+     * Validates a key object against the hash key and range key of a table.
+     * @param {String} table - The target table.
+     * @param {Object} key - The key object to validate.
+     * @throws {Error} - If the table does not exist, or the key does not include the required key properties.
+     */
+    validateKey(table, key) {
+        if (!this.config[table]) {
+            throw new Error(`Table "${table}" does not exist.`);
+        }
+
+        if (!key || typeof key !== "object") {
+            throw new Error("Invalid key parameter. Expected an object.");
+        }
+
+        const { hash_key, range_key } = this.config[table];
+        if (!key.hasOwnProperty(hash_key)) {
+            throw new Error(`The key parameter must include the hash key property: ${hash_key}`);
+        }
+        if (range_key && !key.hasOwnProperty(range_key)) {
+            throw new Error(`The key parameter must include the range key property: ${range_key}`);
+        }
+    }
+
+    /**
+     * Perform an all-or-nothing write of up to 100 put, update, delete or condition check actions across one or more tables.
+     * @param {Object} transactWriteParams - Parameters for the transactional write operation.
+     * @param {Array<Object>} transactWriteParams.transact_items - Ordered list of actions. Each action has exactly one of the 'put', 'update', 'delete' or 'condition_check' fields.
+     * @param {Object} [transactWriteParams.transact_items[].put] - Put action: { table, item, overwrite, version, other_params }. Follows the same rules as createItem: existing items are not replaced unless overwrite is set.
+     * @param {Object} [transactWriteParams.transact_items[].update] - Update action: { table, key, updates, version, other_params }. Follows the same rules as updateItem: the item must exist.
+     * @param {Object} [transactWriteParams.transact_items[].delete] - Delete action: { table, key, version, other_params }.
+     * @param {Object} [transactWriteParams.transact_items[].condition_check] - Condition check action: { table, key, version, other_params }. Either a version or a ConditionExpression in other_params is required.
+     * @param {Object} [transactWriteParams.other_params={}] - Additional parameters to customize the transactional write operation, such as ClientRequestToken.
+     * @param {boolean} [retry=false] - Whether to retry the operation in case of errors. Retry parameters are set on Model construction.
+     * @returns {Promise<any>} - Promise resolving to the result of the transactional write operation.
+     * @throws {Error} - If the transact_items parameter is missing or invalid. If any condition fails, DynamoDB cancels the whole transaction and throws a TransactionCanceledException with a CancellationReasons entry per action.
+     *
+     * @example
+     * const transactWriteParams = {
+     *   transact_items: [
+     *     {
+     *       condition_check: {
+     *         table: "video",
+     *         key: { userId: "exampleUserId", id: "exampleVideoId" },
+     *         other_params: {
+     *           ConditionExpression: "attribute_exists(#id)",
+     *           ExpressionAttributeNames: { "#id": "id" },
+     *         },
+     *       },
+     *     },
+     *     { put: { table: "snippet", item: { userId: "exampleUserId", id: "exampleSnippetId", videoId: "exampleVideoId" } } },
+     *     { update: { table: "video", key: { userId: "exampleUserId", id: "exampleVideoId" }, updates: { name: "Updated name" } } },
+     *     { delete: { table: "snippet", key: { userId: "exampleUserId", id: "otherSnippetId" } } },
+     *   ],
+     * };
+     * const result = await DynamoDBModel.transactWrite(transactWriteParams, true);
+     * console.log(result);
+     */
+    async transactWrite({ transact_items, other_params }, retry = false) {
+        if (!Array.isArray(transact_items) || transact_items.length === 0) {
+            throw new Error("Invalid transact_items parameter. Expected a non-null list.");
+        }
+
+        if (transact_items.length > 100) {
+            throw new Error(`Invalid transact_items parameter. A transaction can contain at most 100 actions, received ${transact_items.length}.`);
+        }
+
+        const TransactItems = transact_items.map((transactItem, index) => {
+            const actions = Object.keys(transactItem || {});
+            if (actions.length !== 1 || !["put", "update", "delete", "condition_check"].includes(actions[0])) {
+                throw new Error(`Invalid action at index ${index}. Expected exactly one of 'put', 'update', 'delete' or 'condition_check'.`);
+            }
+
+            const action = actions[0];
+            const { table, key, item, updates, overwrite = false, version, other_params: actionParams = {} } = transactItem[action];
+            if (!this.config[table]) {
+                throw new Error(`Table "${table}" does not exist.`);
+            }
+
+            const { ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues, ...others } = actionParams;
+            const conditions = { ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues };
+            const params = {
+                TableName: this.config[table].table_name,
+            };
+            let updateExpression = {};
+
+            switch (action) {
+                case "put":
+                    if (!item || typeof item !== "object") {
+                        throw new Error(`Invalid put action at index ${index}. The item parameter must be an object.`);
+                    }
+                    this.validateKey(table, item);
+                    params.Item = this.convertToDynamoDBAttributeValue(this.withVersion(table, item, overwrite ? version : undefined), table);
+                    conditions.exists = overwrite ? undefined : false;
+                    conditions.version = overwrite ? version : undefined;
+                    break;
+                case "update":
+                    if (!updates || typeof updates !== "object") {
+                        throw new Error(`Invalid update action at index ${index}. Expected an updates object.`);
+                    }
+                    this.validateKey(table, key);
+                    params.Key = this.convertToDynamoDBAttributeValue(key, table);
+                    updateExpression = this.buildUpdateExpression(table, updates);
+                    params.UpdateExpression = updateExpression.UpdateExpression;
+                    conditions.exists = true;
+                    conditions.version = version;
+                    break;
+                case "condition_check":
+                    if (!ConditionExpression && (version === undefined || !this.config[table].version_attribute)) {
+                        throw new Error(`Invalid condition_check action at index ${index}. A ConditionExpression or version is required.`);
+                    }
+                    this.validateKey(table, key);
+                    params.Key = this.convertToDynamoDBAttributeValue(key, table);
+                    conditions.version = version;
+                    break;
+                default:
+                    this.validateKey(table, key);
+                    params.Key = this.convertToDynamoDBAttributeValue(key, table);
+                    conditions.version = version;
+            }
+
+            const conditionExpression = this.buildConditionExpression(table, conditions);
+            if (conditionExpression.ConditionExpression) {
+                params.ConditionExpression = conditionExpression.ConditionExpression;
+            }
+
+            const names = { ...(updateExpression.ExpressionAttributeNames || {}), ...(conditionExpression.ExpressionAttributeNames || {}) };
+            if (Object.keys(names).length > 0) {
+                params.ExpressionAttributeNames = names;
+            }
+
+            const values = { ...(updateExpression.ExpressionAttributeValues || {}), ...(conditionExpression.ExpressionAttributeValues || {}) };
+            if (Object.keys(values).length > 0) {
+                params.ExpressionAttributeValues = values;
+            }
+
+            Object.assign(params, others);
+
+            return {
+                [{ put: "Put", update: "Update", delete: "Delete", condition_check: "ConditionCheck" }[action]]: params
+            };
+        });
+
+        const params = {
+            TransactItems,
+            ...other_params
+        };
+
+        return retry
+            ? await DynamoDBModel.retryWithBackoff(async () => { return await this.dynamodbClient.send(new TransactWriteItemsCommand(params)) })
+            : await this.dynamodbClient.send(new TransactWriteItemsCommand(params));
+    }
+
+    /**
+     * Retrieve up to 100 items across one or more tables as a single, serializable read.
+     * @param {Object} transactGetParams - Parameters for the transactional get operation.
+     * @param {Array<Object>} transactGetParams.transact_items - Ordered list of items to retrieve, each of the form { table, key, other_params }.
+     * @param {Object} [transactGetParams.other_params={}] - Additional parameters to customize the transactional get operation.
+     * @param {boolean} [retry=false] - Whether to retry the operation in case of errors. Retry parameters are set on Model construction.
+     * @returns {Promise<Array<Object|null>>} - Promise resolving to the retrieved items, in the same order as transact_items. Items that do not exist are returned as null.
+     * @throws {Error} - If the transact_items parameter is missing or invalid.
+     *
+     * @example
+     * const transactGetParams = {
+     *   transact_items: [
+     *     { table: "video", key: { userId: "exampleUserId", id: "exampleVideoId" } },
+     *     {
+     *       table: "snippet",
+     *       key: { userId: "exampleUserId", id: "exampleSnippetId" },
+     *       other_params: { ProjectionExpression: "name, start_time, end_time" }
+     *     },
+     *   ],
+     * };
+     * const [video, snippet] = await DynamoDBModel.transactGet(transactGetParams, true);
+     */
+    async transactGet({ transact_items, other_params }, retry = false) {
+        if (!Array.isArray(transact_items) || transact_items.length === 0) {
+            throw new Error("Invalid transact_items parameter. Expected a non-null list.");
+        }
+
+        if (transact_items.length > 100) {
+            throw new Error(`Invalid transact_items parameter. A transaction can contain at most 100 items, received ${transact_items.length}.`);
+        }
+
+        const TransactItems = transact_items.map(({ table, key, other_params: itemParams }) => {
+            this.validateKey(table, key);
+
+            const params = {
+                TableName: this.config[table].table_name,
+                Key: this.convertToDynamoDBAttributeValue(key, table),
+            };
+
+            if (itemParams) {
+                const {
+                    ProjectionExpression,
+                    ExpressionAttributeNames,
+                } = itemParams;
+
+                params.ExpressionAttributeNames = {
+                    ...(ExpressionAttributeNames || {})
+                };
+
+                if (ProjectionExpression) {
+                    params.ProjectionExpression = ProjectionExpression
+                        .split(', ')
+                        .map((element) => {
+                            params.ExpressionAttributeNames[`#${element}`] = element;
+                            return `#${element}`;
+                        })
+                        .join(", ");
+                }
+
+                if (Object.keys(params.ExpressionAttributeNames).length === 0) {
+                    delete params.ExpressionAttributeNames;
+                }
+            }
+
+            return { Get: params };
+        });
+
+        const params = {
+            TransactItems,
+            ...other_params
+        };
+
+        const response = retry
+            ? await DynamoDBModel.retryWithBackoff(async () => { return await this.dynamodbClient.send(new TransactGetItemsCommand(params)) })
+            : await this.dynamodbClient.send(new TransactGetItemsCommand(params));
+
+        return (response.Responses || []).map(({ Item }) => Item ? DynamoDBModel.convertToObject(Item) : null);
     }
 }
 
@@ -0,0 +1,51 @@
+import { getConnectionProjectionExpression, paginateItems, toConnection, getUserUsage, getStorageUsage } from './functions.js'
+
+// Every query here is marked with @auth(requires: ADMIN) in the schema, which wraps it in the role check
+const resolvers = {
+    Query: {
+        adminVideosByUser: async (_, { userId, first, after }, contextValue, info) => {
+            const model = contextValue.models.DynamoDB
+            const projectionExpression = getConnectionProjectionExpression(info, "Video", model.getKeyAttributes("video"))
+
+            const page = await paginateItems(async ({ cursor, limit }) => {
+                const queryParams = {
+                    hash_key: userId,
+                    cursor,
+                    other_params: {
+                        ProjectionExpression: projectionExpression,
+                        Limit: limit
+                    }
+                };
+                return await model.queryItems("video", queryParams);
+            }, { first, after });
+
+            return toConnection(page, (item) => model.getItemCursor("video", item));
+        },
+        adminSnippetsByUser: async (_, { userId, first, after }, contextValue, info) => {
+            const model = contextValue.models.DynamoDB
+            const projectionExpression = getConnectionProjectionExpression(info, "Snippet", model.getKeyAttributes("snippet"))
+
+            const page = await paginateItems(async ({ cursor, limit }) => {
+                const queryParams = {
+                    hash_key: userId,
+                    cursor,
+                    other_params: {
+                        ProjectionExpression: projectionExpression,
+                        Limit: limit
+                    }
+                };
+                return await model.queryItems("snippet", queryParams);
+            }, { first, after });
+
+            return toConnection(page, (item) => model.getItemCursor("snippet", item));
+        },
+        adminUsage: async (_, { userId }, { models, clients, config }) => {
+            // The objects of a user are stored under their id, as generateVideoIDKey does
+            const usage = await getUserUsage(models, userId)
+            const storage = await getStorageUsage({ s3Client: clients.S3, dataBucket: config.S3DataBucket, prefix: `${userId}/` })
+            return { ...usage, ...storage }
+        },
+    },
+}
+
+export default resolvers;
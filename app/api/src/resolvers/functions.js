@@ -1,40 +1,963 @@
 import { parseResolveInfo } from 'graphql-parse-resolve-info';
-import { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand, DeleteObjectsCommand } from '@aws-sdk/client-s3';
+import { GetObjectCommand, PutObjectCommand, DeleteObjectsCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import ffmpeg from 'fluent-ffmpeg';
 import { createReadStream } from 'fs';
+import { mkdir, readdir, rm } from 'fs/promises';
+import { extname, join } from 'path';
 import { GraphQLError } from 'graphql';
+import { v4 as uuid4 } from 'uuid';
+import { randomBytes } from 'crypto';
+import DynamoDBModel from '../models/DynamoDBModel.js';
 
-// Initialize the S3 client
-const s3Client = new S3Client();
+export const getFieldAttributes = (type, fields) => {
+    // Relation fields are not stored on the item, so the attributes they are resolved from are projected instead
+    const relations = {
+        Video: { snippets: ["id"], processingStatus: ["jobId"], renditionStatus: ["hlsJobId"], metadataStatus: ["probeJobId"], thumbnailUrl: ["thumbnailKey"] },
+        Snippet: { video: ["videoId"], labelDetails: ["labels"], processingStatus: ["jobId"], thumbnailUrl: ["thumbnailKey"] },
+        Label: { parent: ["parentId"] },
+        Playlist: { snippets: ["snippetIds"] },
+    };
+    const typeRelations = relations[type] || {};
+
+    return Array.from(new Set(fields.flatMap((field) => typeRelations[field] || [field])));
+}
 
 export const getProjectionExpression = (info, child = null) => {
     if (child) {
-        return Object.keys(parseResolveInfo(info).fieldsByTypeName[child]).join(', ');
+        return getFieldAttributes(child, Object.keys(parseResolveInfo(info).fieldsByTypeName[child])).join(', ');
     } else {
         return Object.keys(Object.keys(parseResolveInfo(info).fieldsByTypeName)[0]).join(', ');
     }
 }
 
-export const generateFilterExpression = (userId, labelArray, operand = "OR") => {
-    const filterExpressions = [];
-    const ExpressionAttributeValues = { ":userId": userId };
-    const ExpressionAttributeNames = { "#labels": "labels", "#userId": "userId" };
+export const getConnectionProjectionExpression = (info, type, keyAttributes = []) => {
+    const connection = Object.values(parseResolveInfo(info).fieldsByTypeName)[0];
+    const edge = connection.edges ? connection.edges.fieldsByTypeName[`${type}Edge`] : null;
+    const node = edge && edge.node ? edge.node.fieldsByTypeName[type] : null;
+
+    if (!node) {
+        return keyAttributes.join(', ');
+    }
+
+    // Key attributes are always projected so that a cursor can be built for every edge
+    return Array.from(new Set([...getFieldAttributes(type, Object.keys(node)), ...keyAttributes])).join(', ');
+}
+
+export const paginateItems = async (fetchPage, { first, after }) => {
+    if (first !== undefined && first !== null && first <= 0) {
+        throw new GraphQLError(`Invalid pagination arguments: first must be a positive integer`, {
+            extensions: {
+                code: 'BAD_USER_INPUT',
+                http: { status: 400 },
+            },
+        });
+    }
+
+    // Cursors are checked as the model decodes them, so that a malformed cursor is reported before any page is read
+    if (after) {
+        try {
+            DynamoDBModel.decodeCursor(after);
+        } catch (error) {
+            throw new GraphQLError(`Invalid pagination arguments: malformed after cursor`, {
+                extensions: {
+                    code: 'BAD_USER_INPUT',
+                    http: { status: 400 },
+                },
+            });
+        }
+    }
+
+    // A Limit caps the number of items evaluated rather than returned, so keep reading until the page is full
+    const items = [];
+    let cursor = after || null;
+    do {
+        const page = await fetchPage({ cursor, limit: first ? first - items.length : undefined });
+        items.push(...page.items);
+        cursor = page.cursor;
+    } while (cursor && first && items.length < first);
+
+    return { items, cursor };
+}
+
+export const toConnection = ({ items, cursor }, getItemCursor) => {
+    const edges = items.map((node) => ({ node, cursor: getItemCursor(node) }));
+
+    return {
+        edges,
+        pageInfo: {
+            hasNextPage: Boolean(cursor),
+            endCursor: cursor || (edges.length > 0 ? edges[edges.length - 1].cursor : null),
+        },
+    };
+}
+
+export const toUpdates = (args) => {
+    const updates = {};
+    const removals = [];
+
+    // Arguments explicitly set to null clear the attribute, omitted arguments are left untouched
+    Object.entries(args).forEach(([key, value]) => {
+        if (value === null) {
+            removals.push(key);
+        } else if (value !== undefined) {
+            updates[key] = value;
+        }
+    });
+
+    if (removals.length > 0) {
+        updates.$remove = removals;
+    }
+
+    return updates;
+}
+
+export const conditionalWriteError = (error, { type, id, version }) => {
+    if (error.name !== 'ConditionalCheckFailedException') {
+        return error;
+    }
+
+    // The existing item is only returned when the write requested ReturnValuesOnConditionCheckFailure: ALL_OLD
+    if (!error.Item) {
+        return new GraphQLError(`Unable to update ${type}: ${type} ${id} does not exist`, {
+            extensions: {
+                code: 'NOT_FOUND',
+                http: { status: 404 },
+            },
+        });
+    }
+
+    const currentVersion = error.Item.version && error.Item.version.N ? Number(error.Item.version.N) : null;
+    return new GraphQLError(`Unable to update ${type}: ${type} ${id} was modified by another editor (expected version ${version}, current version ${currentVersion})`, {
+        extensions: {
+            code: 'CONFLICT',
+            currentVersion,
+            http: { status: 409 },
+        },
+    });
+}
+
+export const updateWithImages = async (model, table, { key, updates, version, other_params = {} }) => {
+    // The item is read first and updated at exactly that version, so that the before image is the item the update applied to.
+    // Without an expected version from the caller, an update that lost a race with another write is retried on the newer item.
+    // Updates may also be given as a function of the before image, for changes that depend on the current item.
+    // An item in the trash is only ever restored, so it is reported as missing, and trashing it later changes its version
+    const hasVersion = version !== undefined && version !== null;
+    for (let attempt = 0; ; attempt += 1) {
+        const before = await model.getItem(table, { key, other_params: { ConsistentRead: true } });
+        if (!before || before.deletedAt) {
+            const error = new Error('The conditional request failed');
+            error.name = 'ConditionalCheckFailedException';
+            throw error;
+        }
+
+        try {
+            const after = await model.updateItem(table, { key, updates: typeof updates === 'function' ? updates(before) : updates, version: hasVersion ? version : before.version, other_params: { ...other_params, ReturnValues: 'ALL_NEW' } });
+            return { before, after };
+        } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException' || hasVersion || attempt >= 2) {
+                throw error;
+            }
+        }
+    }
+}
+
+export const auditEntityKey = (userId, entityType, entityId) => {
+    // Ids are only unique per user and type, label ids being small numbers, so the history of an item is keyed by all three
+    return `${userId}#${entityType}#${entityId}`;
+}
+
+export const recordAudit = async (models, userId, entries) => {
+    const createdAt = new Date().toISOString();
+    const records = (Array.isArray(entries) ? entries : [entries]).map(({ operation, entityType, entityId, args, before, after, actorId }) => {
+        // Ids start with the timestamp, so that a user's records are sorted by time
+        const record = { userId, id: `${createdAt}#${uuid4()}`, createdAt, operation, entityType, entityId: String(entityId), entityKey: auditEntityKey(userId, entityType, entityId) };
 
-    labelArray.forEach((value, index) => {
-        filterExpressions.push(`contains(#labels, :value${index})`);
-        ExpressionAttributeValues[`:value${index}`] = value;
+        // Changes made by a user an item is shared with are recorded in the owner's log, together with who made them
+        if (actorId && actorId !== userId) {
+            record.actorId = actorId;
+        }
+
+        // Images are stored as plain documents. The JSON round trip drops undefined values, which DynamoDB cannot store
+        Object.entries({ arguments: args, before, after }).forEach(([attribute, image]) => {
+            if (image) {
+                record[attribute] = JSON.parse(JSON.stringify(image));
+            }
+        });
+        return record;
     });
 
-    const FilterExpression = `#userId = :userId AND ` + filterExpressions.join(` ${operand} `);
+    if (records.length === 0) {
+        return;
+    }
+
+    // Every mutation must leave a record, so a failed audit write fails the mutation, even though its change has been applied
+    if (records.length === 1) {
+        await models.DynamoDB.createItem("audit", records[0], true);
+    } else {
+        await models.DynamoDB.batchWriteItem({ batch_items: { audit: { put: records } } }, true);
+    }
+}
+
+export const toLabelId = (id) => {
+    // Snippets refer to labels by number, so label ids are positive integers even though they are exposed as IDs
+    const labelId = Number(id);
+    if (!Number.isInteger(labelId) || labelId <= 0) {
+        throw new GraphQLError(`Invalid label id ${id}: expected a positive integer`, {
+            extensions: {
+                code: 'BAD_USER_INPUT',
+                http: { status: 400 },
+            },
+        });
+    }
+
+    return labelId;
+}
+
+export const getUserLabels = async (models, user) => {
+    const labels = [];
+    for await (const label of models.DynamoDB.queryAll("label", { hash_key: user.userId }, true)) {
+        labels.push(label);
+    }
+
+    // Labels used to be stored in the custom:labels Cognito attribute, which is copied over the first time they are read
+    if (labels.length === 0 && user.labels && typeof user.labels === 'object') {
+        const profileLabels = Array.isArray(user.labels)
+            ? user.labels
+            : Object.entries(user.labels).map(([id, value]) => (typeof value === 'object' && value !== null ? { id, ...value } : { id, name: value }));
+
+        profileLabels.forEach(({ id, name, colour, parentId, sortOrder }) => {
+            const labelId = Number(id);
+            if (Number.isInteger(labelId) && labelId > 0 && typeof name === 'string') {
+                labels.push({ userId: user.userId, id: labelId, name, colour, parentId, sortOrder: sortOrder !== undefined ? sortOrder : labelId, version: 1 });
+            }
+        });
+
+        // Each label is created only if it does not exist yet, so that a concurrent first read cannot reset a label
+        // that has already been copied and edited
+        for (const item of JSON.parse(JSON.stringify(labels))) {
+            try {
+                await models.DynamoDB.createItem("label", item, true);
+            } catch (error) {
+                if (error.name !== 'ConditionalCheckFailedException') {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    return labels.sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name));
+}
+
+export const relabelSnippets = async (models, userId, { labelIds, replacement, audit }) => {
+    const filter = { or: labelIds.map((labelId) => ({ path: "labels", op: "contains", value: labelId })) };
+    let count = 0;
+
+    // Trashed snippets are relabelled as well, so that restoring one never brings back a label that no longer exists
+    for await (let snippet of models.DynamoDB.queryAll("snippet", { hash_key: userId, filter }, true)) {
+        for (let attempt = 0; snippet; attempt += 1) {
+            const labels = (snippet.labels || []).filter((label) => !labelIds.includes(label));
+            if (replacement && !labels.includes(replacement)) {
+                labels.push(replacement);
+            }
+
+            try {
+                const after = await models.DynamoDB.updateItem("snippet", {
+                    key: { userId, id: snippet.id },
+                    updates: { labels: labels.length > 0 ? labels : [-1] },
+                    version: snippet.version,
+                    other_params: { ReturnValues: 'ALL_NEW' }
+                }, true);
+                await syncLabelIndex(models, userId, [{ before: snippet, after }]);
+                await recordAudit(models, userId, { ...audit, entityType: "snippet", entityId: snippet.id, before: snippet, after });
+                count += 1;
+                break;
+            } catch (error) {
+                if (error.name !== 'ConditionalCheckFailedException' || attempt >= 2) {
+                    throw error;
+                }
+            }
+
+            // The snippet was changed or purged since it was read, so the change is made again on its latest state
+            snippet = await models.DynamoDB.getItem("snippet", { key: { userId, id: snippet.id }, other_params: { ConsistentRead: true } });
+        }
+    }
+
+    return count;
+}
+
+export const reparentLabels = async (models, userId, changes, audit) => {
+    for (const { label, parentId } of changes) {
+        const after = await models.DynamoDB.updateItem("label", {
+            key: { userId, id: label.id },
+            updates: parentId ? { parentId } : { $remove: ["parentId"] },
+            other_params: { ReturnValues: 'ALL_NEW' }
+        }, true);
+        await recordAudit(models, userId, { ...audit, entityType: "label", entityId: label.id, before: label, after });
+    }
+}
+
+export const labelIndexEntries = (userId, snippet) => {
+    // Only snippets outside the trash are indexed, and -1 marks a snippet without labels
+    if (!snippet || snippet.deletedAt) {
+        return [];
+    }
+    return (snippet.labels || []).filter((label) => label > 0).map((label) => ({ labelKey: `${userId}#${label}`, snippetId: snippet.id, userId, label }));
+}
+
+export const syncLabelIndex = async (models, userId, changes) => {
+    const put = [];
+    const remove = [];
+
+    // Only the entries that differ between the before and after images of each snippet are written
+    changes.forEach(({ before, after }) => {
+        const previous = labelIndexEntries(userId, before);
+        const current = labelIndexEntries(userId, after);
+        put.push(...current.filter((entry) => !previous.some(({ label }) => label === entry.label)));
+        remove.push(...previous.filter((entry) => !current.some(({ label }) => label === entry.label)).map(({ labelKey, snippetId }) => ({ labelKey, snippetId })));
+    });
+
+    const snippetLabel = {};
+    if (put.length > 0) {
+        snippetLabel.put = put;
+    }
+    if (remove.length > 0) {
+        snippetLabel.delete = remove;
+    }
+    if (put.length > 0 || remove.length > 0) {
+        await models.DynamoDB.batchWriteItem({ batch_items: { snippetLabel } }, true);
+    }
+}
+
+export const tokenize = (text) => {
+    // Accents are folded, so that "resume" also finds "résumé"
+    return (typeof text === 'string' ? text : '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter((token) => token.length > 0);
+}
+
+export const searchIndexEntries = (userId, entityType, item) => {
+    // Only items outside the trash are indexed. A name counts twice as much as a description
+    if (!item || item.deletedAt) {
+        return [];
+    }
+
+    const weights = new Map();
+    [["name", 2], ["description", 1]].forEach(([field, weight]) => {
+        tokenize(item[field]).forEach((term) => weights.set(term, (weights.get(term) || 0) + weight));
+    });
+
+    return Array.from(weights, ([term, weight]) => ({ userId, entryKey: `${term}#${entityType}#${item.id}`, term, entityType, entityId: item.id, weight }));
+}
+
+export const syncSearchIndex = async (models, userId, changes) => {
+    const put = [];
+    const remove = [];
+
+    // Entries whose weight changed are written again, entries of terms that are gone are deleted
+    changes.forEach(({ entityType, before, after }) => {
+        const previous = searchIndexEntries(userId, entityType, before);
+        const current = searchIndexEntries(userId, entityType, after);
+        put.push(...current.filter((entry) => !previous.some(({ entryKey, weight }) => entryKey === entry.entryKey && weight === entry.weight)));
+        remove.push(...previous.filter((entry) => !current.some(({ entryKey }) => entryKey === entry.entryKey)).map(({ entryKey }) => ({ userId, entryKey })));
+    });
+
+    const searchIndex = {};
+    if (put.length > 0) {
+        searchIndex.put = put;
+    }
+    if (remove.length > 0) {
+        searchIndex.delete = remove;
+    }
+    if (put.length > 0 || remove.length > 0) {
+        await models.DynamoDB.batchWriteItem({ batch_items: { searchIndex } }, true);
+    }
+}
+
+export const syncIndexes = async (models, userId, changes) => {
+    await syncLabelIndex(models, userId, changes.filter(({ entityType }) => entityType === "snippet"));
+    await syncSearchIndex(models, userId, changes);
+}
+
+export const editDistance = (a, b, max) => {
+    // Optimal string alignment distance, so that a swap of two adjacent letters counts as one typo.
+    // Returns max + 1 as soon as the distance is known to exceed max
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i += 1) {
+        const nextRow = [i];
+        for (let j = 1; j <= b.length; j += 1) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            nextRow[j] = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                nextRow[j] = Math.min(nextRow[j], previousRow[j - 2] + 1);
+            }
+        }
+        if (Math.min(...nextRow) > max) {
+            return max + 1;
+        }
+        previousRow = row;
+        row = nextRow;
+    }
+
+    return row[b.length];
+}
+
+// Number of leading letters of a query token by which index entries are read. Typos are looked for past them first, and
+// in the letters after the first one only for a token that matches no term that way
+export const SEARCH_PREFIX_LENGTH = 3
+
+export const termSimilarity = (queryToken, term) => {
+    if (term === queryToken) {
+        return 1;
+    }
+    if (term.startsWith(queryToken)) {
+        return 0.8;
+    }
+
+    // Longer words tolerate more typos. A typo is also tolerated in a prefix, e.g. "forhe" for "forehand"
+    const maxEdits = queryToken.length >= 8 ? 2 : (queryToken.length >= 4 ? 1 : 0);
+    if (maxEdits === 0) {
+        return 0;
+    }
+    const distance = Math.min(editDistance(queryToken, term, maxEdits), editDistance(queryToken, term.slice(0, queryToken.length), maxEdits));
+    return distance <= maxEdits ? 0.6 - 0.2 * (distance - 1) : 0;
+}
+
+export const searchEntities = async (model, userId, { text, types }) => {
+    const queryTokens = Array.from(new Set(tokenize(text)));
+    if (queryTokens.length === 0) {
+        return [];
+    }
+
+    // Terms are sorted within each user, so one query per prefix reads every term sharing it, and no more. A prefix that
+    // extends another one is read by the shorter one, and entries already read are kept once
+    const entries = new Map();
+    const readEntries = async (tokens, length) => {
+        const prefixes = Array.from(new Set(tokens.map((token) => token.slice(0, length))));
+        for (const prefix of prefixes.filter((prefix) => !prefixes.some((other) => other !== prefix && prefix.startsWith(other)))) {
+            const queryParams = {
+                hash_key: userId,
+                range_key: { operation: "begins_with", value: prefix },
+                filter: types && types.length > 0 ? { path: "entityType", op: "in", value: types } : undefined
+            };
+            for await (const entry of model.queryAll("searchIndex", queryParams, true)) {
+                entries.set(entry.entryKey, entry);
+            }
+        }
+    };
+
+    // A token longer than the prefix that matches no term sharing its prefix may have a typo within it, and is read again
+    // by its first letter. A typo in the first letter of a word is not tolerated
+    await readEntries(queryTokens, SEARCH_PREFIX_LENGTH);
+    const unmatched = queryTokens.filter((token) => token.length > SEARCH_PREFIX_LENGTH && !Array.from(entries.values()).some(({ term }) => termSimilarity(token, term) > 0));
+    if (unmatched.length > 0) {
+        await readEntries(unmatched, 1);
+    }
+
+    // Each query token adds the score of its best matching term in an item, so items matching more of the text rank first
+    const results = new Map();
+    queryTokens.forEach((token) => {
+        const best = new Map();
+        entries.forEach(({ term, entityType, entityId, weight }) => {
+            const score = termSimilarity(token, term) * weight;
+            const key = `${entityType}#${entityId}`;
+            if (score > 0 && score > (best.get(key) || 0)) {
+                best.set(key, score);
+            }
+        });
+        best.forEach((score, key) => {
+            const [entityType, entityId] = [key.slice(0, key.indexOf('#')), key.slice(key.indexOf('#') + 1)];
+            const result = results.get(key) || { entityType, entityId, score: 0 };
+            result.score += score;
+            results.set(key, result);
+        });
+    });
+
+    return Array.from(results.values()).sort((a, b) => b.score - a.score || a.entityId.localeCompare(b.entityId));
+}
+
+export const findSnippetsByLabels = async (model, userId, { labels, match, filter, cursor, limit }) => {
+    const afterId = cursor ? DynamoDBModel.decodeCursor(cursor).id : undefined;
+
+    // Each label's index entries are read in snippet id order, so the lists can be merged as they are read
+    const streams = labels.map((label) => model.queryAll("snippetLabel", {
+        hash_key: `${userId}#${label}`,
+        range_key: afterId ? { operation: "gt", value: afterId } : undefined,
+        other_params: { ProjectionExpression: "snippetId" }
+    }, true)[Symbol.asyncIterator]());
+    const heads = await Promise.all(streams.map((stream) => stream.next()));
+    const advance = async (index) => {
+        heads[index] = await streams[index].next();
+    };
+
+    // ALL intersects the lists by advancing every list that is behind the largest head, ANY unions them by taking the smallest head.
+    // Resolves to undefined once no further snippet can match
+    const nextId = async () => {
+        for (;;) {
+            const live = heads.filter((head) => !head.done);
+            if (live.length === 0 || (match === "ALL" && live.length < heads.length)) {
+                return undefined;
+            }
+
+            const headIds = live.map((head) => head.value.snippetId);
+            if (match === "ALL") {
+                const largest = headIds.reduce((a, b) => (a > b ? a : b));
+                if (headIds.every((id) => id === largest)) {
+                    await Promise.all(heads.map((_, index) => advance(index)));
+                    return largest;
+                }
+                await Promise.all(heads.map((head, index) => (head.value.snippetId < largest ? advance(index) : null)));
+            } else {
+                const smallest = headIds.reduce((a, b) => (a < b ? a : b));
+                await Promise.all(heads.map((head, index) => (!head.done && head.value.snippetId === smallest ? advance(index) : null)));
+                return smallest;
+            }
+        }
+    };
+
+    // Index entries are removed after their snippet is trashed, and the filter applies to the snippets themselves, so the
+    // snippets are checked as they are read. Only as many as are still missing from the page are read at a time, so that
+    // the page ends right after the last snippet read, and the next page resumes from there
+    const items = [];
+    const pageSize = Math.min(limit || 100, 100);
+    let lastId;
+    let exhausted = false;
+    while (items.length < pageSize && !exhausted) {
+        const ids = [];
+        while (ids.length < pageSize - items.length) {
+            const id = await nextId();
+            if (id === undefined) {
+                exhausted = true;
+                break;
+            }
+            ids.push(id);
+        }
+        if (ids.length === 0) {
+            break;
+        }
+        lastId = ids[ids.length - 1];
+
+        const { snippet } = await model.batchGetItem({ batch_items: { snippet: { get: ids.map((id) => ({ userId, id })) } } }, true);
+        items.push(...snippet
+            .filter((item) => !item.deletedAt && (!filter || model.matchesFilter("snippet", item, filter)))
+            .sort((a, b) => (a.id < b.id ? -1 : 1)));
+    }
+    await Promise.all(streams.map((stream) => stream.return()));
+
+    return { items, cursor: exhausted || lastId === undefined ? null : model.getItemCursor("snippet", { userId, id: lastId }) };
+}
+
+// Playlists are stored as a single item, which DynamoDB limits to 400 KB
+export const PLAYLIST_MAX_ITEMS = 1000
+
+export const validatePlaylistSnippets = async (models, userId, snippetIds) => {
+    if (snippetIds.length === 0) {
+        return;
+    }
+
+    const { snippet } = await models.DynamoDB.batchGetItem({ batch_items: { snippet: { get: snippetIds.map((id) => ({ userId, id })) } } }, true);
+    const found = new Set(snippet.filter((item) => !item.deletedAt).map(({ id }) => id));
+    const missing = Array.from(new Set(snippetIds.filter((id) => !found.has(id))));
+    if (missing.length > 0) {
+        throw new GraphQLError(`Unable to add snippets to playlist: snippets ${missing.join(', ')} do not exist`, {
+            extensions: {
+                code: 'BAD_USER_INPUT',
+                http: { status: 400 },
+            },
+        });
+    }
+}
+
+export const validatePlaylistLength = (snippetIds) => {
+    if (snippetIds.length > PLAYLIST_MAX_ITEMS) {
+        throw new GraphQLError(`Unable to add snippets to playlist: a playlist holds at most ${PLAYLIST_MAX_ITEMS} snippets`, {
+            extensions: {
+                code: 'BAD_USER_INPUT',
+                http: { status: 400 },
+            },
+        });
+    }
+}
+
+export const validatePlaylistPosition = (position, last) => {
+    if (!Number.isInteger(position) || position < 0 || position > last) {
+        throw new GraphQLError(`Invalid playlist position ${position}: ${last < 0 ? 'the playlist is empty' : `expected a position from 0 to ${last}`}`, {
+            extensions: {
+                code: 'BAD_USER_INPUT',
+                http: { status: 400 },
+            },
+        });
+    }
+}
+
+// Public share links expire after 7 days unless another expiry is requested, and after 90 days at most
+export const SHARE_LINK_DEFAULT_SECONDS = 7 * 24 * 60 * 60
+export const SHARE_LINK_MAX_SECONDS = 90 * 24 * 60 * 60
+
+export const shareEntityKey = (entityType, entityId, ownerId) => {
+    // Ids are only unique per owner, so the owner is part of the key, after the entity so that grants can be found by id
+    return `${entityType}#${entityId}#${ownerId}`;
+}
+
+export const findShare = async (model, granteeId, entityType, entityId, access = "READ") => {
+    if (!granteeId) {
+        return null;
+    }
+
+    const queryParams = {
+        hash_key: granteeId,
+        range_key: { operation: "begins_with", value: `${entityType}#${entityId}#` }
+    };
+    const { items } = await model.queryItems("share", queryParams, true);
+    return items.find((share) => access === "READ" || share.access === access) || null;
+}
+
+export const getSharedItem = async (model, userId, entityType, id, access = "READ") => {
+    const share = await findShare(model, userId, entityType, id, access);
+    if (!share) {
+        return null;
+    }
+
+    const item = await model.getItem(entityType, { key: { userId: share.ownerId, id } });
+    return item && !item.deletedAt ? item : null;
+}
+
+export const getItemOwner = async (model, userId, entityType, id, access = "READ") => {
+    // The user's own item takes precedence over an item shared with them under the same id. Without either, or when the
+    // owner has moved the shared item to the trash, the user is returned, so that the caller reports the item as missing
+    // in the usual way
+    const own = await model.getItem(entityType, { key: { userId, id }, other_params: { ProjectionExpression: "id" } });
+    if (own) {
+        return userId;
+    }
+
+    const shared = await getSharedItem(model, userId, entityType, id, access);
+    return shared ? shared.userId : userId;
+}
+
+export const shareItem = async (models, userId, entityType, { id, userIds, access }) => {
+    const item = await models.DynamoDB.getItem(entityType, { key: { userId, id }, other_params: { ConsistentRead: true } });
+    if (!item || item.deletedAt) {
+        throw new GraphQLError(`Unable to share ${entityType}: ${entityType} ${id} does not exist`, {
+            extensions: {
+                code: 'NOT_FOUND',
+                http: { status: 404 },
+            },
+        });
+    }
+
+    const granteeIds = Array.from(new Set(userIds));
+    if (granteeIds.length === 0 || granteeIds.includes(userId)) {
+        throw new GraphQLError(`Unable to share ${entityType}: at least one user other than the owner is required`, {
+            extensions: {
+                code: 'BAD_USER_INPUT',
+                http: { status: 400 },
+            },
+        });
+    }
+
+    // Sharing with a user again replaces their access
+    const createdAt = Math.floor(Date.now() / 1000);
+    const shares = granteeIds.map((granteeId) => ({ granteeId, entityKey: shareEntityKey(entityType, id, userId), ownerId: userId, entityType, entityId: id, access, createdAt }));
+    await models.DynamoDB.batchWriteItem({ batch_items: { share: { put: shares } } }, true);
+    return shares;
+}
+
+export const unshareItem = async (models, userId, entityType, { id, userIds }) => {
+    const granteeIds = Array.from(new Set(userIds));
+    if (granteeIds.length === 0) {
+        return [];
+    }
+
+    // Only the owner's own grants can be removed, as the owner is part of the key
+    const keys = granteeIds.map((granteeId) => ({ granteeId, entityKey: shareEntityKey(entityType, id, userId) }));
+    await models.DynamoDB.batchWriteItem({ batch_items: { share: { delete: keys } } }, true);
+    return granteeIds;
+}
+
+export const createShareToken = () => {
+    // 192 random bits, so that links cannot be guessed
+    return randomBytes(24).toString('base64url');
+}
+
+export const requireRole = (role, resolve) => {
+    // Roles are the Cognito groups of the same name in lower case. USER only requires a signed-in user, as users
+    // are not necessarily added to the user group
+    return async (parent, args, contextValue, info) => {
+        if (!contextValue.user) {
+            throw new GraphQLError('Authorization header not present or malformed', {
+                extensions: {
+                    code: 'UNAUTHENTICATED',
+                    http: { status: 401 },
+                },
+            });
+        }
+
+        if (role !== 'USER' && !(contextValue.user.groups || []).includes(role.toLowerCase())) {
+            throw new GraphQLError(`Not authorized to access ${info.parentType.name}.${info.fieldName}: requires role ${role}`, {
+                extensions: {
+                    code: 'FORBIDDEN',
+                    http: { status: 403 },
+                },
+            });
+        }
+
+        return await resolve(parent, args, contextValue, info);
+    };
+}
+
+export const getUserUsage = async (models, userId) => {
+    const usage = { userId, videos: 0, snippets: 0, trashedVideos: 0, trashedSnippets: 0, playlists: 0, labels: 0 };
+    const counters = [
+        ["video", (item) => (item.deletedAt ? "trashedVideos" : "videos")],
+        ["snippet", (item) => (item.deletedAt ? "trashedSnippets" : "snippets")],
+        ["playlist", () => "playlists"],
+        ["label", () => "labels"],
+    ];
+
+    for (const [table, counter] of counters) {
+        const queryParams = {
+            hash_key: userId,
+            other_params: { ProjectionExpression: table === "video" || table === "snippet" ? "id, deletedAt" : "id" }
+        };
+        for await (const item of models.DynamoDB.queryAll(table, queryParams, true)) {
+            usage[counter(item)] += 1;
+        }
+    }
+
+    return usage;
+}
+
+export const getStorageUsage = async ({ s3Client, dataBucket, prefix }) => {
+    const usage = { storageBytes: 0, storageObjects: 0 };
+    let ContinuationToken;
+    do {
+        const response = await s3Client.send(new ListObjectsV2Command({ Bucket: dataBucket, Prefix: prefix, ContinuationToken }));
+        (response.Contents || []).forEach(({ Size }) => {
+            usage.storageBytes += Size;
+            usage.storageObjects += 1;
+        });
+        ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return usage;
+}
+
+// A failed job is retried until it has been attempted this many times
+export const JOB_MAX_ATTEMPTS = 3
+
+export const createJobItem = (userId, { type, entityType, entityId, input }) => {
+    // Jobs are picked up by the worker from the status-runAfter index, in the order they can run
+    const now = Math.floor(Date.now() / 1000);
+    return { userId, id: uuid4(), type, status: "PENDING", entityType, entityId, input, attempts: 0, maxAttempts: JOB_MAX_ATTEMPTS, progress: 0, runAfter: now, createdAt: now, updatedAt: now };
+}
+
+export const getProcessingStatus = async (loaders, item, attribute = "jobId") => {
+    // Items created without processing have no job. Besides jobId, videos track the job of their HLS renditions in hlsJobId,
+    // and the job reading their duration and format in probeJobId
+    if (!item[attribute]) {
+        return null;
+    }
+
+    // Only succeeded and cancelled jobs expire, so a job that is gone has finished
+    const job = await loaders.forUser(item.userId).jobById.load(item[attribute]);
+    const statuses = { PENDING: "PROCESSING", RUNNING: "PROCESSING", FAILED: "FAILED" };
+    return (job && statuses[job.status]) || "READY";
+}
+
+// Thumbnail URLs are valid for an hour, long enough to render a page of clips
+export const THUMBNAIL_URL_SECONDS = 60 * 60
+
+export const thumbnailKeyFor = (key) => {
+    // Thumbnails are stored next to their video file, e.g. userId/video-id/snippets/id.jpg for userId/video-id/snippets/id.mp4
+    return `${key.replace(/\.[^./]*$/, '')}.jpg`;
+}
+
+export const validateThumbnailTime = (atTime, duration) => {
+    // The length of a full video is not known to the API, so only times within a snippet are checked against its length
+    if (atTime < 0 || (duration !== undefined && atTime >= duration)) {
+        throw new GraphQLError(`Invalid thumbnail time ${atTime}: ${duration !== undefined ? `expected a time from 0 to below ${duration} seconds` : 'expected a time of at least 0 seconds'}`, {
+            extensions: {
+                code: 'BAD_USER_INPUT',
+                http: { status: 400 },
+            },
+        });
+    }
+}
+
+export const getObjectUrl = async ({ s3Client, dataBucket, key, expiresIn = THUMBNAIL_URL_SECONDS }) => {
+    // Clients that do not sign requests, such as the local client used in development, provide their own URLs
+    if (typeof s3Client.getObjectUrl === 'function') {
+        return s3Client.getObjectUrl(dataBucket, key);
+    }
+    return await getSignedUrl(s3Client, new GetObjectCommand({ Bucket: dataBucket, Key: key }), { expiresIn });
+}
+
+// Trashed items are kept for 30 days before they are purged
+export const TRASH_RETENTION_SECONDS = 30 * 24 * 60 * 60
+
+export const trashAttributes = (deletedAt = Math.floor(Date.now() / 1000)) => {
+    return { deletedAt, expiresAt: deletedAt + TRASH_RETENTION_SECONDS };
+}
+
+// A video is moved to and from the trash together with its snippets in one transaction, which holds at most 100 actions
+export const TRASH_MAX_SNIPPETS = 99
+
+export const validateTrashSize = (operation, id, snippets) => {
+    if (snippets.length > TRASH_MAX_SNIPPETS) {
+        throw new GraphQLError(`Unable to ${operation} video: video ${id} has ${snippets.length} snippets, and a video is moved with at most ${TRASH_MAX_SNIPPETS}`, {
+            extensions: {
+                code: 'BAD_USER_INPUT',
+                http: { status: 400 },
+            },
+        });
+    }
+}
+
+export const validateFilter = (model, table, filter) => {
+    try {
+        model.buildFilterExpression(table, filter);
+    } catch (error) {
+        throw new GraphQLError(`Invalid filter: ${error.message}`, {
+            extensions: {
+                code: 'BAD_USER_INPUT',
+                http: { status: 400 },
+            },
+        });
+    }
+
+    return filter;
+}
+
+export const probeVideoFunction = async (inputSource) => {
+    return await new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(inputSource, (err, data) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(data);
+            }
+        });
+    });
+}
+
+export const getVideoMetadata = async ({ s3Client, production, dataBucket, key }) => {
+    // The index of an mp4 may be at the end of the file, so ffprobe is given a URL it can seek in rather than a stream.
+    // Outside production, the file is read from a local path or URL, as when cropping
+    const inputSource = production ? await getObjectUrl({ s3Client, dataBucket, key }) : key;
+    return parseVideoMetadata(await probeVideoFunction(inputSource), key);
+}
+
+export const parseVideoMetadata = ({ streams, format }, name) => {
+    const stream = (streams || []).find(({ codec_type }) => codec_type === 'video');
+    if (!stream) {
+        throw new Error(`${name} has no video stream`);
+    }
+
+    const [frames, seconds] = String(stream.avg_frame_rate || stream.r_frame_rate).split('/').map(Number);
+    const metadata = {
+        duration: Number(format.duration !== undefined && format.duration !== 'N/A' ? format.duration : stream.duration),
+        width: stream.width,
+        height: stream.height,
+        frameRate: seconds ? Math.round((frames / seconds) * 1000) / 1000 : NaN,
+        codec: stream.codec_name,
+        fileSize: Number(format.size),
+    };
+
+    // ffprobe reports N/A for values a container does not record, which are left out
+    return Object.fromEntries(Object.entries(metadata).filter(([, value]) => (typeof value === 'number' ? Number.isFinite(value) && value > 0 : Boolean(value))));
+}
+
+export const validateSnippetRange = (startTime, endTime, duration) => {
+    // Videos whose probe job has not run yet have no duration, and are only checked for a valid range
+    let problem;
+    if (startTime < 0) {
+        problem = 'start_time must not be negative';
+    } else if (endTime <= startTime) {
+        problem = 'end_time must be after start_time';
+    } else if (duration !== undefined && duration !== null && endTime > duration) {
+        problem = `end_time must not be after the end of the video, at ${duration} seconds`;
+    }
+
+    if (problem) {
+        throw new GraphQLError(`Invalid snippet range ${startTime} to ${endTime}: ${problem}`, {
+            extensions: {
+                code: 'BAD_USER_INPUT',
+                http: { status: 400 },
+            },
+        });
+    }
+}
+
+export const snippetOutputFor = (item) => {
+    // Snippets that never chose output options, such as those created before they existed, are re-encoded to mp4
+    // at the resolution of their video
     return {
-        FilterExpression,
-        ExpressionAttributeValues,
-        ExpressionAttributeNames
+        mode: item.outputMode || "ACCURATE",
+        format: item.outputFormat || "MP4",
+        resolution: item.outputResolution || "SOURCE",
+        quality: item.outputQuality || "MEDIUM",
     };
+}
+
+export const validateSnippetOutput = ({ mode, format }) => {
+    // Copied streams keep the codecs of the video, which only an mp4 can be relied on to hold. Resolution and quality
+    // only apply to re-encoded clips, and are kept for when the snippet is re-encoded again
+    if (mode === "COPY" && format !== "MP4") {
+        throw new GraphQLError(`Invalid output options: ${format} clips are re-encoded, and cannot be cut in COPY mode`, {
+            extensions: {
+                code: 'BAD_USER_INPUT',
+                http: { status: 400 },
+            },
+        });
+    }
+}
 
+export const snippetKeyFor = (key, format) => {
+    // The extension of a clip follows its format, e.g. userId/video-id/snippets/id.webm
+    return `${key.replace(/\.[^./]*$/, '')}.${format.toLowerCase()}`;
 }
 
-export const cropVideoHandler = async ({ production, inputSource, localOutputPath, dataBucket, outputKey, startTime, endTime }) => {
+export const snippetEncodingOptions = ({ mode, format, resolution, quality }) => {
+    if (mode === "COPY") {
+        // Without re-encoding, the clip starts at the keyframe before its start time
+        return ['-c', 'copy', '-avoid_negative_ts', 'make_zero', '-movflags', '+faststart', '-f', 'mp4'];
+    }
+
+    // Clips are only ever scaled down, and capped at a bitrate that suits their height, as for HLS renditions
+    const height = { P1080: 1080, P720: 720, P480: 480, P360: 360 }[resolution];
+    const scale = height ? `scale=-2:min(${height}\\,ih)` : null;
+    const bitrate = height ? Math.round({ 1080: 5000, 720: 2800, 480: 1400, 360: 800 }[height] * { HIGH: 1.5, MEDIUM: 1, LOW: 0.6 }[quality]) : null;
+    const audioBitrate = { HIGH: 192, MEDIUM: 128, LOW: 96 }[quality];
+
+    if (format === "GIF") {
+        // Quality sets the frame rate and palette size. The palette is computed from the clip itself
+        const { fps, colors } = { HIGH: { fps: 15, colors: 256 }, MEDIUM: { fps: 12, colors: 128 }, LOW: { fps: 10, colors: 64 } }[quality];
+        const filter = [`fps=${fps}`, scale, `split[frames][source];[source]palettegen=max_colors=${colors}[palette];[frames][palette]paletteuse`].filter(Boolean).join(',');
+        return ['-vf', filter, '-an', '-loop', '0', '-f', 'gif'];
+    }
+
+    const filters = scale ? ['-vf', scale] : [];
+    const maxrate = bitrate ? ['-maxrate', `${bitrate}k`, '-bufsize', `${bitrate * 2}k`] : [];
+    if (format === "WEBM") {
+        // VP9 in constrained quality mode, where -b:v is the cap, or 0 for CRF alone
+        const crf = { HIGH: 24, MEDIUM: 32, LOW: 40 }[quality];
+        return [...filters, '-c:v', 'libvpx-vp9', '-crf', String(crf), '-b:v', bitrate ? `${bitrate}k` : '0', '-deadline', 'good', '-cpu-used', '4', '-row-mt', '1', '-c:a', 'libopus', '-b:a', `${audioBitrate}k`, '-f', 'webm'];
+    }
+
+    const crf = { HIGH: 18, MEDIUM: 23, LOW: 28 }[quality];
+    return [...filters, '-c:v', 'libx264', '-preset', 'veryfast', '-crf', String(crf), ...maxrate, '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-b:a', `${audioBitrate}k`, '-movflags', '+faststart', '-f', 'mp4'];
+}
+
+export const cropVideoHandler = async ({ s3Client, production, inputSource, localOutputPath, dataBucket, outputKey, startTime, endTime, output, thumbnailKey, thumbnailTime, onProgress }) => {
     if (production) {
         const command = new GetObjectCommand({
             Bucket: dataBucket,
@@ -42,20 +965,28 @@ export const cropVideoHandler = async ({ production, inputSource, localOutputPat
         });
 
         const response = await s3Client.send(command);
-        await cropVideoFunction({ inputSource: response.Body, localOutputPath, dataBucket, outputKey, startTime, endTime })
+        await cropVideoFunction({ s3Client, inputSource: response.Body, localOutputPath, dataBucket, outputKey, startTime, endTime, output, thumbnailKey, thumbnailTime, onProgress })
     } else {
-        await cropVideoFunction({ inputSource: inputSource, localOutputPath, dataBucket, outputKey, startTime, endTime })
+        // Outside production, the input is read by ffmpeg directly, from a local path or URL
+        await cropVideoFunction({ s3Client, inputSource: inputSource, localOutputPath, dataBucket, outputKey, startTime, endTime, output, thumbnailKey, thumbnailTime, onProgress })
     }
 }
 
-export const cropVideoFunction = async ({ inputSource, localOutputPath, dataBucket, outputKey, startTime, endTime }) => {
+export const cropVideoFunction = async ({ s3Client, inputSource, localOutputPath, dataBucket, outputKey, startTime, endTime, output = snippetOutputFor({}), thumbnailKey, thumbnailTime = 0, onProgress }) => {
+    // Errors are left to the caller, which is the job worker that retries or fails the job
     try {
-        // Perform the video cropping
+        // Seeking the input is fast, and frame accurate whenever the clip is re-encoded
         await new Promise((resolve, reject) => {
             ffmpeg(inputSource)
-                .setStartTime(startTime)
-                .setDuration(endTime - startTime)
+                .seekInput(startTime)
+                .duration(endTime - startTime)
+                .outputOptions(snippetEncodingOptions(output))
                 .output(localOutputPath)
+                .on('progress', ({ percent }) => {
+                    if (onProgress && typeof percent === 'number') {
+                        onProgress(percent);
+                    }
+                })
                 .on('end', () => {
                     resolve();
                 })
@@ -70,28 +1001,352 @@ export const cropVideoFunction = async ({ inputSource, localOutputPath, dataBuck
             Bucket: dataBucket,
             Key: outputKey,
             Body: createReadStream(localOutputPath), // Use a readable stream of the local file
+            ContentType: { MP4: 'video/mp4', WEBM: 'video/webm', GIF: 'image/gif' }[output.format],
         };
 
         const putObjectCommand = new PutObjectCommand(putObjectParams);
         await s3Client.send(putObjectCommand);
-    } catch (err) {
-        console.log(err)
+
+        // A clip cut in an earlier format is stored under another extension, and would otherwise be left behind
+        const earlierKeys = ["MP4", "WEBM", "GIF"].map((format) => snippetKeyFor(outputKey, format)).filter((key) => key !== outputKey);
+        await s3Client.send(new DeleteObjectsCommand({ Bucket: dataBucket, Delete: { Objects: earlierKeys.map((key) => ({ Key: key })) } }));
+
+        // The thumbnail is taken from the clip, which is still on disk, rather than from the full video
+        if (thumbnailKey) {
+            await createThumbnailFunction({ s3Client, inputSource: localOutputPath, localOutputPath: thumbnailKeyFor(localOutputPath), dataBucket, outputKey: thumbnailKey, atTime: thumbnailTime })
+        }
+    } finally {
+        // The worker's temporary storage is reused by later jobs
+        await rm(localOutputPath, { force: true });
     }
 };
 
-export const deleteSnippetHandler = async ({ key, bucket }) => {
-    const input = {
-        "Bucket": bucket,
-    };
-    let command;
-    if (typeof key === 'string') {
-        input.Key = key
-        command = new DeleteObjectCommand(input);
-    } else if (typeof key === 'object' && Array.isArray(key)) {
-        const keyArray = key.map((value) => ({ Key: value }));
-        input.Delete = { Objects: keyArray }
-        command = new DeleteObjectsCommand(input);
+export const createThumbnailHandler = async ({ s3Client, production, inputSource, localOutputPath, dataBucket, outputKey, atTime }) => {
+    if (production) {
+        const command = new GetObjectCommand({
+            Bucket: dataBucket,
+            Key: inputSource,
+        });
+
+        const response = await s3Client.send(command);
+        await createThumbnailFunction({ s3Client, inputSource: response.Body, localOutputPath, dataBucket, outputKey, atTime })
+    } else {
+        await createThumbnailFunction({ s3Client, inputSource: inputSource, localOutputPath, dataBucket, outputKey, atTime })
+    }
+}
+
+export const createThumbnailFunction = async ({ s3Client, inputSource, localOutputPath, dataBucket, outputKey, atTime = 0 }) => {
+    try {
+        // A single frame, scaled down to the width of a preview
+        await new Promise((resolve, reject) => {
+            ffmpeg(inputSource)
+                .seekInput(atTime)
+                .frames(1)
+                .size('480x?')
+                .output(localOutputPath)
+                .on('end', () => {
+                    resolve();
+                })
+                .on('error', (err) => {
+                    reject(err);
+                })
+                .run();
+        });
+
+        const putObjectParams = {
+            Bucket: dataBucket,
+            Key: outputKey,
+            Body: createReadStream(localOutputPath),
+            ContentType: 'image/jpeg',
+        };
+
+        await s3Client.send(new PutObjectCommand(putObjectParams));
+    } finally {
+        await rm(localOutputPath, { force: true });
+    }
+}
+
+export const hlsPrefixFor = (key) => {
+    // Renditions are stored next to the uploaded file, e.g. userId/video-id/hls/720p/index.m3u8 for userId/video-id/videofile.mp4
+    return `${key.replace(/[^/]*$/, '')}hls`;
+}
+
+export const hlsRenditionLadder = (sourceHeight) => {
+    // Renditions taller than the uploaded video are left out, as upscaling only costs bandwidth. A video smaller than
+    // the lowest rendition is still given that one, so that it can be played at all
+    const ladder = [
+        { name: "1080p", height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+        { name: "720p", height: 720, videoBitrate: 2800, audioBitrate: 128 },
+        { name: "360p", height: 360, videoBitrate: 800, audioBitrate: 96 },
+    ];
+    const renditions = ladder.filter(({ height }) => !sourceHeight || height <= sourceHeight);
+    return renditions.length > 0 ? renditions : ladder.slice(-1);
+}
+
+export const transcodeHlsHandler = async ({ s3Client, production, inputSource, localOutputDir, dataBucket, outputPrefix, onProgress }) => {
+    // The uploaded file is read through a URL, as for probing, so that ffmpeg can seek to the index of the mp4
+    const input = production ? await getObjectUrl({ s3Client, dataBucket, key: inputSource }) : inputSource;
+    const { streams } = await probeVideoFunction(input);
+    const video = (streams || []).find(({ codec_type }) => codec_type === 'video');
+    const hasAudio = (streams || []).some(({ codec_type }) => codec_type === 'audio');
+
+    await transcodeHlsFunction({ s3Client, inputSource: input, localOutputDir, dataBucket, outputPrefix, renditions: hlsRenditionLadder(video && video.height), hasAudio, onProgress })
+}
+
+export const transcodeHlsFunction = async ({ s3Client, inputSource, localOutputDir, dataBucket, outputPrefix, renditions, hasAudio, onProgress }) => {
+    try {
+        // The input is decoded once and scaled to every rendition, which ffmpeg writes as variant playlists of 6 second
+        // segments, together with the master playlist that lists them
+        const outputOptions = [];
+        renditions.forEach(({ videoBitrate, audioBitrate }, index) => {
+            outputOptions.push('-map', `[v${index}]`, `-c:v:${index}`, 'libx264', `-b:v:${index}`, `${videoBitrate}k`, `-maxrate:v:${index}`, `${Math.round(videoBitrate * 1.07)}k`, `-bufsize:v:${index}`, `${videoBitrate * 1.5}k`);
+            if (hasAudio) {
+                outputOptions.push('-map', 'a:0', `-c:a:${index}`, 'aac', `-b:a:${index}`, `${audioBitrate}k`);
+            }
+        });
+        const streamMap = renditions.map(({ name }, index) => (hasAudio ? `v:${index},a:${index},name:${name}` : `v:${index},name:${name}`)).join(' ');
+
+        await mkdir(localOutputDir, { recursive: true });
+        await new Promise((resolve, reject) => {
+            ffmpeg(inputSource)
+                .complexFilter([
+                    `[0:v]split=${renditions.length}${renditions.map((_, index) => `[s${index}]`).join('')}`,
+                    ...renditions.map(({ height }, index) => `[s${index}]scale=-2:${height}[v${index}]`),
+                ])
+                .outputOptions([
+                    ...outputOptions,
+                    '-preset', 'veryfast',
+                    // Keyframes every 2 seconds, so that every segment starts with one and players can switch between renditions
+                    '-force_key_frames', 'expr:gte(t,n_forced*2)',
+                    '-f', 'hls',
+                    '-hls_time', '6',
+                    '-hls_playlist_type', 'vod',
+                    '-hls_segment_filename', join(localOutputDir, '%v', 'segment%03d.ts'),
+                    '-master_pl_name', 'master.m3u8',
+                    '-var_stream_map', streamMap,
+                ])
+                .output(join(localOutputDir, '%v', 'index.m3u8'))
+                .on('progress', ({ percent }) => {
+                    if (onProgress && typeof percent === 'number') {
+                        onProgress(percent);
+                    }
+                })
+                .on('end', () => {
+                    resolve();
+                })
+                .on('error', (err) => {
+                    reject(err);
+                })
+                .run();
+        });
+
+        // Playlists and segments keep their relative paths, which the playlists refer to each other by. The master
+        // playlist is uploaded last, so that it only lists renditions that can be played
+        const files = [];
+        for (const { name } of renditions) {
+            files.push(...(await readdir(join(localOutputDir, name))).map((file) => `${name}/${file}`));
+        }
+        files.push('master.m3u8');
+
+        const contentTypes = { '.m3u8': 'application/vnd.apple.mpegurl', '.ts': 'video/mp2t' };
+        for (const file of files) {
+            const putObjectParams = {
+                Bucket: dataBucket,
+                Key: `${outputPrefix}/${file}`,
+                Body: createReadStream(join(localOutputDir, file)),
+                ContentType: contentTypes[extname(file)],
+            };
+            await s3Client.send(new PutObjectCommand(putObjectParams));
+        }
+    } finally {
+        await rm(localOutputDir, { recursive: true, force: true });
+    }
+}
+
+// A highlight reel joins at most 50 snippets, which keeps a reel within what the worker can encode in one run
+export const REEL_MAX_SNIPPETS = 50
+
+// Snippets fade into each other over half a second, or over half of the shortest snippet if that is shorter
+export const REEL_CROSSFADE_SECONDS = 0.5
+
+export const validateReelLength = (snippetIds) => {
+    if (snippetIds.length === 0 || snippetIds.length > REEL_MAX_SNIPPETS) {
+        throw new GraphQLError(`Unable to export highlight reel: expected 1 to ${REEL_MAX_SNIPPETS} snippets, got ${snippetIds.length}`, {
+            extensions: {
+                code: 'BAD_USER_INPUT',
+                http: { status: 400 },
+            },
+        });
+    }
+}
+
+export const getReelSegments = async (models, userId, snippetIds) => {
+    // A snippet may appear more than once in a reel, but a batch get only accepts each key once
+    const snippetKeys = Array.from(new Set(snippetIds)).map((id) => ({ userId, id }));
+    const { snippet } = await models.DynamoDB.batchGetItem({ batch_items: { snippet: { get: snippetKeys } } }, true);
+    const snippets = new Map(snippet.filter((item) => !item.deletedAt).map((item) => [item.id, item]));
+    const missing = Array.from(new Set(snippetIds.filter((id) => !snippets.has(id))));
+    if (missing.length > 0) {
+        throw new GraphQLError(`Unable to export highlight reel: snippets ${missing.join(', ')} do not exist`, {
+            extensions: {
+                code: 'BAD_USER_INPUT',
+                http: { status: 400 },
+            },
+        });
+    }
+
+    // Segments are cut from the uploaded videos rather than from the clips, which may still be processing
+    const videoKeys = Array.from(new Set(Array.from(snippets.values()).map(({ videoId }) => videoId))).map((id) => ({ userId, id }));
+    const { video } = await models.DynamoDB.batchGetItem({ batch_items: { video: { get: videoKeys } } }, true);
+    const videos = new Map(video.filter((item) => !item.deletedAt).map((item) => [item.id, item]));
+    const orphaned = Array.from(snippets.values()).filter(({ videoId }) => !videos.has(videoId)).map(({ id }) => id);
+    if (orphaned.length > 0) {
+        throw new GraphQLError(`Unable to export highlight reel: the videos of snippets ${orphaned.join(', ')} do not exist`, {
+            extensions: {
+                code: 'BAD_USER_INPUT',
+                http: { status: 400 },
+            },
+        });
+    }
+
+    return snippetIds.map((id) => {
+        const { videoId, start_time, end_time } = snippets.get(id);
+        return { inputSource: videos.get(videoId).key, startTime: start_time, endTime: end_time };
+    });
+}
+
+export const reelCrossfadeSeconds = (segments, transition) => {
+    if (transition !== "CROSSFADE" || segments.length < 2) {
+        return 0;
+    }
+    const shortest = Math.min(...segments.map(({ startTime, endTime }) => endTime - startTime));
+    return Math.min(REEL_CROSSFADE_SECONDS, shortest / 2);
+}
+
+export const reelDuration = (segments, transition) => {
+    // Every crossfade overlaps two segments, and shortens the reel by its length
+    const total = segments.reduce((sum, { startTime, endTime }) => sum + endTime - startTime, 0);
+    return Math.round((total - (segments.length - 1) * reelCrossfadeSeconds(segments, transition)) * 1000) / 1000;
+}
+
+export const exportHighlightReelHandler = async ({ s3Client, production, segments, localOutputPath, dataBucket, outputKey, transition, thumbnailKey, thumbnailTime, onProgress }) => {
+    // The uploaded videos are read through URLs, so that ffmpeg can seek to the start of each segment
+    const sources = new Map();
+    for (const { inputSource } of segments) {
+        if (!sources.has(inputSource)) {
+            const input = production ? await getObjectUrl({ s3Client, dataBucket, key: inputSource }) : inputSource;
+            const { streams } = await probeVideoFunction(input);
+            sources.set(inputSource, { input, hasAudio: (streams || []).some(({ codec_type }) => codec_type === 'audio') });
+        }
+    }
+
+    const inputs = segments.map(({ inputSource, ...segment }) => ({ ...segment, ...sources.get(inputSource) }));
+    return await exportHighlightReelFunction({ s3Client, inputs, localOutputPath, dataBucket, outputKey, transition, thumbnailKey, thumbnailTime, onProgress });
+}
+
+export const exportHighlightReelFunction = async ({ s3Client, inputs, localOutputPath, dataBucket, outputKey, transition, thumbnailKey, thumbnailTime = 0, onProgress }) => {
+    try {
+        const fade = reelCrossfadeSeconds(inputs, transition);
+        const duration = reelDuration(inputs, transition);
+
+        // Snippets of different videos are brought to the same size, frame rate and audio format, as both concat and
+        // xfade require. Videos without audio are given silence, so that every segment has an audio stream
+        const command = ffmpeg();
+        inputs.forEach(({ input, startTime, endTime }) => {
+            command.input(input).inputOptions(['-ss', String(startTime), '-t', String(endTime - startTime)]);
+        });
+        const filters = [];
+        let silence = inputs.length;
+        inputs.forEach(({ startTime, endTime, hasAudio }, index) => {
+            let audio = `${index}:a`;
+            if (!hasAudio) {
+                command.input('anullsrc=channel_layout=stereo:sample_rate=48000').inputOptions(['-f', 'lavfi', '-t', String(endTime - startTime)]);
+                audio = `${silence++}:a`;
+            }
+            filters.push(`[${index}:v]scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=30,format=yuv420p,settb=AVTB[v${index}]`);
+            filters.push(`[${audio}]aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo[a${index}]`);
+        });
+
+        if (fade > 0) {
+            // Each segment fades in where the reel so far, shortened by the earlier fades, starts fading out
+            let offset = 0;
+            for (let index = 1; index < inputs.length; index++) {
+                offset += inputs[index - 1].endTime - inputs[index - 1].startTime - fade;
+                const [video, audio] = index === 1 ? ['v0', 'a0'] : [`xv${index - 1}`, `xa${index - 1}`];
+                const [videoOut, audioOut] = index === inputs.length - 1 ? ['outv', 'outa'] : [`xv${index}`, `xa${index}`];
+                filters.push(`[${video}][v${index}]xfade=transition=fade:duration=${fade}:offset=${Math.round(offset * 1000) / 1000}[${videoOut}]`);
+                filters.push(`[${audio}][a${index}]acrossfade=d=${fade}[${audioOut}]`);
+            }
+        } else {
+            filters.push(`${inputs.map((_, index) => `[v${index}][a${index}]`).join('')}concat=n=${inputs.length}:v=1:a=1[outv][outa]`);
+        }
+
+        await new Promise((resolve, reject) => {
+            command
+                .complexFilter(filters)
+                .outputOptions([
+                    '-map', '[outv]',
+                    '-map', '[outa]',
+                    '-c:v', 'libx264',
+                    '-preset', 'veryfast',
+                    '-crf', '20',
+                    '-c:a', 'aac',
+                    '-b:a', '160k',
+                    // The index is moved to the start of the file, so that the reel can be played while it downloads
+                    '-movflags', '+faststart',
+                ])
+                .output(localOutputPath)
+                .on('progress', ({ timemark }) => {
+                    // The percentage ffmpeg reports is based on the first input only, so progress is taken from the time encoded
+                    const [hours, minutes, seconds] = String(timemark).split(':').map(Number);
+                    if (onProgress && duration > 0 && Number.isFinite(seconds)) {
+                        onProgress(((hours * 60 + minutes) * 60 + seconds) / duration * 100);
+                    }
+                })
+                .on('end', () => {
+                    resolve();
+                })
+                .on('error', (err) => {
+                    reject(err);
+                })
+                .run();
+        });
+
+        const metadata = parseVideoMetadata(await probeVideoFunction(localOutputPath), outputKey);
+
+        const putObjectParams = {
+            Bucket: dataBucket,
+            Key: outputKey,
+            Body: createReadStream(localOutputPath),
+            ContentType: 'video/mp4',
+        };
+        await s3Client.send(new PutObjectCommand(putObjectParams));
+
+        // A thumbnail time chosen while the reel was encoded is used if it falls within the reel
+        if (thumbnailKey) {
+            await createThumbnailFunction({ s3Client, inputSource: localOutputPath, localOutputPath: thumbnailKeyFor(localOutputPath), dataBucket, outputKey: thumbnailKey, atTime: thumbnailTime < duration ? thumbnailTime : 0 })
+        }
+        return metadata;
+    } finally {
+        await rm(localOutputPath, { force: true });
+    }
+}
+
+export const deleteSnippetHandler = async ({ s3Client, key, bucket }) => {
+    // The thumbnail of a clip is stored next to it, and deleted with it. Snippets whose clip was never cut have no key
+    const keys = (Array.isArray(key) ? key : [key]).filter(Boolean).flatMap((value) => [value, thumbnailKeyFor(value)]);
+
+    // DeleteObjects accepts at most 1000 keys per request, so the objects are deleted in chunks and their results combined
+    const result = { Deleted: [], Errors: [] };
+    for (let index = 0; index < keys.length; index += 1000) {
+        const input = {
+            "Bucket": bucket,
+            "Delete": { Objects: keys.slice(index, index + 1000).map((value) => ({ Key: value })) }
+        };
+        const response = await s3Client.send(new DeleteObjectsCommand(input));
+        result.Deleted.push(...(response.Deleted || []));
+        result.Errors.push(...(response.Errors || []));
     }
 
-    return await s3Client.send(command);
+    return result;
 }
\ No newline at end of file
@@ -1,5 +1,6 @@
 import { GraphQLError } from 'graphql';
-import { getProjectionExpression, cropVideoHandler, deleteSnippetHandler } from './functions.js'
+import { v4 as uuid4 } from 'uuid';
+import { toUpdates, conditionalWriteError, trashAttributes, validateTrashSize, updateWithImages, recordAudit, syncIndexes, toLabelId, getUserLabels, relabelSnippets, reparentLabels, validatePlaylistSnippets, validatePlaylistLength, validatePlaylistPosition, getItemOwner, shareItem, unshareItem, createShareToken, SHARE_LINK_DEFAULT_SECONDS, SHARE_LINK_MAX_SECONDS, createJobItem, thumbnailKeyFor, validateThumbnailTime, validateSnippetRange, hlsPrefixFor, validateReelLength, getReelSegments, reelDuration, snippetOutputFor, validateSnippetOutput, snippetKeyFor } from './functions.js'
 
 const resolvers = {
     Mutation: {
@@ -8,38 +9,232 @@ const resolvers = {
             const videoItem = {
                 userId,
                 description: description ? description : "",
+                thumbnailKey: thumbnailKeyFor(args.key),
+                thumbnailTime: 0,
                 ...args
             }
-            await contextValue.models.DynamoDB.createItem("video", videoItem)
 
-            return videoItem
+            // The uploaded file is probed by the job worker, which stores its duration and format on the video once it has
+            // read them. Until then, snippets are only checked for a valid range
+            const probeJob = createJobItem(userId, { type: "probe", entityType: "video", entityId: args.id, input: {} })
+            videoItem.probeJobId = probeJob.id
+
+            // The poster frame is taken by the job worker, from the uploaded file, which is also transcoded into HLS renditions
+            // by a job of its own, as that takes much longer
+            const job = createJobItem(userId, { type: "thumbnail", entityType: "video", entityId: args.id, input: { outputKey: videoItem.thumbnailKey, atTime: 0 } })
+            videoItem.jobId = job.id
+            const hlsJob = createJobItem(userId, { type: "hls", entityType: "video", entityId: args.id, input: { outputPrefix: hlsPrefixFor(args.key) } })
+            videoItem.hlsJobId = hlsJob.id
+            videoItem.playbackManifestKey = `${hlsPrefixFor(args.key)}/master.m3u8`
+
+            try {
+                await contextValue.models.DynamoDB.transactWrite({
+                    transact_items: [
+                        { put: { table: "video", item: videoItem } },
+                        { put: { table: "job", item: probeJob } },
+                        { put: { table: "job", item: job } },
+                        { put: { table: "job", item: hlsJob } }
+                    ]
+                })
+            } catch (error) {
+                const [videoPut] = error.CancellationReasons || [];
+                if (error.name === 'TransactionCanceledException' && videoPut && videoPut.Code === 'ConditionalCheckFailed') {
+                    throw new GraphQLError(`Unable to create video: video ${args.id} already exists`, {
+                        extensions: {
+                            code: 'CONFLICT',
+                            http: { status: 409 },
+                        },
+                    });
+                }
+                throw error;
+            }
+
+            // New items start at version 1
+            const video = { ...videoItem, version: 1 }
+            const change = { operation: "createVideo", entityType: "video", entityId: args.id, args: { description, ...args }, after: video }
+            await syncIndexes(contextValue.models, userId, [change])
+            await recordAudit(contextValue.models, userId, change)
+            return video
         },
-        updateVideo: async (_, { id, ...updates }, contextValue, info) => {
-            const { userId } = contextValue.user
+        exportHighlightReel: async (_, { snippetIds, title, transition }, { user, models }) => {
+            const { userId } = user
+            validateReelLength(snippetIds)
+            const segments = await getReelSegments(models, userId, snippetIds)
+
+            // The reel is registered as a video straight away, and reports PROCESSING until the job worker has encoded it
+            const id = uuid4()
+            const key = `${userId}/video-${id}/videofile.mp4`
+            const job = createJobItem(userId, { type: "reel", entityType: "video", entityId: id, input: { segments, outputKey: key, transition } })
+            const videoItem = {
+                userId,
+                id,
+                key,
+                name: title,
+                description: "",
+                duration: reelDuration(segments, transition),
+                thumbnailKey: thumbnailKeyFor(key),
+                thumbnailTime: 0,
+                jobId: job.id
+            }
+
+            await models.DynamoDB.transactWrite({
+                transact_items: [
+                    { put: { table: "video", item: videoItem } },
+                    { put: { table: "job", item: job } }
+                ]
+            })
+
+            const video = { ...videoItem, version: 1 }
+            const change = { operation: "exportHighlightReel", entityType: "video", entityId: id, args: { snippetIds, title, transition }, after: video }
+            await syncIndexes(models, userId, [change])
+            await recordAudit(models, userId, change)
+            return video
+        },
+        updateVideo: async (_, { id, version, ...updates }, contextValue, info) => {
+            // Videos shared with edit access are updated in place, under their owner
+            const userId = await getItemOwner(contextValue.models.DynamoDB, contextValue.user.userId, "video", id, "EDIT")
             const videoUpdateParams = {
                 key: { userId, id: id },
-                updates: updates,
+                updates: toUpdates(updates),
+                version,
                 other_params: {
-                    ProjectionExpression: getProjectionExpression(info, "Video"),
-                    ReturnValues: 'ALL_NEW'
+                    ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
                 }
             }
-            return await contextValue.models.DynamoDB.updateItem("video", videoUpdateParams);
+
+            let images;
+            try {
+                images = await updateWithImages(contextValue.models.DynamoDB, "video", videoUpdateParams);
+            } catch (error) {
+                throw conditionalWriteError(error, { type: "video", id, version });
+            }
+
+            const change = { operation: "updateVideo", entityType: "video", entityId: id, args: { id, version, ...updates }, actorId: contextValue.user.userId, ...images }
+            await syncIndexes(contextValue.models, userId, [change])
+            await recordAudit(contextValue.models, userId, change)
+            return images.after
         },
-        deleteVideo: async (_, { id }, contextValue) => {
-            const { userId } = contextValue.user
+        deleteVideo: async (_, { id }, { user, models }) => {
+            const { userId } = user
             const videoKey = {
                 userId,
                 id,
             }
-            const response = await contextValue.models.DynamoDB.deleteItem("video", { key: videoKey, other_params: { ReturnValues: "ALL_OLD" } })
-            await deleteSnippetHandler({ bucket: contextValue.config.S3DataBucket, key: response.key })
+            const video = await models.DynamoDB.getItem("video", { key: videoKey, other_params: { ConsistentRead: true } })
+            if (!video || video.deletedAt) {
+                throw new GraphQLError(`Unable to delete video: video ${id} does not exist`, {
+                    extensions: {
+                        code: 'NOT_FOUND',
+                        http: { status: 404 },
+                    },
+                });
+            }
+
+            const snippets = [];
+            const snippetQuery = {
+                index_name: 'videoId-id',
+                hash_key: id,
+                filter: { and: [{ path: 'userId', op: 'eq', value: userId }, { path: 'deletedAt', op: 'not_exists' }] }
+            };
+            for await (const snippet of models.DynamoDB.queryAll("snippet", snippetQuery)) {
+                snippets.push(snippet);
+            }
+
+            validateTrashSize("delete", id, snippets)
+
+            // The snippets are trashed with the same deletedAt as the video, which is how restoreVideo finds them again.
+            // Objects stay in S3 until the trash is purged.
+            const trash = trashAttributes()
+            const notTrashed = {
+                ConditionExpression: "attribute_not_exists(#deletedAt)",
+                ExpressionAttributeNames: { "#deletedAt": "deletedAt" }
+            }
+            const trashActions = snippets.map((snippet) => ({
+                update: { table: "snippet", key: { userId, id: snippet.id }, updates: trash, other_params: notTrashed }
+            }));
+            trashActions.push({ update: { table: "video", key: videoKey, updates: trash, other_params: notTrashed } });
+
+            await models.DynamoDB.transactWrite({ transact_items: trashActions })
+
+            const trashed = (item) => ({ ...item, ...trash, version: (item.version || 0) + 1 })
+            const changes = [video, ...snippets].map((item) => ({
+                operation: "deleteVideo",
+                entityType: item === video ? "video" : "snippet",
+                entityId: item.id,
+                args: { id },
+                before: item,
+                after: trashed(item)
+            }))
+            await syncIndexes(models, userId, changes)
+            await recordAudit(models, userId, changes)
             return id
+        },
+        restoreVideo: async (_, { id }, { user, models }) => {
+            const { userId } = user
+            const videoKey = {
+                userId,
+                id,
+            }
+            const video = await models.DynamoDB.getItem("video", { key: videoKey, other_params: { ConsistentRead: true } })
+            if (!video) {
+                throw new GraphQLError(`Unable to restore video: video ${id} does not exist`, {
+                    extensions: {
+                        code: 'NOT_FOUND',
+                        http: { status: 404 },
+                    },
+                });
+            }
+            if (!video.deletedAt) {
+                throw new GraphQLError(`Unable to restore video: video ${id} is not in the trash`, {
+                    extensions: {
+                        code: 'BAD_USER_INPUT',
+                        http: { status: 400 },
+                    },
+                });
+            }
+
+            // Only the snippets trashed together with the video are restored, snippets deleted before it stay in the trash
+            const snippets = [];
+            const snippetQuery = {
+                index_name: 'videoId-id',
+                hash_key: id,
+                filter: { and: [{ path: 'userId', op: 'eq', value: userId }, { path: 'deletedAt', op: 'eq', value: video.deletedAt }] }
+            };
+            for await (const snippet of models.DynamoDB.queryAll("snippet", snippetQuery)) {
+                snippets.push(snippet);
+            }
+            validateTrashSize("restore", id, snippets)
+
+            const trashedAt = {
+                ConditionExpression: "#deletedAt = :deletedAt",
+                ExpressionAttributeNames: { "#deletedAt": "deletedAt" },
+                ExpressionAttributeValues: { ":deletedAt": video.deletedAt }
+            }
+            const restoreActions = snippets.map((snippet) => ({
+                update: { table: "snippet", key: { userId, id: snippet.id }, updates: { $remove: ["deletedAt", "expiresAt"] }, other_params: trashedAt }
+            }));
+            restoreActions.push({ update: { table: "video", key: videoKey, updates: { $remove: ["deletedAt", "expiresAt"] }, other_params: trashedAt } });
 
+            await models.DynamoDB.transactWrite({ transact_items: restoreActions })
+
+            const restored = ({ deletedAt, expiresAt, ...item }) => ({ ...item, version: (item.version || 0) + 1 })
+            const changes = [video, ...snippets].map((item) => ({
+                operation: "restoreVideo",
+                entityType: item === video ? "video" : "snippet",
+                entityId: item.id,
+                args: { id },
+                before: item,
+                after: restored(item)
+            }))
+            await syncIndexes(models, userId, changes)
+            await recordAudit(models, userId, changes)
+            return restored(video)
         },
-        createSnippet: async (_, { videoId, videoKey, start_time, end_time, id, ...args }, { user, production, models, config }) => {
+        createSnippet: async (_, { videoId, start_time, end_time, id, ...args }, { user, models }) => {
             const { userId } = user
-            const key = `${userId}/video-${videoId}/snippets/${id}.mp4`
+            const output = snippetOutputFor(args)
+            validateSnippetOutput(output)
+            const key = `${userId}/video-${videoId}/snippets/${id}.${output.format.toLowerCase()}`
             const snippetItem = {
                 userId,
                 videoId,
@@ -50,94 +245,829 @@ const resolvers = {
                 ...args
             }
 
-            if (snippetItem.labels.length === 0) {
+            // Snippets without labels are stored with the -1 placeholder, which also stands in for an omitted labels argument
+            if (!snippetItem.labels || snippetItem.labels.length === 0) {
                 snippetItem.labels = [-1];
             }
 
-            if (start_time && end_time) {
-                if (!videoKey) {
-                    throw new GraphQLError(`Unable to update snippet: missing required videoKey parameter`, {
-                        extensions: {
-                            code: 'BAD REQUEST',
-                            http: { status: 400 },
-                        },
-                    });
-                }
+            // A missing video is reported by the transaction below, which then writes no job either
+            const video = await models.DynamoDB.getItem("video", { key: { userId, id: videoId }, other_params: { ConsistentRead: true } })
+            validateSnippetRange(start_time, end_time, video ? video.duration : undefined)
 
-                await cropVideoHandler({ production, inputSource: videoKey, localOutputPath: `/tmp/${id}.mp4`, dataBucket: config.S3DataBucket, outputKey: key, startTime: start_time, endTime: end_time })
+            let job;
+            if (video) {
+                // The clip is cut from the stored video by the job worker, so that the snippet is returned before a long clip is processed
+                job = createJobItem(userId, { type: "crop", entityType: "snippet", entityId: id, input: { inputSource: video.key, outputKey: key, startTime: start_time, endTime: end_time, output } })
+                snippetItem.jobId = job.id
+                snippetItem.thumbnailKey = thumbnailKeyFor(key)
+                snippetItem.thumbnailTime = 0
             }
 
-            await models.DynamoDB.createItem("snippet", snippetItem)
+            try {
+                await models.DynamoDB.transactWrite({
+                    transact_items: [
+                        {
+                            condition_check: {
+                                table: "video",
+                                key: { userId, id: videoId },
+                                other_params: {
+                                    ConditionExpression: "attribute_exists(#id) AND attribute_not_exists(#deletedAt)",
+                                    ExpressionAttributeNames: { "#id": "id", "#deletedAt": "deletedAt" }
+                                }
+                            }
+                        },
+                        {
+                            put: {
+                                table: "snippet",
+                                item: snippetItem
+                            }
+                        },
+                        ...(job ? [{ put: { table: "job", item: job } }] : [])
+                    ]
+                })
+            } catch (error) {
+                if (error.name === 'TransactionCanceledException') {
+                    const [videoCheck, snippetPut] = error.CancellationReasons || [];
+                    if (videoCheck && videoCheck.Code === 'ConditionalCheckFailed') {
+                        throw new GraphQLError(`Unable to create snippet: video ${videoId} does not exist`, {
+                            extensions: {
+                                code: 'NOT_FOUND',
+                                http: { status: 404 },
+                            },
+                        });
+                    }
+                    if (snippetPut && snippetPut.Code === 'ConditionalCheckFailed') {
+                        throw new GraphQLError(`Unable to create snippet: snippet ${id} already exists`, {
+                            extensions: {
+                                code: 'CONFLICT',
+                                http: { status: 409 },
+                            },
+                        });
+                    }
+                }
+                throw error;
+            }
 
-            return snippetItem
+            // New items start at version 1
+            const snippet = { ...snippetItem, version: 1 }
+            const change = {
+                operation: "createSnippet",
+                entityType: "snippet",
+                entityId: id,
+                args: { videoId, start_time, end_time, id, ...args },
+                after: snippet
+            }
+            await syncIndexes(models, userId, [change])
+            await recordAudit(models, userId, change)
+            return snippet
         },
-        updateSnippet: async (_, { id, videoKey, key, ...updates }, { user, production, models, config }, info) => {
-            const { userId } = user
+        updateSnippet: async (_, { id, version, addLabels, removeLabels, ...updates }, { user, models }, info) => {
+            const userId = await getItemOwner(models.DynamoDB, user.userId, "snippet", id, "EDIT")
 
-            if (updates.labels.length === 0) {
+            if (updates.labels && updates.labels.length === 0) {
                 updates.labels = [-1];
             }
 
-            if (updates.start_time && updates.end_time && key) {
-                if (!videoKey) {
-                    throw new GraphQLError(`Unable to update snippet: missing required videoKey parameter`, {
+            if ((addLabels || removeLabels) && (updates.labels || (addLabels && removeLabels))) {
+                throw new GraphQLError(`Unable to update snippet: labels, addLabels and removeLabels cannot be combined`, {
+                    extensions: {
+                        code: 'BAD_USER_INPUT',
+                        http: { status: 400 },
+                    },
+                });
+            }
+
+            // A new start or end time is checked together with the other end of the snippet, against the length of its video.
+            // The video is read from the owner of the snippet, who may not be the user. A missing snippet, or one in the trash,
+            // is reported by the update below, without re-cutting its clip
+            const isSet = (value) => value !== undefined && value !== null
+            const setsOutput = ["outputMode", "outputFormat", "outputResolution", "outputQuality"].some((attribute) => updates[attribute] !== undefined)
+            let snippet, video;
+            if (isSet(updates.start_time) || isSet(updates.end_time) || setsOutput) {
+                const stored = await models.DynamoDB.getItem("snippet", { key: { userId, id }, other_params: { ConsistentRead: true } })
+                snippet = stored && !stored.deletedAt ? stored : undefined
+            }
+            if (snippet) {
+                video = await models.DynamoDB.getItem("video", { key: { userId, id: snippet.videoId }, other_params: { ConsistentRead: true } })
+            }
+            if (snippet && (isSet(updates.start_time) || isSet(updates.end_time))) {
+                validateSnippetRange(isSet(updates.start_time) ? updates.start_time : snippet.start_time, isSet(updates.end_time) ? updates.end_time : snippet.end_time, video ? video.duration : undefined)
+            }
+
+            // Output options are merged with those of the snippet, where null restores the default. Re-trims reproduce them,
+            // and changing them re-cuts the clip on their own
+            const output = snippetOutputFor({ ...snippet, ...updates })
+            validateSnippetOutput(output)
+            const outputChanged = setsOutput && snippet && JSON.stringify(output) !== JSON.stringify(snippetOutputFor(snippet))
+
+            let job, outputKey;
+            if (snippet && (isSet(updates.start_time) || isSet(updates.end_time) || outputChanged)) {
+                if (!video) {
+                    throw new GraphQLError(`Unable to update snippet: video ${snippet.videoId} does not exist`, {
                         extensions: {
-                            code: 'BAD REQUEST',
-                            http: { status: 400 },
+                            code: 'NOT_FOUND',
+                            http: { status: 404 },
                         },
                     });
                 }
-                await cropVideoHandler({ production, inputSource: videoKey, localOutputPath: `/tmp/${id}.mp4`, dataBucket: config.S3DataBucket, outputKey: key, startTime: updates.start_time, endTime: updates.end_time })
+
+                // The clip is cut from the stored video to the stored key of the snippet, whose extension follows the format
+                outputKey = snippetKeyFor(snippet.key, output.format)
+                const startTime = isSet(updates.start_time) ? updates.start_time : snippet.start_time
+                const endTime = isSet(updates.end_time) ? updates.end_time : snippet.end_time
+                job = createJobItem(userId, { type: "crop", entityType: "snippet", entityId: id, input: { inputSource: video.key, outputKey, startTime, endTime, output } })
+            }
+
+            // A snippet only tracks its latest job, so that the worker skips jobs superseded by a later update
+            const snippetUpdates = toUpdates(job ? { ...updates, key: outputKey, jobId: job.id, thumbnailKey: thumbnailKeyFor(outputKey) } : updates);
+            if (addLabels && addLabels.length > 0) {
+                snippetUpdates.$add = { labels: addLabels };
+            }
+            if (removeLabels && removeLabels.length > 0) {
+                snippetUpdates.$delete = { labels: removeLabels };
+            }
+
+            // The job is written first, so that the snippet never points to a missing job. A job left behind by a failed
+            // update is not the snippet's latest, and is cancelled by the worker
+            if (job) {
+                await models.DynamoDB.createItem("job", job)
             }
 
             const snippetUpdateParams = {
                 key: { userId, id: id },
-                updates: updates,
+                updates: snippetUpdates,
+                version,
                 other_params: {
-                    ProjectionExpression: getProjectionExpression(info, "Snippet"),
-                    ReturnValues: 'ALL_NEW'
+                    ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
                 }
             }
-            return await models.DynamoDB.updateItem("snippet", snippetUpdateParams);
+
+            let images;
+            try {
+                images = await updateWithImages(models.DynamoDB, "snippet", snippetUpdateParams);
+            } catch (error) {
+                throw conditionalWriteError(error, { type: "snippet", id, version });
+            }
+
+            const change = {
+                operation: "updateSnippet",
+                entityType: "snippet",
+                entityId: id,
+                args: { id, version, addLabels, removeLabels, ...updates },
+                actorId: user.userId,
+                ...images
+            }
+            await syncIndexes(models, userId, [change])
+            await recordAudit(models, userId, change)
+            return images.after
         },
-        deleteSnippet: async (_, { id }, contextValue) => {
-            const { userId } = contextValue.user
-            const snippetKey = {
-                userId,
-                id,
+        deleteSnippet: async (_, { id }, { user, models }) => {
+            const { userId } = user
+            const trash = trashAttributes()
+            const snippetUpdateParams = {
+                key: { userId, id },
+                updates: trash,
+                other_params: {
+                    ConditionExpression: "attribute_not_exists(#deletedAt)",
+                    ExpressionAttributeNames: { "#deletedAt": "deletedAt" },
+                    ReturnValues: "ALL_OLD"
+                }
+            }
+
+            let snippet;
+            try {
+                snippet = await models.DynamoDB.updateItem("snippet", snippetUpdateParams)
+            } catch (error) {
+                if (error.name === 'ConditionalCheckFailedException') {
+                    throw new GraphQLError(`Unable to delete snippet: snippet ${id} does not exist`, {
+                        extensions: {
+                            code: 'NOT_FOUND',
+                            http: { status: 404 },
+                        },
+                    });
+                }
+                throw error;
             }
-            const response = await contextValue.models.DynamoDB.deleteItem("snippet", { key: snippetKey, other_params: { ReturnValues: "ALL_OLD" } })
-            await deleteSnippetHandler({ bucket: contextValue.config.S3DataBucket, key: response.key })
 
+            const trashed = { ...snippet, ...trash, version: (snippet.version || 0) + 1 }
+            const change = {
+                operation: "deleteSnippet",
+                entityType: "snippet",
+                entityId: id,
+                args: { id },
+                before: snippet,
+                after: trashed
+            }
+            await syncIndexes(models, userId, [change])
+            await recordAudit(models, userId, change)
             return id
         },
-        deleteSnippets: async (_, { snippets }, { user, models, config }) => {
+        deleteSnippets: async (_, { snippets }, { user, models }) => {
             const { userId } = user
-            const snippetArray = snippets.map(({ id }) => ({ id, userId }));
-            const keyArray = snippets.map(({ key }) => key);
-            const batchSize = 25;
+            const ids = Array.from(new Set(snippets.map(({ id }) => id)));
 
-            const deleteArray = snippetArray.reduce((acc, obj, index) => {
-                const batchIndex = Math.floor(index / batchSize);
-                if (!acc[batchIndex]) {
-                    acc[batchIndex] = [];
+            const { snippet: existing } = await models.DynamoDB.batchGetItem({
+                batch_items: { snippet: { get: ids.map((id) => ({ userId, id })) } },
+                other_params: { ConsistentRead: true }
+            }, true)
+
+            // Snippets that are already in the trash keep their original deletedAt
+            const { deletedAt, expiresAt } = trashAttributes()
+            const trashActions = ids.map((id) => ({
+                update: { table: "snippet", key: { userId, id }, updates: { $if_not_exists: { deletedAt, expiresAt } } }
+            }));
+
+            for (let index = 0; index < trashActions.length; index += 100) {
+                try {
+                    await models.DynamoDB.transactWrite({ transact_items: trashActions.slice(index, index + 100) })
+                } catch (error) {
+                    if (error.name === 'TransactionCanceledException') {
+                        const missing = (error.CancellationReasons || [])
+                            .map((reason, position) => reason.Code === 'ConditionalCheckFailed' ? ids[index + position] : null)
+                            .filter(Boolean);
+                        if (missing.length > 0) {
+                            throw new GraphQLError(`Unable to delete snippets: snippets ${missing.join(', ')} do not exist`, {
+                                extensions: {
+                                    code: 'NOT_FOUND',
+                                    http: { status: 404 },
+                                },
+                            });
+                        }
+                    }
+                    throw error;
                 }
-                acc[batchIndex].push(obj);
-                return acc;
-            }, []);
+            }
+
+            const changes = existing.map((snippet) => ({
+                operation: "deleteSnippets",
+                entityType: "snippet",
+                entityId: snippet.id,
+                args: { snippets },
+                before: snippet,
+                after: {
+                    ...snippet,
+                    deletedAt: snippet.deletedAt || deletedAt,
+                    expiresAt: snippet.expiresAt || expiresAt,
+                    version: (snippet.version || 0) + 1
+                }
+            }))
+            await syncIndexes(models, userId, changes)
+            await recordAudit(models, userId, changes)
+            return ids;
+        },
+        restoreSnippet: async (_, { id }, { user, models }) => {
+            const { userId } = user
+            const snippet = await models.DynamoDB.getItem("snippet", { key: { userId, id }, other_params: { ConsistentRead: true } })
+            if (!snippet) {
+                throw new GraphQLError(`Unable to restore snippet: snippet ${id} does not exist`, {
+                    extensions: {
+                        code: 'NOT_FOUND',
+                        http: { status: 404 },
+                    },
+                });
+            }
+            if (!snippet.deletedAt) {
+                throw new GraphQLError(`Unable to restore snippet: snippet ${id} is not in the trash`, {
+                    extensions: {
+                        code: 'BAD_USER_INPUT',
+                        http: { status: 400 },
+                    },
+                });
+            }
 
-            await Promise.all(deleteArray.map(async (snippets) => {
-                const batchWriteParams = {
-                    batch_items: {
-                        snippet: {
-                            delete: snippets
+            try {
+                await models.DynamoDB.transactWrite({
+                    transact_items: [
+                        {
+                            condition_check: {
+                                table: "video",
+                                key: { userId, id: snippet.videoId },
+                                other_params: {
+                                    ConditionExpression: "attribute_exists(#id) AND attribute_not_exists(#deletedAt)",
+                                    ExpressionAttributeNames: { "#id": "id", "#deletedAt": "deletedAt" }
+                                }
+                            }
+                        },
+                        {
+                            update: {
+                                table: "snippet",
+                                key: { userId, id },
+                                updates: { $remove: ["deletedAt", "expiresAt"] },
+                                other_params: {
+                                    ConditionExpression: "#deletedAt = :deletedAt",
+                                    ExpressionAttributeNames: { "#deletedAt": "deletedAt" },
+                                    ExpressionAttributeValues: { ":deletedAt": snippet.deletedAt }
+                                }
+                            }
                         }
+                    ]
+                })
+            } catch (error) {
+                if (error.name === 'TransactionCanceledException') {
+                    const [videoCheck, snippetUpdate] = error.CancellationReasons || [];
+                    if (videoCheck && videoCheck.Code === 'ConditionalCheckFailed') {
+                        throw new GraphQLError(`Unable to restore snippet: video ${snippet.videoId} is in the trash or no longer exists, restore the video first`, {
+                            extensions: {
+                                code: 'CONFLICT',
+                                http: { status: 409 },
+                            },
+                        });
+                    }
+                    if (snippetUpdate && snippetUpdate.Code === 'ConditionalCheckFailed') {
+                        throw new GraphQLError(`Unable to restore snippet: snippet ${id} was modified while it was being restored`, {
+                            extensions: {
+                                code: 'CONFLICT',
+                                http: { status: 409 },
+                            },
+                        });
+                    }
+                }
+                throw error;
+            }
+
+            const { deletedAt, expiresAt, ...restoredSnippet } = snippet
+            const restored = { ...restoredSnippet, version: (snippet.version || 0) + 1 }
+            const change = { operation: "restoreSnippet", entityType: "snippet", entityId: id, args: { id }, before: snippet, after: restored }
+            await syncIndexes(models, userId, [change])
+            await recordAudit(models, userId, change)
+            return restored
+        },
+        regenerateThumbnail: async (_, { id, atTime, entityType: type }, { user, models }) => {
+            const entityType = type.toLowerCase()
+            // Items shared with edit access get their new thumbnail under their owner, as with other updates
+            const userId = await getItemOwner(models.DynamoDB, user.userId, entityType, id, "EDIT")
+            const item = await models.DynamoDB.getItem(entityType, { key: { userId, id }, other_params: { ConsistentRead: true } })
+            if (!item || item.deletedAt) {
+                throw new GraphQLError(`Unable to regenerate thumbnail: ${entityType} ${id} does not exist`, {
+                    extensions: {
+                        code: 'NOT_FOUND',
+                        http: { status: 404 },
                     },
-                };
-                await models.DynamoDB.batchWriteItem(batchWriteParams, true);
-            }));
-            await deleteSnippetHandler({ bucket: config.S3DataBucket, key: keyArray })
-            return snippets.map(({ id }) => id);
+                });
+            }
+
+            // The thumbnail of a snippet is taken from its clip, so the time is relative to the start of the snippet
+            validateThumbnailTime(atTime, entityType === "snippet" ? item.end_time - item.start_time : undefined)
+
+            const thumbnailKey = item.thumbnailKey || thumbnailKeyFor(item.key)
+            const job = createJobItem(userId, { type: "thumbnail", entityType, entityId: id, input: { outputKey: thumbnailKey, atTime } })
+            await models.DynamoDB.createItem("job", job)
+
+            // The job only runs while the item still has its thumbnail time, so that a later request supersedes it
+            const updateParams = {
+                key: { userId, id },
+                updates: { thumbnailKey, thumbnailTime: atTime },
+                version: item.version,
+                other_params: {
+                    ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+                }
+            }
+
+            let images;
+            try {
+                images = await updateWithImages(models.DynamoDB, entityType, updateParams);
+            } catch (error) {
+                throw conditionalWriteError(error, { type: entityType, id, version: item.version });
+            }
+
+            await recordAudit(models, userId, { operation: "regenerateThumbnail", entityType, entityId: id, args: { id, atTime, entityType: type }, actorId: user.userId, ...images })
+            return job
+        },
+        createLabel: async (_, args, { user, models }) => {
+            const { userId } = user
+            const { name, colour, sortOrder } = args
+            const parentId = args.parentId !== undefined && args.parentId !== null ? toLabelId(args.parentId) : undefined
+
+            if (colour && !/^#[0-9a-fA-F]{6}$/.test(colour)) {
+                throw new GraphQLError(`Unable to create label: colour ${colour} is not a hex colour such as #1a2b3c`, {
+                    extensions: {
+                        code: 'BAD_USER_INPUT',
+                        http: { status: 400 },
+                    },
+                });
+            }
+
+            const labels = await getUserLabels(models, user)
+            if (parentId && !labels.some((label) => label.id === parentId)) {
+                throw new GraphQLError(`Unable to create label: parent label ${parentId} does not exist`, {
+                    extensions: {
+                        code: 'BAD_USER_INPUT',
+                        http: { status: 400 },
+                    },
+                });
+            }
+
+            // Ids follow the largest existing id. An id taken by a concurrent create is skipped over
+            let id = Math.max(0, ...labels.map((label) => label.id)) + 1
+            for (let attempt = 0; ; attempt += 1) {
+                const labelItem = JSON.parse(JSON.stringify({ userId, id, name, colour, parentId, sortOrder: sortOrder !== undefined && sortOrder !== null ? sortOrder : id }))
+                try {
+                    const label = await models.DynamoDB.createItem("label", labelItem)
+                    await recordAudit(models, userId, { operation: "createLabel", entityType: "label", entityId: id, args, after: label })
+                    return label
+                } catch (error) {
+                    if (error.name !== 'ConditionalCheckFailedException' || attempt >= 4) {
+                        throw error;
+                    }
+                    id += 1
+                }
+            }
+        },
+        updateLabel: async (_, { id: labelId, version, parentId, ...args }, { user, models }) => {
+            const { userId } = user
+            const id = toLabelId(labelId)
+
+            if (args.name === null) {
+                throw new GraphQLError(`Unable to update label: name cannot be removed`, {
+                    extensions: {
+                        code: 'BAD_USER_INPUT',
+                        http: { status: 400 },
+                    },
+                });
+            }
+
+            if (args.colour && !/^#[0-9a-fA-F]{6}$/.test(args.colour)) {
+                throw new GraphQLError(`Unable to update label: colour ${args.colour} is not a hex colour such as #1a2b3c`, {
+                    extensions: {
+                        code: 'BAD_USER_INPUT',
+                        http: { status: 400 },
+                    },
+                });
+            }
+
+            const updates = { ...args }
+            if (parentId !== undefined) {
+                updates.parentId = parentId === null ? null : toLabelId(parentId)
+            }
+
+            if (updates.parentId) {
+                const labels = new Map((await getUserLabels(models, user)).map((label) => [label.id, label]))
+
+                // Walking up from the new parent must never reach the label itself, or the categories would form a cycle
+                for (let ancestor = updates.parentId; ancestor; ancestor = labels.get(ancestor).parentId) {
+                    if (!labels.has(ancestor) || ancestor === id) {
+                        throw new GraphQLError(`Unable to update label: label ${updates.parentId} ${labels.has(ancestor) ? `is label ${id} or one of its subcategories` : 'does not exist'}`, {
+                            extensions: {
+                                code: 'BAD_USER_INPUT',
+                                http: { status: 400 },
+                            },
+                        });
+                    }
+                }
+            }
+
+            const labelUpdateParams = {
+                key: { userId, id },
+                updates: toUpdates(updates),
+                version,
+                other_params: {
+                    ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+                }
+            }
+
+            let images;
+            try {
+                images = await updateWithImages(models.DynamoDB, "label", labelUpdateParams);
+            } catch (error) {
+                throw conditionalWriteError(error, { type: "label", id, version });
+            }
+
+            await recordAudit(models, userId, { operation: "updateLabel", entityType: "label", entityId: id, args: { id: labelId, version, parentId, ...args }, ...images })
+            return images.after
+        },
+        deleteLabel: async (_, { id: labelId, version }, { user, models }) => {
+            const { userId } = user
+            const id = toLabelId(labelId)
+            const args = { id: labelId, version }
+
+            const labels = await getUserLabels(models, user)
+            const label = labels.find((item) => item.id === id)
+            if (!label) {
+                throw new GraphQLError(`Unable to delete label: label ${id} does not exist`, {
+                    extensions: {
+                        code: 'NOT_FOUND',
+                        http: { status: 404 },
+                    },
+                });
+            }
+
+            if (version !== undefined && version !== null && label.version !== version) {
+                throw new GraphQLError(`Unable to delete label: label ${id} was modified by another editor (expected version ${version}, current version ${label.version})`, {
+                    extensions: {
+                        code: 'CONFLICT',
+                        currentVersion: label.version,
+                        http: { status: 409 },
+                    },
+                });
+            }
+
+            // Snippets and subcategories are updated before the label is deleted, so that a failed delete can be retried
+            await relabelSnippets(models, userId, { labelIds: [id], audit: { operation: "deleteLabel", args } })
+            const children = labels.filter((item) => item.parentId === id).map((child) => ({ label: child, parentId: label.parentId }))
+            await reparentLabels(models, userId, children, { operation: "deleteLabel", args })
+
+            try {
+                await models.DynamoDB.deleteItem("label", { key: { userId, id }, version, other_params: { ReturnValuesOnConditionCheckFailure: 'ALL_OLD' } })
+            } catch (error) {
+                throw conditionalWriteError(error, { type: "label", id, version });
+            }
+
+            await recordAudit(models, userId, { operation: "deleteLabel", entityType: "label", entityId: id, args, before: label })
+            return labelId
+        },
+        mergeLabels: async (_, { sourceIds, targetId }, { user, models }) => {
+            const { userId } = user
+            const target = toLabelId(targetId)
+            const sources = Array.from(new Set(sourceIds.map(toLabelId)))
+            const args = { sourceIds, targetId }
+
+            if (sources.length === 0 || sources.includes(target)) {
+                throw new GraphQLError(`Unable to merge labels: at least one source label other than the target is required`, {
+                    extensions: {
+                        code: 'BAD_USER_INPUT',
+                        http: { status: 400 },
+                    },
+                });
+            }
+
+            const labels = new Map((await getUserLabels(models, user)).map((label) => [label.id, label]))
+            const missing = [target, ...sources].filter((labelId) => !labels.has(labelId))
+            if (missing.length > 0) {
+                throw new GraphQLError(`Unable to merge labels: labels ${missing.join(', ')} do not exist`, {
+                    extensions: {
+                        code: 'NOT_FOUND',
+                        http: { status: 404 },
+                    },
+                });
+            }
+
+            await relabelSnippets(models, userId, { labelIds: sources, replacement: target, audit: { operation: "mergeLabels", args } })
+
+            // Subcategories of the merged labels move under the target. The target and its ancestors cannot, as that
+            // would form a cycle, so they move up to their closest ancestor that is not being merged
+            const targetAncestors = new Set()
+            for (let ancestor = labels.get(target).parentId; labels.has(ancestor); ancestor = labels.get(ancestor).parentId) {
+                targetAncestors.add(ancestor)
+            }
+            const closestKeptAncestor = (label) => {
+                let ancestor = label.parentId
+                while (sources.includes(ancestor)) {
+                    ancestor = labels.get(ancestor).parentId
+                }
+                return ancestor
+            }
+            const children = Array.from(labels.values())
+                .filter((label) => sources.includes(label.parentId) && !sources.includes(label.id))
+                .map((label) => ({ label, parentId: label.id === target || targetAncestors.has(label.id) ? closestKeptAncestor(label) : target }))
+            await reparentLabels(models, userId, children, { operation: "mergeLabels", args })
+
+            for (const source of sources) {
+                await models.DynamoDB.deleteItem("label", { key: { userId, id: source } }, true)
+            }
+            await recordAudit(models, userId, sources.map((source) => ({ operation: "mergeLabels", entityType: "label", entityId: source, args, before: labels.get(source) })))
+
+            return await models.DynamoDB.getItem("label", { key: { userId, id: target }, other_params: { ConsistentRead: true } })
+        },
+        shareVideo: async (_, { id, userIds, access }, { user, models }) => {
+            const { userId } = user
+            const shares = await shareItem(models, userId, "video", { id, userIds, access })
+            await recordAudit(models, userId, { operation: "shareVideo", entityType: "video", entityId: id, args: { id, userIds, access } })
+            return shares
+        },
+        unshareVideo: async (_, { id, userIds }, { user, models }) => {
+            const { userId } = user
+            const granteeIds = await unshareItem(models, userId, "video", { id, userIds })
+            await recordAudit(models, userId, { operation: "unshareVideo", entityType: "video", entityId: id, args: { id, userIds } })
+            return granteeIds
+        },
+        shareSnippet: async (_, { id, userIds, access }, { user, models }) => {
+            const { userId } = user
+            const shares = await shareItem(models, userId, "snippet", { id, userIds, access })
+            await recordAudit(models, userId, { operation: "shareSnippet", entityType: "snippet", entityId: id, args: { id, userIds, access } })
+            return shares
+        },
+        unshareSnippet: async (_, { id, userIds }, { user, models }) => {
+            const { userId } = user
+            const granteeIds = await unshareItem(models, userId, "snippet", { id, userIds })
+            await recordAudit(models, userId, { operation: "unshareSnippet", entityType: "snippet", entityId: id, args: { id, userIds } })
+            return granteeIds
+        },
+        createShareLink: async (_, { entityType: type, id, expiresIn }, { user, models }) => {
+            const { userId } = user
+            const entityType = type.toLowerCase()
+            const seconds = expiresIn === undefined || expiresIn === null ? SHARE_LINK_DEFAULT_SECONDS : expiresIn
+
+            if (!Number.isInteger(seconds) || seconds <= 0 || seconds > SHARE_LINK_MAX_SECONDS) {
+                throw new GraphQLError(`Unable to create share link: expiresIn must be between 1 and ${SHARE_LINK_MAX_SECONDS} seconds`, {
+                    extensions: {
+                        code: 'BAD_USER_INPUT',
+                        http: { status: 400 },
+                    },
+                });
+            }
+
+            const item = await models.DynamoDB.getItem(entityType, { key: { userId, id }, other_params: { ConsistentRead: true } })
+            if (!item || item.deletedAt) {
+                throw new GraphQLError(`Unable to create share link: ${entityType} ${id} does not exist`, {
+                    extensions: {
+                        code: 'NOT_FOUND',
+                        http: { status: 404 },
+                    },
+                });
+            }
+
+            const createdAt = Math.floor(Date.now() / 1000)
+            const link = await models.DynamoDB.createItem("shareToken", { token: createShareToken(), ownerId: userId, entityType, entityId: id, createdAt, expiresAt: createdAt + seconds })
+
+            await recordAudit(models, userId, { operation: "createShareLink", entityType, entityId: id, args: { entityType: type, id, expiresIn }, after: link })
+            return link
+        },
+        revokeShareLink: async (_, { token }, { user, models }) => {
+            const { userId } = user
+            const deleteParams = {
+                key: { token },
+                other_params: {
+                    ConditionExpression: "#ownerId = :ownerId",
+                    ExpressionAttributeNames: { "#ownerId": "ownerId" },
+                    ExpressionAttributeValues: { ":ownerId": userId },
+                    ReturnValues: "ALL_OLD"
+                }
+            }
+
+            // Links of other users are reported as missing, so that their tokens cannot be probed
+            let link;
+            try {
+                link = await models.DynamoDB.deleteItem("shareToken", deleteParams)
+            } catch (error) {
+                if (error.name === 'ConditionalCheckFailedException') {
+                    throw new GraphQLError(`Unable to revoke share link: share link does not exist`, {
+                        extensions: {
+                            code: 'NOT_FOUND',
+                            http: { status: 404 },
+                        },
+                    });
+                }
+                throw error;
+            }
+
+            await recordAudit(models, userId, { operation: "revokeShareLink", entityType: link.entityType, entityId: link.entityId, args: { token }, before: link })
+            return token
+        },
+        createPlaylist: async (_, { name, description, snippetIds }, { user, models }) => {
+            const { userId } = user
+            const items = snippetIds || []
+            validatePlaylistLength(items)
+            await validatePlaylistSnippets(models, userId, items)
+
+            const playlistItem = {
+                userId,
+                id: uuid4(),
+                name,
+                description: description ? description : "",
+                snippetIds: items
+            }
+            const playlist = await models.DynamoDB.createItem("playlist", playlistItem)
+
+            await recordAudit(models, userId, { operation: "createPlaylist", entityType: "playlist", entityId: playlist.id, args: { name, description, snippetIds }, after: playlist })
+            return playlist
+        },
+        updatePlaylist: async (_, { id, version, ...args }, { user, models }) => {
+            const { userId } = user
+
+            if (args.name === null) {
+                throw new GraphQLError(`Unable to update playlist: name cannot be removed`, {
+                    extensions: {
+                        code: 'BAD_USER_INPUT',
+                        http: { status: 400 },
+                    },
+                });
+            }
+
+            const playlistUpdateParams = {
+                key: { userId, id },
+                updates: toUpdates(args),
+                version,
+                other_params: {
+                    ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+                }
+            }
+
+            let images;
+            try {
+                images = await updateWithImages(models.DynamoDB, "playlist", playlistUpdateParams);
+            } catch (error) {
+                throw conditionalWriteError(error, { type: "playlist", id, version });
+            }
+
+            await recordAudit(models, userId, { operation: "updatePlaylist", entityType: "playlist", entityId: id, args: { id, version, ...args }, ...images })
+            return images.after
+        },
+        deletePlaylist: async (_, { id, version }, { user, models }) => {
+            const { userId } = user
+            const deleteParams = {
+                key: { userId, id },
+                version,
+                other_params: {
+                    ConditionExpression: "attribute_exists(#id)",
+                    ExpressionAttributeNames: { "#id": "id" },
+                    ReturnValues: "ALL_OLD",
+                    ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+                }
+            }
+
+            let playlist;
+            try {
+                playlist = await models.DynamoDB.deleteItem("playlist", deleteParams)
+            } catch (error) {
+                throw conditionalWriteError(error, { type: "playlist", id, version });
+            }
+
+            await recordAudit(models, userId, { operation: "deletePlaylist", entityType: "playlist", entityId: id, args: { id, version }, before: playlist })
+            return id
+        },
+        addPlaylistItems: async (_, { id, version, snippetIds, position }, { user, models }) => {
+            const { userId } = user
+            await validatePlaylistSnippets(models, userId, snippetIds)
+
+            // The snippets are inserted before the given position, or appended when no position is given
+            const playlistUpdateParams = {
+                key: { userId, id },
+                updates: ({ snippetIds: items = [] }) => {
+                    const at = position === undefined || position === null ? items.length : position
+                    validatePlaylistPosition(at, items.length)
+                    validatePlaylistLength([...items, ...snippetIds])
+                    return { snippetIds: [...items.slice(0, at), ...snippetIds, ...items.slice(at)] }
+                },
+                version,
+                other_params: {
+                    ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+                }
+            }
+
+            let images;
+            try {
+                images = await updateWithImages(models.DynamoDB, "playlist", playlistUpdateParams);
+            } catch (error) {
+                throw conditionalWriteError(error, { type: "playlist", id, version });
+            }
+
+            await recordAudit(models, userId, { operation: "addPlaylistItems", entityType: "playlist", entityId: id, args: { id, version, snippetIds, position }, ...images })
+            return images.after
+        },
+        removePlaylistItem: async (_, { id, version, position }, { user, models }) => {
+            const { userId } = user
+
+            // Items are removed by position rather than by snippet id, as a playlist may hold a snippet more than once
+            const playlistUpdateParams = {
+                key: { userId, id },
+                updates: ({ snippetIds: items = [] }) => {
+                    validatePlaylistPosition(position, items.length - 1)
+                    return { snippetIds: items.filter((_, index) => index !== position) }
+                },
+                version,
+                other_params: {
+                    ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+                }
+            }
+
+            let images;
+            try {
+                images = await updateWithImages(models.DynamoDB, "playlist", playlistUpdateParams);
+            } catch (error) {
+                throw conditionalWriteError(error, { type: "playlist", id, version });
+            }
+
+            await recordAudit(models, userId, { operation: "removePlaylistItem", entityType: "playlist", entityId: id, args: { id, version, position }, ...images })
+            return images.after
+        },
+        movePlaylistItem: async (_, { id, version, from, to }, { user, models }) => {
+            const { userId } = user
+
+            // The item at from ends up at position to, and the items in between shift by one
+            const playlistUpdateParams = {
+                key: { userId, id },
+                updates: ({ snippetIds: items = [] }) => {
+                    validatePlaylistPosition(from, items.length - 1)
+                    validatePlaylistPosition(to, items.length - 1)
+                    const reordered = items.filter((_, index) => index !== from)
+                    reordered.splice(to, 0, items[from])
+                    return { snippetIds: reordered }
+                },
+                version,
+                other_params: {
+                    ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+                }
+            }
+
+            let images;
+            try {
+                images = await updateWithImages(models.DynamoDB, "playlist", playlistUpdateParams);
+            } catch (error) {
+                throw conditionalWriteError(error, { type: "playlist", id, version });
+            }
+
+            await recordAudit(models, userId, { operation: "movePlaylistItem", entityType: "playlist", entityId: id, args: { id, version, from, to }, ...images })
+            return images.after
         },
     }
 }
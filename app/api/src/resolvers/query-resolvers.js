@@ -1,6 +1,8 @@
+import { GraphQLError } from 'graphql';
 import { v4 as uuid4 } from 'uuid';
 import GraphQLJSON from 'graphql-type-json';
-import { getProjectionExpression, generateFilterExpression } from './functions.js'
+import DynamoDBModel from '../models/DynamoDBModel.js';
+import { getProjectionExpression, getConnectionProjectionExpression, paginateItems, toConnection, validateFilter, getUserLabels, findSnippetsByLabels, searchEntities, getSharedItem, shareEntityKey, auditEntityKey, getProcessingStatus, getObjectUrl } from './functions.js'
 
 const resolvers = {
     Query: {
@@ -17,17 +19,29 @@ const resolvers = {
                 }
             };
 
-            return await contextValue.models.DynamoDB.getItem("video", getParams);
+            // Videos shared with the user are only looked up when the user has no video with this id
+            const video = await contextValue.models.DynamoDB.getItem("video", getParams);
+            return video || await getSharedItem(contextValue.models.DynamoDB, userId, "video", id);
         },
-        videosByUser: async (_, __, contextValue, info) => {
+        videosByUser: async (_, { first, after }, contextValue, info) => {
             const { userId } = contextValue.user
-            const queryParams = {
-                hash_key: userId,
-                other_params: {
-                    ProjectionExpression: getProjectionExpression(info, "Video")
-                }
-            };
-            return await contextValue.models.DynamoDB.queryItems("video", queryParams);
+            const model = contextValue.models.DynamoDB
+            const projectionExpression = getConnectionProjectionExpression(info, "Video", model.getKeyAttributes("video"))
+
+            const page = await paginateItems(async ({ cursor, limit }) => {
+                const queryParams = {
+                    hash_key: userId,
+                    filter: { path: "deletedAt", op: "not_exists" },
+                    cursor,
+                    other_params: {
+                        ProjectionExpression: projectionExpression,
+                        Limit: limit
+                    }
+                };
+                return await model.queryItems("video", queryParams);
+            }, { first, after });
+
+            return toConnection(page, (item) => model.getItemCursor("video", item));
         },
         snippetByID: async (_, { id }, contextValue, info) => {
             const { userId } = contextValue.user
@@ -41,44 +55,168 @@ const resolvers = {
                 }
             };
 
-            return await contextValue.models.DynamoDB.getItem("snippet", getParams);
+            const snippet = await contextValue.models.DynamoDB.getItem("snippet", getParams);
+            return snippet || await getSharedItem(contextValue.models.DynamoDB, userId, "snippet", id);
+        },
+        snippetsByUser: async (_, { first, after }, contextValue, info) => {
+            const { userId } = contextValue.user
+            const model = contextValue.models.DynamoDB
+            const projectionExpression = getConnectionProjectionExpression(info, "Snippet", model.getKeyAttributes("snippet"))
+
+            const page = await paginateItems(async ({ cursor, limit }) => {
+                const queryParams = {
+                    hash_key: userId,
+                    filter: { path: "deletedAt", op: "not_exists" },
+                    cursor,
+                    other_params: {
+                        ProjectionExpression: projectionExpression,
+                        Limit: limit
+                    }
+                };
+                return await model.queryItems("snippet", queryParams);
+            }, { first, after });
+
+            return toConnection(page, (item) => model.getItemCursor("snippet", item));
+        },
+        snippetsByVideoID: async (_, { videoId, first, after }, contextValue, info) => {
+            const { userId } = contextValue.user
+            const model = contextValue.models.DynamoDB
+            const projectionExpression = getConnectionProjectionExpression(info, "Snippet", model.getKeyAttributes("snippet", "videoId-id"))
+
+            const page = await paginateItems(async ({ cursor, limit }) => {
+                const queryParams = {
+                    index_name: 'videoId-id',
+                    hash_key: videoId,
+                    filter: { and: [{ path: "userId", op: "eq", value: userId }, { path: "deletedAt", op: "not_exists" }] },
+                    cursor,
+                    other_params: {
+                        ProjectionExpression: projectionExpression,
+                        Limit: limit
+                    }
+                };
+                return await model.queryItems("snippet", queryParams);
+            }, { first, after });
+
+            return toConnection(page, (item) => model.getItemCursor("snippet", item, "videoId-id"));
+        },
+        snippetsByLabels: async (_, { labels, match, filter, first, after }, contextValue, info) => {
+            const { userId } = contextValue.user
+            const model = contextValue.models.DynamoDB
+            const snippetFilter = filter ? validateFilter(model, "snippet", filter) : undefined
+
+            const page = await paginateItems(async ({ cursor, limit }) => {
+                if (labels.length > 0) {
+                    return await findSnippetsByLabels(model, userId, { labels, match, filter: snippetFilter, cursor, limit });
+                }
+
+                // Without labels, every snippet matches
+                const queryParams = {
+                    hash_key: userId,
+                    filter: { and: [{ path: "deletedAt", op: "not_exists" }, ...(snippetFilter ? [snippetFilter] : [])] },
+                    cursor,
+                    other_params: {
+                        ProjectionExpression: getConnectionProjectionExpression(info, "Snippet", model.getKeyAttributes("snippet")),
+                        Limit: limit
+                    }
+                }
+                return await model.queryItems("snippet", queryParams);
+            }, { first, after });
+
+            return toConnection(page, (item) => model.getItemCursor("snippet", item));
+        },
+        sharedWithMe: async (_, { first, after }, contextValue) => {
+            const { userId } = contextValue.user
+            const model = contextValue.models.DynamoDB
+
+            const page = await paginateItems(async ({ cursor, limit }) => {
+                const { items: shares, cursor: nextCursor } = await model.queryItems("share", { hash_key: userId, cursor, other_params: { Limit: limit } });
+                if (shares.length === 0) {
+                    return { items: [], cursor: nextCursor }
+                }
+
+                const batchItems = {}
+                shares.forEach(({ ownerId, entityType, entityId }) => {
+                    batchItems[entityType] = batchItems[entityType] || { get: [] }
+                    batchItems[entityType].get.push({ userId: ownerId, id: entityId })
+                })
+                const items = await model.batchGetItem({ batch_items: batchItems }, true)
+                const nodes = new Map(Object.entries(items).flatMap(([entityType, tableItems]) => tableItems.map((item) => [shareEntityKey(entityType, item.id, item.userId), item])))
+
+                // Grants outlive the items they were made for, so items deleted or moved to the trash since are left out
+                return {
+                    items: shares
+                        .map((share) => ({ share, node: nodes.get(share.entityKey) }))
+                        .filter(({ node }) => node && !node.deletedAt),
+                    cursor: nextCursor
+                }
+            }, { first, after });
+
+            const connection = toConnection(page, ({ share }) => model.getItemCursor("share", share));
+            connection.edges = connection.edges.map(({ node, cursor }) => ({ node: node.node, share: node.share, cursor }));
+            return connection;
         },
-        snippetsByUser: async (_, __, contextValue, info) => {
+        sharedLink: async (_, { token }, { models }) => {
+            const link = await models.DynamoDB.getItem("shareToken", { key: { token } });
+
+            // DynamoDB removes expired links some time after they expire, so they are checked here as well
+            if (!link || link.expiresAt <= Math.floor(Date.now() / 1000)) {
+                throw new GraphQLError(`Share link does not exist or has expired`, {
+                    extensions: {
+                        code: 'NOT_FOUND',
+                        http: { status: 404 },
+                    },
+                });
+            }
+
+            const item = await models.DynamoDB.getItem(link.entityType, { key: { userId: link.ownerId, id: link.entityId } });
+            return item && !item.deletedAt ? item : null;
+        },
+        playlistByID: async (_, { id }, contextValue, info) => {
             const { userId } = contextValue.user
-            const queryParams = {
-                hash_key: userId,
+            const getParams = {
+                key: {
+                    userId: userId,
+                    id: id
+                },
                 other_params: {
-                    ProjectionExpression: getProjectionExpression(info, "Snippet")
+                    ProjectionExpression: getProjectionExpression(info, "Playlist")
                 }
             };
 
-            const result = await contextValue.models.DynamoDB.queryItems("snippet", queryParams);
-            return result
+            return await contextValue.models.DynamoDB.getItem("playlist", getParams);
         },
-        snippetsByVideoID: async (_, { videoId }, contextValue, info) => {
-            const queryParams = {
-                index_name: 'videoId-id',
-                hash_key: videoId,
+        job: async (_, { id }, contextValue, info) => {
+            const { userId } = contextValue.user
+            const getParams = {
+                key: {
+                    userId: userId,
+                    id: id
+                },
                 other_params: {
-                    ProjectionExpression: getProjectionExpression(info, "Snippet")
+                    ProjectionExpression: getProjectionExpression(info, "Job")
                 }
             };
 
-            return await contextValue.models.DynamoDB.queryItems("snippet", queryParams);
+            return await contextValue.models.DynamoDB.getItem("job", getParams);
         },
-        snippetsByLabels: async (_, { labels, operand }, contextValue, info) => {
+        playlists: async (_, { first, after }, contextValue, info) => {
             const { userId } = contextValue.user
+            const model = contextValue.models.DynamoDB
+            const projectionExpression = getConnectionProjectionExpression(info, "Playlist", model.getKeyAttributes("playlist"))
 
-            const scanExpression = generateFilterExpression(userId, labels, operand || "OR");
+            const page = await paginateItems(async ({ cursor, limit }) => {
+                const queryParams = {
+                    hash_key: userId,
+                    cursor,
+                    other_params: {
+                        ProjectionExpression: projectionExpression,
+                        Limit: limit
+                    }
+                };
+                return await model.queryItems("playlist", queryParams);
+            }, { first, after });
 
-            const scanParams = {
-                ...scanExpression,
-                other_params: {
-                    ProjectionExpression: getProjectionExpression(info, "Snippet")
-                }
-            }
-
-            return await contextValue.models.DynamoDB.scanItems("snippet", scanParams);;
+            return toConnection(page, (item) => model.getItemCursor("playlist", item));
         },
         generateVideoIDKey: (_, __, contextValue) => {
             const { userId } = contextValue.user
@@ -86,23 +224,196 @@ const resolvers = {
             const key = `${userId}/video-${id}/videofile.mp4`
             return { userId: userId, id, key }
         },
-        getLabels: (_, __, { user }) => {
-            return { labels: user.labels }
+        labels: async (_, __, { user, models }) => {
+            return await getUserLabels(models, user);
+        },
+        getLabels: async (_, __, { user, models }) => {
+            const labels = await getUserLabels(models, user);
+            return { labels: Object.fromEntries(labels.map(({ id, name }) => [id, name])) };
+        },
+        trash: () => {
+            return {}
+        },
+        search: async (_, { text, types, first, after }, contextValue) => {
+            const { userId } = contextValue.user
+            const model = contextValue.models.DynamoDB
+            const results = await searchEntities(model, userId, { text, types: types ? types.map((type) => type.toLowerCase()) : null })
+
+            // Results are ranked in memory, so a cursor is the position in the ranking after which the next page starts
+            const page = await paginateItems(async ({ cursor, limit }) => {
+                const offset = cursor ? DynamoDBModel.decodeCursor(cursor).offset || 0 : 0
+                const end = limit ? offset + limit : results.length
+                const ranked = results.slice(offset, end)
+                if (ranked.length === 0) {
+                    return { items: [], cursor: null }
+                }
+
+                // Items deleted since they were indexed are left out
+                const batchItems = {}
+                ranked.forEach(({ entityType, entityId }) => {
+                    batchItems[entityType] = batchItems[entityType] || { get: [] }
+                    batchItems[entityType].get.push({ userId, id: entityId })
+                })
+                const items = await model.batchGetItem({ batch_items: batchItems }, true)
+                const nodes = new Map(Object.entries(items).flatMap(([entityType, tableItems]) => tableItems.map((item) => [`${entityType}#${item.id}`, item])))
+
+                return {
+                    items: ranked
+                        .map((result, index) => ({ ...result, position: offset + index + 1, node: nodes.get(`${result.entityType}#${result.entityId}`) }))
+                        .filter(({ node }) => node && !node.deletedAt),
+                    cursor: end < results.length ? DynamoDBModel.encodeCursor({ offset: end }) : null
+                }
+            }, { first, after });
+
+            const connection = toConnection(page, ({ position }) => DynamoDBModel.encodeCursor({ offset: position }));
+            connection.edges = connection.edges.map(({ node, cursor }) => ({ node: node.node, score: node.score, cursor }));
+            return connection;
+        },
+        auditLog: async (_, { entityType, entityId, first, after }, contextValue, info) => {
+            const { userId } = contextValue.user
+            const model = contextValue.models.DynamoDB
+            if (Boolean(entityType) !== Boolean(entityId)) {
+                throw new GraphQLError(`Invalid audit log query: entityType and entityId must be given together`, {
+                    extensions: {
+                        code: 'BAD_USER_INPUT',
+                        http: { status: 400 },
+                    },
+                });
+            }
+
+            const indexName = entityId ? 'entityKey-id' : null
+            const projectionExpression = getConnectionProjectionExpression(info, "Audit", model.getKeyAttributes("audit", indexName))
+
+            // Audit ids start with their timestamp, so reading backwards returns the newest records first
+            const page = await paginateItems(async ({ cursor, limit }) => {
+                const queryParams = {
+                    hash_key: userId,
+                    cursor,
+                    other_params: {
+                        ProjectionExpression: projectionExpression,
+                        ScanIndexForward: false,
+                        Limit: limit
+                    }
+                };
+                if (entityId) {
+                    Object.assign(queryParams, { index_name: indexName, hash_key: auditEntityKey(userId, entityType.toLowerCase(), entityId) })
+                }
+                return await model.queryItems("audit", queryParams);
+            }, { first, after });
+
+            return toConnection(page, (item) => model.getItemCursor("audit", item, indexName));
+        },
+    },
+    Trash: {
+        videos: async (_, { first, after }, contextValue, info) => {
+            const { userId } = contextValue.user
+            const model = contextValue.models.DynamoDB
+            const projectionExpression = getConnectionProjectionExpression(info, "Video", model.getKeyAttributes("video"))
+
+            const page = await paginateItems(async ({ cursor, limit }) => {
+                const queryParams = {
+                    hash_key: userId,
+                    filter: { path: "deletedAt", op: "exists" },
+                    cursor,
+                    other_params: {
+                        ProjectionExpression: projectionExpression,
+                        Limit: limit
+                    }
+                };
+                return await model.queryItems("video", queryParams);
+            }, { first, after });
+
+            return toConnection(page, (item) => model.getItemCursor("video", item));
+        },
+        snippets: async (_, { first, after }, contextValue, info) => {
+            const { userId } = contextValue.user
+            const model = contextValue.models.DynamoDB
+            const projectionExpression = getConnectionProjectionExpression(info, "Snippet", model.getKeyAttributes("snippet"))
+
+            const page = await paginateItems(async ({ cursor, limit }) => {
+                const queryParams = {
+                    hash_key: userId,
+                    filter: { path: "deletedAt", op: "exists" },
+                    cursor,
+                    other_params: {
+                        ProjectionExpression: projectionExpression,
+                        Limit: limit
+                    }
+                };
+                return await model.queryItems("snippet", queryParams);
+            }, { first, after });
+
+            return toConnection(page, (item) => model.getItemCursor("snippet", item));
+        },
+    },
+    Video: {
+        snippets: async (parent, _, contextValue) => {
+            // The snippets of a shared video are shared with it
+            return await contextValue.loaders.forUser(parent.userId).snippetsByVideoId.load(parent.id);
+        },
+        processingStatus: async (parent, _, contextValue) => {
+            return await getProcessingStatus(contextValue.loaders, parent);
+        },
+        renditionStatus: async (parent, _, contextValue) => {
+            return await getProcessingStatus(contextValue.loaders, parent, "hlsJobId");
+        },
+        metadataStatus: async (parent, _, contextValue) => {
+            return await getProcessingStatus(contextValue.loaders, parent, "probeJobId");
+        },
+        thumbnailUrl: async (parent, _, { clients, config }) => {
+            return parent.thumbnailKey ? await getObjectUrl({ s3Client: clients.S3, dataBucket: config.S3DataBucket, key: parent.thumbnailKey }) : null;
+        },
+    },
+    Snippet: {
+        video: async (parent, _, contextValue) => {
+            if (!parent.videoId) {
+                return null;
+            }
+
+            // Sharing a snippet does not share its video, which is only returned when it is shared as well
+            const userId = contextValue.user ? contextValue.user.userId : null
+            if (parent.userId && parent.userId !== userId) {
+                const video = await getSharedItem(contextValue.models.DynamoDB, userId, "video", parent.videoId);
+                return video && video.userId === parent.userId ? video : null;
+            }
+            return await contextValue.loaders.videoById.load(parent.videoId);
+        },
+        labelDetails: async (parent, _, contextValue) => {
+            // Labels that no longer exist, and the -1 placeholder of a snippet without labels, are left out
+            const labelById = contextValue.loaders.forUser(parent.userId).labelById
+            const labels = await Promise.all((parent.labels || []).filter((id) => id > 0).map((id) => labelById.load(id)));
+            return labels.filter(Boolean);
+        },
+        processingStatus: async (parent, _, contextValue) => {
+            return await getProcessingStatus(contextValue.loaders, parent);
+        },
+        thumbnailUrl: async (parent, _, { clients, config }) => {
+            return parent.thumbnailKey ? await getObjectUrl({ s3Client: clients.S3, dataBucket: config.S3DataBucket, key: parent.thumbnailKey }) : null;
+        },
+    },
+    Playlist: {
+        snippets: async (parent, _, contextValue) => {
+            // Snippets are returned in playlist order, leaving out those that were deleted or are in the trash
+            const snippets = await Promise.all((parent.snippetIds || []).map((id) => contextValue.loaders.snippetById.load(id)));
+            return snippets.filter((snippet) => snippet && !snippet.deletedAt);
+        },
+    },
+    SearchResult: {
+        __resolveType: (node) => {
+            return node.videoId ? "Snippet" : "Video";
+        },
+    },
+    SharedItem: {
+        __resolveType: (node) => {
+            return node.videoId ? "Snippet" : "Video";
+        },
+    },
+    Label: {
+        parent: async (parent, _, contextValue) => {
+            // The labels of a shared snippet, and so their parents, belong to its owner
+            return parent.parentId ? await contextValue.loaders.forUser(parent.userId).labelById.load(parent.parentId) : null;
         },
     },
-    // Video: {
-    //     snippets: async (parent, _, contextValue, info) => {
-    //         const queryParams = {
-    //             index_name: 'videoId-id',
-    //             hash_key: parent.id,
-    //             other_params: {
-    //                 ProjectionExpression: getProjectionExpression(info)
-    //             }
-    //         };
-
-    //         return await contextValue.models.DynamoDB.queryItems("snippet", queryParams);
-    //     }
-    // },
     JSON: GraphQLJSON,
 };
 
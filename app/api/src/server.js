@@ -1,17 +1,51 @@
 import { ApolloServer } from '@apollo/server';
 import { startServerAndCreateLambdaHandler, handlers } from '@as-integrations/aws-lambda';
 import DynamoDBModel from "./models/DynamoDBModel.js"
+import { createLoaders } from './loaders/loaders.js'
+import { anonymousAccessPlugin } from './auth/anonymousAccess.js'
+import { CognitoJwtVerifier, TokenVerificationError, userFromClaims, userFromAttributes } from './auth/cognitoJwtVerifier.js'
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { S3Client } from '@aws-sdk/client-s3';
 import { CognitoIdentityProviderClient, GetUserCommand } from "@aws-sdk/client-cognito-identity-provider";
 import { GraphQLError } from 'graphql';
 import ServerArgs from './serverargs.js'
+import { purgeExpiredTrash } from './maintenance/purgeTrash.js'
+import { rebuildLabelIndex } from './maintenance/rebuildLabelIndex.js'
+import { rebuildSearchIndex } from './maintenance/rebuildSearchIndex.js'
+import { processJobs } from './jobs/processJobs.js'
 
 const config = CONFIG
 const dynamodbClient = new DynamoDBClient()
 const cognitoClient = new CognitoIdentityProviderClient()
+const s3Client = new S3Client()
 const model = new DynamoDBModel(config.dynamodb, dynamodbClient)
 
-const server = new ApolloServer(ServerArgs);
+const server = new ApolloServer({ ...ServerArgs, plugins: [anonymousAccessPlugin] });
+
+// Tokens are verified locally against the user pool's signing keys. GetUser is only used when enabled as a fallback,
+// for when the keys cannot be fetched
+const verifier = new CognitoJwtVerifier({
+    region: process.env.AWS_REGION,
+    userPoolId: process.env.COGNITO_USER_POOL_ID,
+    clientIds: (process.env.COGNITO_CLIENT_IDS || '').split(',').map((clientId) => clientId.trim()).filter(Boolean),
+})
+const getUserFallback = process.env.COGNITO_GETUSER_FALLBACK === 'true'
+
+const authenticate = async (token) => {
+    try {
+        return userFromClaims(await verifier.verify(token));
+    } catch (error) {
+        if (error instanceof TokenVerificationError || !getUserFallback) {
+            throw error;
+        }
+        console.error('Unable to verify token locally, falling back to GetUser:', error);
+    }
+
+    // GetUser does not return group membership, which is read from the token GetUser has just accepted
+    const response = await cognitoClient.send(new GetUserCommand({ AccessToken: token }));
+    const claims = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf-8'));
+    return userFromAttributes(response.UserAttributes, claims);
+}
 
 export const graphqlHandler = startServerAndCreateLambdaHandler(server,
     handlers.createAPIGatewayProxyEventRequestHandler(),
@@ -23,7 +57,26 @@ export const graphqlHandler = startServerAndCreateLambdaHandler(server,
         ],
         context: async ({ event }) => {
             const { authorization } = event.headers;
-            if (!authorization || !authorization.startsWith('Bearer ')) {
+
+            // Requests without a token can only open share links, which anonymousAccessPlugin checks once the operation is parsed
+            if (!authorization) {
+                return {
+                    user: null,
+                    production: true,
+                    models: {
+                        DynamoDB: model,
+                    },
+                    clients: {
+                        S3: s3Client,
+                    },
+                    loaders: createLoaders(model, null),
+                    config: {
+                        S3DataBucket: config.s3.data_bucket.name
+                    }
+                };
+            }
+
+            if (!authorization.startsWith('Bearer ')) {
                 throw new GraphQLError('Authorization header not present or malformed', {
                     extensions: {
                         code: 'UNAUTHENTICATED',
@@ -33,16 +86,9 @@ export const graphqlHandler = startServerAndCreateLambdaHandler(server,
             }
 
             const token = authorization.replace('Bearer ', '');
-            const getUserCommand = new GetUserCommand({ AccessToken: token });
 
             try {
-                const response = await cognitoClient.send(getUserCommand);
-                const user = response.UserAttributes.reduce((result, { Name, Value }) => {
-                    const key = Name === 'sub' ? 'userId' : (Name === 'custom:labels' ? 'labels' : Name);
-                    const parsedValue = Name === 'custom:labels' ? JSON.parse(Value) : Value;
-                    result[key] = parsedValue;
-                    return result;
-                }, {});
+                const user = await authenticate(token);
 
                 return {
                     user,
@@ -50,12 +96,16 @@ export const graphqlHandler = startServerAndCreateLambdaHandler(server,
                     models: {
                         DynamoDB: model,
                     },
+                    clients: {
+                        S3: s3Client,
+                    },
+                    loaders: createLoaders(model, user.userId),
                     config: {
                         S3DataBucket: config.s3.data_bucket.name
                     }
                 };
             } catch (error) {
-                if (error.name === 'NotAuthorizedException') {
+                if (error instanceof TokenVerificationError || error.name === 'NotAuthorizedException') {
                     throw new GraphQLError('User is not authenticated', {
                         extensions: {
                             code: 'UNAUTHENTICATED',
@@ -74,4 +124,27 @@ export const graphqlHandler = startServerAndCreateLambdaHandler(server,
             }
         }
     }
-);
\ No newline at end of file
+);
+
+export const purgeTrashHandler = async () => {
+    const summary = await purgeExpiredTrash({ model, s3Client, bucket: config.s3.data_bucket.name })
+    console.log(JSON.stringify(summary))
+    return summary
+};
+
+export const rebuildIndexesHandler = async () => {
+    const summary = {
+        labelIndex: await rebuildLabelIndex({ model }),
+        searchIndex: await rebuildSearchIndex({ model })
+    }
+    console.log(JSON.stringify(summary))
+    return summary
+};
+
+export const processJobsHandler = async (event, context) => {
+    // No job is started in the last minute before the Lambda times out, so that a job is not cut short right away
+    const deadline = Date.now() + context.getRemainingTimeInMillis() - 60 * 1000
+    const summary = await processJobs({ model, s3Client, bucket: config.s3.data_bucket.name, production: true, deadline })
+    console.log(JSON.stringify(summary))
+    return summary
+};
\ No newline at end of file
@@ -0,0 +1,312 @@
+import { BatchWriteItemCommand } from '@aws-sdk/client-dynamodb';
+import DynamoDBModel from '../src/models/DynamoDBModel.js';
+import InMemoryDynamoDBClient from '../src/local/InMemoryDynamoDBClient.js';
+
+const config = {
+    clip: {
+        table_name: 'clip-Test',
+        hash_key: 'userId',
+        range_key: 'id',
+        version_attribute: 'version',
+        key_attributes: { userId: 'S', id: 'S' },
+        attributes: { videoId: 'S', name: 'S', size: 'N', labels: 'NS', history: 'L', meta: 'M', note: 'S', version: 'N' },
+        indexes: { 'videoId-id': { hash_key: 'videoId', range_key: 'id' } },
+    },
+    tag: {
+        table_name: 'tag-Test',
+        hash_key: 'userId',
+        range_key: 'name',
+        key_attributes: { userId: 'S', name: 'S' },
+        attributes: { count: 'N' },
+    },
+};
+
+let model;
+beforeEach(async () => {
+    model = new DynamoDBModel(config, new InMemoryDynamoDBClient(config));
+    for (const [id, videoId, size] of [['a', 'v1', 1], ['b', 'v1', 2], ['c', 'v2', 3], ['d', 'v2', 4], ['e', 'v2', 5]]) {
+        await model.createItem('clip', { userId: 'u1', id, videoId, size, labels: [size] });
+    }
+});
+
+describe('createItem', () => {
+    test('starts versioned items at version 1, and refuses to replace an existing item', async () => {
+        expect(await model.getItem('clip', { key: { userId: 'u1', id: 'a' } })).toMatchObject({ size: 1, labels: [1], version: 1 });
+        await expect(model.createItem('clip', { userId: 'u1', id: 'a' })).rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+    });
+
+    test('replaces an item on overwrite only when the expected version matches', async () => {
+        await expect(model.createItem('clip', { userId: 'u1', id: 'a', size: 7 }, false, { overwrite: true, version: 2 })).rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+
+        const replaced = await model.createItem('clip', { userId: 'u1', id: 'a', size: 7 }, false, { overwrite: true, version: 1 });
+        expect(replaced.version).toBe(2);
+        expect(await model.getItem('clip', { key: { userId: 'u1', id: 'a' } })).toEqual({ userId: 'u1', id: 'a', size: 7, version: 2 });
+    });
+
+    test('leaves unversioned items without a version attribute', async () => {
+        expect(await model.createItem('tag', { userId: 'u1', name: 'goals', count: 1 })).toEqual({ userId: 'u1', name: 'goals', count: 1 });
+    });
+});
+
+describe('updateItem', () => {
+    test('applies plain values and operators, and increments the version', async () => {
+        await model.updateItem('clip', { key: { userId: 'u1', id: 'a' }, updates: { meta: { width: 1280 }, note: 'first' } });
+        const updated = await model.updateItem('clip', {
+            key: { userId: 'u1', id: 'a' },
+            updates: {
+                name: 'Goal',
+                'meta.width': 640,
+                $remove: ['note'],
+                $add: { size: 2, labels: [9] },
+                $append: { history: [{ action: 'trimmed' }] },
+                $if_not_exists: { videoId: 'v9' },
+            },
+            version: 2,
+        });
+
+        expect(updated).toEqual({
+            userId: 'u1',
+            id: 'a',
+            videoId: 'v1',
+            name: 'Goal',
+            meta: { width: 640 },
+            size: 3,
+            labels: expect.arrayContaining([1, 9]),
+            history: [{ action: 'trimmed' }],
+            version: 3,
+        });
+    });
+
+    test('fails on a stale version or a missing item, without creating it', async () => {
+        await expect(model.updateItem('clip', { key: { userId: 'u1', id: 'a' }, updates: { name: 'x' }, version: 5 })).rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+        await expect(model.updateItem('clip', { key: { userId: 'u1', id: 'z' }, updates: { name: 'x' } })).rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+        expect(await model.getItem('clip', { key: { userId: 'u1', id: 'z' } })).toBeNull();
+    });
+
+    test('rejects updates of the key, the version or unknown attributes', async () => {
+        for (const updates of [{ id: 'b' }, { version: 9 }, { unknown: 1 }, {}]) {
+            await expect(model.updateItem('clip', { key: { userId: 'u1', id: 'a' }, updates })).rejects.toThrow();
+        }
+    });
+});
+
+describe('deleteItem', () => {
+    test('deletes only when the expected version matches', async () => {
+        await expect(model.deleteItem('clip', { key: { userId: 'u1', id: 'a' }, version: 2 })).rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+
+        const deleted = await model.deleteItem('clip', { key: { userId: 'u1', id: 'a' }, version: 1, other_params: { ReturnValues: 'ALL_OLD' } });
+        expect(deleted.id).toBe('a');
+        expect(await model.getItem('clip', { key: { userId: 'u1', id: 'a' } })).toBeNull();
+    });
+});
+
+describe('queryItems', () => {
+    test('pages through a partition with cursors', async () => {
+        const ids = [];
+        let cursor = null;
+        do {
+            const page = await model.queryItems('clip', { hash_key: 'u1', cursor, other_params: { Limit: 2 } });
+            ids.push(page.items.map(({ id }) => id));
+            cursor = page.cursor;
+        } while (cursor);
+
+        expect(ids).toEqual([['a', 'b'], ['c', 'd'], ['e']]);
+    });
+
+    test('applies sort key conditions and structured filters', async () => {
+        const { items } = await model.queryItems('clip', {
+            hash_key: 'u1',
+            range_key: { operation: 'between', value: ['b', 'e'] },
+            filter: { or: [{ path: 'size', op: 'ge', value: 4 }, { path: 'labels', op: 'contains', value: 2 }] },
+        });
+        expect(items.map(({ id }) => id)).toEqual(['b', 'd', 'e']);
+    });
+
+    test('queries a secondary index, resuming from an item cursor', async () => {
+        const { items } = await model.queryItems('clip', { index_name: 'videoId-id', hash_key: 'v2' });
+        expect(items.map(({ id }) => id)).toEqual(['c', 'd', 'e']);
+
+        const cursor = model.getItemCursor('clip', items[0], 'videoId-id');
+        const next = await model.queryItems('clip', { index_name: 'videoId-id', hash_key: 'v2', cursor });
+        expect(next.items.map(({ id }) => id)).toEqual(['d', 'e']);
+    });
+
+    test('iterates every page with queryAll and scanAll', async () => {
+        const queried = [];
+        for await (const item of model.queryAll('clip', { hash_key: 'u1', other_params: { Limit: 2 } })) {
+            queried.push(item.id);
+        }
+        expect(queried).toEqual(['a', 'b', 'c', 'd', 'e']);
+
+        const scanned = [];
+        for await (const item of model.scanAll('clip', { filter: { path: 'size', op: 'lt', value: 3 }, other_params: { Limit: 1 } })) {
+            scanned.push(item.id);
+        }
+        expect(scanned.sort()).toEqual(['a', 'b']);
+    });
+
+    test('reads every item once with a parallel scan', async () => {
+        const items = await model.parallelScan('clip', { segments: 3 });
+        expect(items.map(({ id }) => id).sort()).toEqual(['a', 'b', 'c', 'd', 'e']);
+    });
+
+    test('reads no more segments at once than its concurrency', async () => {
+        const send = model.dynamodbClient.send.bind(model.dynamodbClient);
+        let inFlight = 0;
+        let maxInFlight = 0;
+        const segments = [];
+        model.dynamodbClient.send = async (command) => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            segments.push(command.input.Segment);
+            await new Promise((resolve) => setTimeout(resolve, 1));
+            inFlight--;
+            return send(command);
+        };
+
+        const items = await model.parallelScan('clip', { segments: 40 });
+        expect(items.map(({ id }) => id).sort()).toEqual(['a', 'b', 'c', 'd', 'e']);
+        expect(maxInFlight).toBe(16);
+        expect(segments.sort((a, b) => a - b)).toEqual(Array.from({ length: 40 }, (_, segment) => segment));
+
+        maxInFlight = 0;
+        await model.parallelScan('clip', { segments: 40, concurrency: 2 });
+        expect(maxInFlight).toBe(2);
+        await expect(model.parallelScan('clip', { segments: 40, concurrency: 40 })).rejects.toThrow('Invalid concurrency');
+    });
+});
+
+describe('buildFilterExpression', () => {
+    test('binds every name and value through placeholders', () => {
+        const { FilterExpression, ExpressionAttributeNames, ExpressionAttributeValues } = model.buildFilterExpression('clip', {
+            and: [{ path: 'name', op: 'begins_with', value: 'G' }, { not: { path: 'size', size: false, op: 'in', value: [1, 2] } }],
+        });
+        expect(FilterExpression).toBe('begins_with(#name, :filter0) AND (NOT #size IN (:filter1, :filter2))');
+        expect(ExpressionAttributeNames).toEqual({ '#name': 'name', '#size': 'size' });
+        expect(ExpressionAttributeValues).toEqual({ ':filter0': { S: 'G' }, ':filter1': { N: '1' }, ':filter2': { N: '2' } });
+    });
+
+    test('rejects malformed filters and values of the wrong type', () => {
+        for (const filter of [{ path: 'size', op: 'eq', value: 'one' }, { path: 'unknown', op: 'exists' }, { and: [] }, { path: 'size', op: 'like', value: 1 }]) {
+            expect(() => model.buildFilterExpression('clip', filter)).toThrow();
+        }
+    });
+
+    test('matches read items the way the expression would', () => {
+        const item = { userId: 'u1', id: 'a', name: 'Goal', labels: [1, 2] };
+        expect(model.matchesFilter('clip', item, { and: [{ path: 'labels', op: 'contains', value: 2 }, { path: 'size', op: 'not_exists' }] })).toBe(true);
+        expect(model.matchesFilter('clip', item, { path: 'size', op: 'lt', value: 10 })).toBe(false);
+    });
+});
+
+describe('batches', () => {
+    test('gets items across tables in chunks of 100 keys, ignoring duplicates and missing items', async () => {
+        const keys = Array.from({ length: 150 }, (_, index) => ({ userId: 'u1', id: index < 140 ? `missing${index}` : 'a' }));
+        await model.createItem('tag', { userId: 'u1', name: 'goals' });
+
+        const result = await model.batchGetItem({ batch_items: { clip: { get: keys }, tag: { get: [{ userId: 'u1', name: 'goals' }] } } });
+        expect(result.clip.map(({ id }) => id)).toEqual(['a']);
+        expect(result.tag.map(({ name }) => name)).toEqual(['goals']);
+    });
+
+    test('writes puts and deletes in chunks of 25 and counts them', async () => {
+        const put = Array.from({ length: 30 }, (_, index) => ({ userId: 'u1', name: `tag${index}`, count: index }));
+        expect(await model.batchWriteItem({ batch_items: { tag: { put } } })).toEqual({ tag: { put: 30, delete: 0 } });
+
+        const remove = put.map(({ userId, name }) => ({ userId, name }));
+        expect(await model.batchWriteItem({ batch_items: { tag: { delete: remove } } })).toEqual({ tag: { put: 0, delete: 30 } });
+        expect((await model.scanItems('tag', {})).items).toEqual([]);
+    });
+
+    test('writes a repeated key once, with its last item, and refuses to both put and delete a key', async () => {
+        const put = [{ userId: 'u1', name: 'goals', count: 1 }, { userId: 'u1', name: 'saves' }, { userId: 'u1', name: 'goals', count: 2 }];
+        expect(await model.batchWriteItem({ batch_items: { tag: { put } } })).toEqual({ tag: { put: 2, delete: 0 } });
+        expect(await model.getItem('tag', { key: { userId: 'u1', name: 'goals' } })).toEqual({ userId: 'u1', name: 'goals', count: 2 });
+
+        const conflicting = model.batchWriteItem({ batch_items: { tag: { put: [{ userId: 'u1', name: 'goals' }], delete: [{ userId: 'u1', name: 'goals' }] } } });
+        await expect(conflicting).rejects.toThrow('both put and deleted');
+    });
+
+    test('reports which writes were applied when a request fails part-way', async () => {
+        const send = model.dynamodbClient.send.bind(model.dynamodbClient);
+        let calls = 0;
+        model.dynamodbClient.send = async (command) => {
+            calls += 1;
+            if (calls === 2) {
+                throw new Error('Service unavailable');
+            }
+            return await send(command);
+        };
+
+        const put = Array.from({ length: 30 }, (_, index) => ({ userId: 'u1', name: `tag${index}` }));
+        const error = await model.batchWriteItem({ batch_items: { tag: { put } } }).catch((error) => error);
+        expect(error.message).toBe('Service unavailable');
+        expect(error.results).toEqual({ tag: { put: 25, delete: 0 } });
+        expect(error.written.tag.put).toEqual(put.slice(0, 25));
+        expect(error.unprocessed.tag.put).toEqual(put.slice(25));
+    });
+
+    test('reports the writes still unprocessed after the last retry', async () => {
+        const send = model.dynamodbClient.send.bind(model.dynamodbClient);
+        model.dynamodbClient.send = async (command) => {
+            const [[table_name, writeRequests]] = Object.entries(command.input.RequestItems);
+            const [stuck, ...others] = writeRequests;
+            if (others.length > 0) {
+                await send(new BatchWriteItemCommand({ ...command.input, RequestItems: { [table_name]: others } }));
+            }
+            return { UnprocessedItems: { [table_name]: [stuck] } };
+        };
+
+        const error = await model.batchWriteItem({ batch_items: { tag: { delete: [{ userId: 'u1', name: 'a' }, { userId: 'u1', name: 'b' }] } } }).catch((error) => error);
+        expect(error.message).toMatch('Batch write incomplete');
+        expect(error.unprocessed).toEqual({ tag: { delete: [{ userId: 'u1', name: 'a' }] } });
+        expect(error.written).toEqual({ tag: { delete: [{ userId: 'u1', name: 'b' }] } });
+        expect(error.results).toEqual({ tag: { put: 0, delete: 1 } });
+    });
+
+    test('refuses to put items of versioned tables, which would reset their version', async () => {
+        await model.updateItem('clip', { key: { userId: 'u1', id: 'a' }, updates: { name: 'Goal' } });
+        await expect(model.batchWriteItem({ batch_items: { clip: { put: [{ userId: 'u1', id: 'a' }] } } })).rejects.toThrow('versioned');
+        expect(await model.getItem('clip', { key: { userId: 'u1', id: 'a' } })).toMatchObject({ name: 'Goal', version: 2 });
+
+        expect(await model.batchWriteItem({ batch_items: { clip: { delete: [{ userId: 'u1', id: 'a' }] } } })).toEqual({ clip: { put: 0, delete: 1 } });
+    });
+});
+
+describe('transactions', () => {
+    test('applies every action, or none when a condition fails', async () => {
+        const failed = model.transactWrite({
+            transact_items: [
+                { put: { table: 'tag', item: { userId: 'u1', name: 'goals' } } },
+                { update: { table: 'clip', key: { userId: 'u1', id: 'a' }, updates: { name: 'Goal' }, version: 9 } },
+            ],
+        });
+        await expect(failed).rejects.toMatchObject({ name: 'TransactionCanceledException' });
+        expect(await model.getItem('tag', { key: { userId: 'u1', name: 'goals' } })).toBeNull();
+
+        await model.transactWrite({
+            transact_items: [
+                { put: { table: 'tag', item: { userId: 'u1', name: 'goals' } } },
+                { update: { table: 'clip', key: { userId: 'u1', id: 'a' }, updates: { name: 'Goal' }, version: 1 } },
+                { delete: { table: 'clip', key: { userId: 'u1', id: 'b' } } },
+                { condition_check: { table: 'clip', key: { userId: 'u1', id: 'c' }, version: 1 } },
+            ],
+        });
+
+        const [tag, updated, deleted] = await model.transactGet({
+            transact_items: [
+                { table: 'tag', key: { userId: 'u1', name: 'goals' } },
+                { table: 'clip', key: { userId: 'u1', id: 'a' } },
+                { table: 'clip', key: { userId: 'u1', id: 'b' } },
+            ],
+        });
+        expect(tag).toEqual({ userId: 'u1', name: 'goals' });
+        expect(updated).toMatchObject({ name: 'Goal', version: 2 });
+        expect(deleted).toBeNull();
+    });
+
+    test('validates actions before sending them', async () => {
+        await expect(model.transactWrite({ transact_items: [{ condition_check: { table: 'tag', key: { userId: 'u1', name: 'goals' } } }] })).rejects.toThrow('A ConditionExpression or version is required');
+        await expect(model.transactWrite({ transact_items: [{ put: { table: 'clip', item: { userId: 'u1' } } }] })).rejects.toThrow('range key');
+    });
+});
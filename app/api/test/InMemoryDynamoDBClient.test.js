@@ -0,0 +1,328 @@
+import {
+    PutItemCommand,
+    GetItemCommand,
+    UpdateItemCommand,
+    DeleteItemCommand,
+    QueryCommand,
+    ScanCommand,
+    BatchGetItemCommand,
+    BatchWriteItemCommand,
+    TransactWriteItemsCommand,
+    TransactGetItemsCommand,
+} from '@aws-sdk/client-dynamodb';
+import InMemoryDynamoDBClient from '../src/local/InMemoryDynamoDBClient.js';
+
+const TableName = 'clip-Test';
+const config = {
+    clip: {
+        table_name: TableName,
+        hash_key: 'userId',
+        range_key: 'id',
+        key_attributes: { userId: 'S', id: 'S', videoId: 'S' },
+        indexes: { 'videoId-id': { hash_key: 'videoId', range_key: 'id' } },
+    },
+};
+
+const clip = (userId, id, attributes = {}) => ({ userId: { S: userId }, id: { S: id }, ...attributes });
+const key = (userId, id) => ({ userId: { S: userId }, id: { S: id } });
+
+let client;
+beforeEach(async () => {
+    client = new InMemoryDynamoDBClient(config);
+    for (const id of ['a', 'b', 'c', 'd', 'e']) {
+        await client.send(new PutItemCommand({ TableName, Item: clip('u1', id, { videoId: { S: id < 'c' ? 'v1' : 'v2' }, size: { N: String(id.charCodeAt(0) - 96) } }) }));
+    }
+    await client.send(new PutItemCommand({ TableName, Item: clip('u2', 'a', { videoId: { S: 'v1' }, size: { N: '9' } }) }));
+});
+
+describe('put, get and delete', () => {
+    test('reads back a written item, and nothing for a missing key', async () => {
+        const { Item } = await client.send(new GetItemCommand({ TableName, Key: key('u1', 'a') }));
+        expect(Item).toEqual(clip('u1', 'a', { videoId: { S: 'v1' }, size: { N: '1' } }));
+
+        const missing = await client.send(new GetItemCommand({ TableName, Key: key('u1', 'z') }));
+        expect(missing.Item).toBeUndefined();
+    });
+
+    test('rejects keys that do not match the key schema, and unknown tables', async () => {
+        await expect(client.send(new GetItemCommand({ TableName, Key: { userId: { S: 'u1' } } }))).rejects.toMatchObject({ name: 'ValidationException' });
+        await expect(client.send(new PutItemCommand({ TableName, Item: { userId: { S: 'u1' }, id: { N: '1' } } }))).rejects.toMatchObject({ name: 'ValidationException' });
+        await expect(client.send(new GetItemCommand({ TableName: 'missing', Key: key('u1', 'a') }))).rejects.toMatchObject({ name: 'ResourceNotFoundException' });
+    });
+
+    test('fails a conditional put on an existing item, returning the old item when asked to', async () => {
+        const put = new PutItemCommand({
+            TableName,
+            Item: clip('u1', 'a'),
+            ConditionExpression: 'attribute_not_exists(#id)',
+            ExpressionAttributeNames: { '#id': 'id' },
+            ReturnValuesOnConditionCheckFailure: 'ALL_OLD',
+        });
+        await expect(client.send(put)).rejects.toMatchObject({ name: 'ConditionalCheckFailedException', Item: { size: { N: '1' } } });
+
+        const { Item } = await client.send(new GetItemCommand({ TableName, Key: key('u1', 'a') }));
+        expect(Item.size).toEqual({ N: '1' });
+    });
+
+    test('rejects expression attribute values that are not used', async () => {
+        const put = new PutItemCommand({ TableName, Item: clip('u1', 'z'), ExpressionAttributeValues: { ':unused': { S: 'x' } } });
+        await expect(client.send(put)).rejects.toMatchObject({ name: 'ValidationException' });
+    });
+
+    test('returns the deleted item, and fails a delete whose condition does not hold', async () => {
+        const conditional = new DeleteItemCommand({
+            TableName,
+            Key: key('u1', 'a'),
+            ConditionExpression: '#size > :size',
+            ExpressionAttributeNames: { '#size': 'size' },
+            ExpressionAttributeValues: { ':size': { N: '5' } },
+        });
+        await expect(client.send(conditional)).rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+
+        const { Attributes } = await client.send(new DeleteItemCommand({ TableName, Key: key('u1', 'a'), ReturnValues: 'ALL_OLD' }));
+        expect(Attributes.id).toEqual({ S: 'a' });
+        const { Item } = await client.send(new GetItemCommand({ TableName, Key: key('u1', 'a') }));
+        expect(Item).toBeUndefined();
+    });
+});
+
+describe('update expressions', () => {
+    test('applies SET, REMOVE, ADD and DELETE clauses', async () => {
+        await client.send(new PutItemCommand({ TableName, Item: clip('u1', 'z', { labels: { NS: ['1', '2'] }, tags: { SS: ['x', 'y'] }, meta: { M: {} }, note: { S: 'x' }, plays: { N: '1' } }) }));
+        const { Attributes } = await client.send(new UpdateItemCommand({
+            TableName,
+            Key: key('u1', 'z'),
+            UpdateExpression: 'SET #name = :name, #meta.#width = :width REMOVE #note ADD #plays :one, #labels :add DELETE #tags :remove',
+            ExpressionAttributeNames: { '#name': 'name', '#meta': 'meta', '#width': 'width', '#note': 'note', '#plays': 'plays', '#labels': 'labels', '#tags': 'tags' },
+            ExpressionAttributeValues: { ':name': { S: 'clip' }, ':width': { N: '640' }, ':one': { N: '1' }, ':add': { NS: ['3'] }, ':remove': { SS: ['x'] } },
+            ReturnValues: 'ALL_NEW',
+        }));
+
+        expect(Attributes.name).toEqual({ S: 'clip' });
+        expect(Attributes.meta).toEqual({ M: { width: { N: '640' } } });
+        expect(Attributes.note).toBeUndefined();
+        expect(Attributes.plays).toEqual({ N: '2' });
+        expect(Attributes.labels.NS.sort()).toEqual(['1', '2', '3']);
+        expect(Attributes.tags).toEqual({ SS: ['y'] });
+    });
+
+    test('rejects two clauses on the same attribute', async () => {
+        const update = new UpdateItemCommand({
+            TableName,
+            Key: key('u1', 'a'),
+            UpdateExpression: 'ADD #labels :add DELETE #labels :remove',
+            ExpressionAttributeNames: { '#labels': 'labels' },
+            ExpressionAttributeValues: { ':add': { NS: ['3'] }, ':remove': { NS: ['1'] } },
+        });
+        await expect(client.send(update)).rejects.toMatchObject({ name: 'ValidationException' });
+    });
+
+    test('supports list_append and if_not_exists, and returns only the updated attributes for UPDATED_NEW', async () => {
+        const update = () => client.send(new UpdateItemCommand({
+            TableName,
+            Key: key('u1', 'a'),
+            UpdateExpression: 'SET #history = list_append(if_not_exists(#history, :empty), :entry)',
+            ExpressionAttributeNames: { '#history': 'history' },
+            ExpressionAttributeValues: { ':empty': { L: [] }, ':entry': { L: [{ S: 'trimmed' }] } },
+            ReturnValues: 'UPDATED_NEW',
+        }));
+
+        await update();
+        const { Attributes } = await update();
+        expect(Attributes).toEqual({ history: { L: [{ S: 'trimmed' }, { S: 'trimmed' }] } });
+    });
+
+    test('creates the item when it does not exist, unless a condition requires it', async () => {
+        await client.send(new UpdateItemCommand({ TableName, Key: key('u3', 'new'), UpdateExpression: 'SET #size = :size', ExpressionAttributeNames: { '#size': 'size' }, ExpressionAttributeValues: { ':size': { N: '1' } } }));
+        const { Item } = await client.send(new GetItemCommand({ TableName, Key: key('u3', 'new') }));
+        expect(Item.size).toEqual({ N: '1' });
+
+        const conditional = new UpdateItemCommand({
+            TableName,
+            Key: key('u3', 'other'),
+            UpdateExpression: 'SET #size = :size',
+            ConditionExpression: 'attribute_exists(#id)',
+            ExpressionAttributeNames: { '#size': 'size', '#id': 'id' },
+            ExpressionAttributeValues: { ':size': { N: '1' } },
+        });
+        await expect(client.send(conditional)).rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+    });
+
+    test('rejects updates of key attributes', async () => {
+        const update = new UpdateItemCommand({ TableName, Key: key('u1', 'a'), UpdateExpression: 'SET #id = :id', ExpressionAttributeNames: { '#id': 'id' }, ExpressionAttributeValues: { ':id': { S: 'b' } } });
+        await expect(client.send(update)).rejects.toMatchObject({ name: 'ValidationException' });
+    });
+});
+
+describe('query and scan', () => {
+    test('queries a partition in sort key order, with sort key conditions and descending order', async () => {
+        const query = (input) => client.send(new QueryCommand({ TableName, ExpressionAttributeNames: { '#userId': 'userId', '#id': 'id' }, ...input }));
+
+        const all = await query({ KeyConditionExpression: '#userId = :userId', ExpressionAttributeNames: { '#userId': 'userId' }, ExpressionAttributeValues: { ':userId': { S: 'u1' } } });
+        expect(all.Items.map(({ id }) => id.S)).toEqual(['a', 'b', 'c', 'd', 'e']);
+
+        const between = await query({ KeyConditionExpression: '#userId = :userId AND #id BETWEEN :from AND :to', ExpressionAttributeValues: { ':userId': { S: 'u1' }, ':from': { S: 'b' }, ':to': { S: 'd' } }, ScanIndexForward: false });
+        expect(between.Items.map(({ id }) => id.S)).toEqual(['d', 'c', 'b']);
+
+        const prefix = await query({ KeyConditionExpression: '#userId = :userId AND begins_with(#id, :prefix)', ExpressionAttributeValues: { ':userId': { S: 'u1' }, ':prefix': { S: 'c' } } });
+        expect(prefix.Items.map(({ id }) => id.S)).toEqual(['c']);
+    });
+
+    test('rejects key conditions without an equality on the partition key', async () => {
+        const query = new QueryCommand({ TableName, KeyConditionExpression: '#id = :id', ExpressionAttributeNames: { '#id': 'id' }, ExpressionAttributeValues: { ':id': { S: 'a' } } });
+        await expect(client.send(query)).rejects.toMatchObject({ name: 'ValidationException' });
+    });
+
+    test('pages through a query with Limit and ExclusiveStartKey, filtering after the limit is applied', async () => {
+        const pages = [];
+        let ExclusiveStartKey;
+        do {
+            const page = await client.send(new QueryCommand({
+                TableName,
+                KeyConditionExpression: '#userId = :userId',
+                FilterExpression: '#size <> :size',
+                ExpressionAttributeNames: { '#userId': 'userId', '#size': 'size' },
+                ExpressionAttributeValues: { ':userId': { S: 'u1' }, ':size': { N: '2' } },
+                Limit: 2,
+                ExclusiveStartKey,
+            }));
+            pages.push({ ids: page.Items.map(({ id }) => id.S), scanned: page.ScannedCount });
+            ExclusiveStartKey = page.LastEvaluatedKey;
+        } while (ExclusiveStartKey);
+
+        expect(pages).toEqual([{ ids: ['a'], scanned: 2 }, { ids: ['c', 'd'], scanned: 2 }, { ids: ['e'], scanned: 1 }]);
+    });
+
+    test('queries a secondary index across users, leaving out items without the index key', async () => {
+        await client.send(new PutItemCommand({ TableName, Item: clip('u1', 'f') }));
+        const { Items, LastEvaluatedKey } = await client.send(new QueryCommand({
+            TableName,
+            IndexName: 'videoId-id',
+            KeyConditionExpression: '#videoId = :videoId',
+            ExpressionAttributeNames: { '#videoId': 'videoId' },
+            ExpressionAttributeValues: { ':videoId': { S: 'v1' } },
+            Limit: 2,
+        }));
+        expect(Items.map(({ userId, id }) => `${userId.S}/${id.S}`)).toEqual(['u1/a', 'u2/a']);
+        expect(LastEvaluatedKey).toEqual({ userId: { S: 'u2' }, id: { S: 'a' }, videoId: { S: 'v1' } });
+
+        const next = await client.send(new QueryCommand({
+            TableName,
+            IndexName: 'videoId-id',
+            KeyConditionExpression: '#videoId = :videoId',
+            ExpressionAttributeNames: { '#videoId': 'videoId' },
+            ExpressionAttributeValues: { ':videoId': { S: 'v1' } },
+            ExclusiveStartKey: LastEvaluatedKey,
+        }));
+        expect(next.Items.map(({ id }) => id.S)).toEqual(['b']);
+    });
+
+    test('rejects consistent reads on a global secondary index', async () => {
+        const query = new QueryCommand({ TableName, IndexName: 'videoId-id', ConsistentRead: true, KeyConditionExpression: '#videoId = :videoId', ExpressionAttributeNames: { '#videoId': 'videoId' }, ExpressionAttributeValues: { ':videoId': { S: 'v1' } } });
+        await expect(client.send(query)).rejects.toMatchObject({ name: 'ValidationException' });
+    });
+
+    test('projects the requested attributes', async () => {
+        const { Items } = await client.send(new QueryCommand({
+            TableName,
+            KeyConditionExpression: '#userId = :userId',
+            ProjectionExpression: '#id, #size',
+            ExpressionAttributeNames: { '#userId': 'userId', '#id': 'id', '#size': 'size' },
+            ExpressionAttributeValues: { ':userId': { S: 'u2' } },
+        }));
+        expect(Items).toEqual([{ id: { S: 'a' }, size: { N: '9' } }]);
+    });
+
+    test('splits a scan into segments that together hold every item once', async () => {
+        const ids = [];
+        for (let Segment = 0; Segment < 3; Segment++) {
+            const { Items } = await client.send(new ScanCommand({ TableName, Segment, TotalSegments: 3 }));
+            ids.push(...Items.map(({ userId, id }) => `${userId.S}/${id.S}`));
+        }
+        expect(ids.sort()).toEqual(['u1/a', 'u1/b', 'u1/c', 'u1/d', 'u1/e', 'u2/a']);
+
+        await expect(client.send(new ScanCommand({ TableName, Segment: 3, TotalSegments: 3 }))).rejects.toMatchObject({ name: 'ValidationException' });
+    });
+
+    test('evaluates nested filter expressions with functions', async () => {
+        const { Items } = await client.send(new ScanCommand({
+            TableName,
+            FilterExpression: '(#size IN (:one, :nine) OR begins_with(#videoId, :v2)) AND NOT #id = :c AND size(#videoId) = :two',
+            ExpressionAttributeNames: { '#size': 'size', '#videoId': 'videoId', '#id': 'id' },
+            ExpressionAttributeValues: { ':one': { N: '1' }, ':nine': { N: '9' }, ':v2': { S: 'v2' }, ':c': { S: 'c' }, ':two': { N: '2' } },
+        }));
+        expect(Items.map(({ userId, id }) => `${userId.S}/${id.S}`).sort()).toEqual(['u1/a', 'u1/d', 'u1/e', 'u2/a']);
+    });
+});
+
+describe('batches', () => {
+    test('gets the items that exist, and rejects duplicate keys', async () => {
+        const { Responses, UnprocessedKeys } = await client.send(new BatchGetItemCommand({ RequestItems: { [TableName]: { Keys: [key('u1', 'a'), key('u2', 'a'), key('u9', 'a')] } } }));
+        expect(Responses[TableName].map(({ userId }) => userId.S).sort()).toEqual(['u1', 'u2']);
+        expect(UnprocessedKeys).toEqual({});
+
+        await expect(client.send(new BatchGetItemCommand({ RequestItems: { [TableName]: { Keys: [key('u1', 'a'), key('u1', 'a')] } } }))).rejects.toMatchObject({ name: 'ValidationException' });
+    });
+
+    test('writes puts and deletes together, and rejects more than 25 writes', async () => {
+        await client.send(new BatchWriteItemCommand({ RequestItems: { [TableName]: [{ PutRequest: { Item: clip('u3', 'x') } }, { DeleteRequest: { Key: key('u1', 'a') } }] } }));
+        const { Responses } = await client.send(new BatchGetItemCommand({ RequestItems: { [TableName]: { Keys: [key('u3', 'x'), key('u1', 'a')] } } }));
+        expect(Responses[TableName].map(({ id }) => id.S)).toEqual(['x']);
+
+        const tooMany = Array.from({ length: 26 }, (_, index) => ({ PutRequest: { Item: clip('u3', `item${index}`) } }));
+        await expect(client.send(new BatchWriteItemCommand({ RequestItems: { [TableName]: tooMany } }))).rejects.toMatchObject({ name: 'ValidationException' });
+    });
+});
+
+describe('transactions', () => {
+    test('applies every write of a transaction together', async () => {
+        await client.send(new TransactWriteItemsCommand({
+            TransactItems: [
+                { Put: { TableName, Item: clip('u3', 'x') } },
+                { Update: { TableName, Key: key('u1', 'a'), UpdateExpression: 'SET #size = :size', ExpressionAttributeNames: { '#size': 'size' }, ExpressionAttributeValues: { ':size': { N: '7' } } } },
+                { Delete: { TableName, Key: key('u1', 'b') } },
+                { ConditionCheck: { TableName, Key: key('u1', 'c'), ConditionExpression: 'attribute_exists(#id)', ExpressionAttributeNames: { '#id': 'id' } } },
+            ],
+        }));
+
+        const { Responses } = await client.send(new TransactGetItemsCommand({
+            TransactItems: [{ Get: { TableName, Key: key('u3', 'x') } }, { Get: { TableName, Key: key('u1', 'a') } }, { Get: { TableName, Key: key('u1', 'b') } }],
+        }));
+        expect(Responses[0].Item.id).toEqual({ S: 'x' });
+        expect(Responses[1].Item.size).toEqual({ N: '7' });
+        expect(Responses[2].Item).toBeUndefined();
+    });
+
+    test('applies none of the writes when a condition fails, and reports the reason per action', async () => {
+        const transaction = new TransactWriteItemsCommand({
+            TransactItems: [
+                { Put: { TableName, Item: clip('u3', 'x') } },
+                { ConditionCheck: { TableName, Key: key('u1', 'z'), ConditionExpression: 'attribute_exists(#id)', ExpressionAttributeNames: { '#id': 'id' } } },
+            ],
+        });
+        const error = await client.send(transaction).catch((caught) => caught);
+        expect(error.name).toBe('TransactionCanceledException');
+        expect(error.CancellationReasons.map(({ Code }) => Code)).toEqual(['None', 'ConditionalCheckFailed']);
+
+        const { Item } = await client.send(new GetItemCommand({ TableName, Key: key('u3', 'x') }));
+        expect(Item).toBeUndefined();
+    });
+
+    test('rejects two actions on the same item', async () => {
+        const transaction = new TransactWriteItemsCommand({
+            TransactItems: [{ Put: { TableName, Item: clip('u1', 'a') } }, { Delete: { TableName, Key: key('u1', 'a') } }],
+        });
+        await expect(client.send(transaction)).rejects.toMatchObject({ name: 'ValidationException' });
+    });
+});
+
+test('keeps stored items isolated from the objects passed in and returned', async () => {
+    const Item = clip('u3', 'x', { size: { N: '1' } });
+    await client.send(new PutItemCommand({ TableName, Item }));
+    Item.size.N = '2';
+
+    const first = await client.send(new GetItemCommand({ TableName, Key: key('u3', 'x') }));
+    first.Item.size.N = '3';
+    const second = await client.send(new GetItemCommand({ TableName, Key: key('u3', 'x') }));
+    expect(second.Item.size).toEqual({ N: '1' });
+});
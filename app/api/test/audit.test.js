@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import { createTestApi, testUser } from './helpers.js';
+
+const alice = testUser('alice');
+const bob = testUser('bob');
+
+const AUDIT_LOG = `query ($entityType: AuditEntityType, $entityId: ID, $after: String) {
+    auditLog(entityType: $entityType, entityId: $entityId, first: 2, after: $after) {
+        edges { node { userId operation entityType entityId } }
+        pageInfo { hasNextPage endCursor }
+    }
+}`;
+
+let api;
+beforeEach(async () => {
+    api = await createTestApi();
+});
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await api.close();
+});
+
+// Records are ordered by the millisecond they were written in, so each mutation is written in a later one
+const mutate = async (user, query) => {
+    await new Promise((resolve) => setTimeout(resolve, 2));
+    const { errors } = await api.execute(user, query);
+    expect(errors).toBeUndefined();
+};
+
+const readLog = async (user, variables = {}) => {
+    const records = [];
+    let after = null;
+    do {
+        const { data, errors } = await api.execute(user, AUDIT_LOG, { ...variables, after });
+        expect(errors).toBeUndefined();
+        records.push(...data.auditLog.edges.map(({ node }) => node));
+        after = data.auditLog.pageInfo.hasNextPage ? data.auditLog.pageInfo.endCursor : null;
+    } while (after);
+    return records;
+};
+
+describe('auditLog', () => {
+    test('returns the newest records of the user first', async () => {
+        await mutate(alice, 'mutation { createLabel(name: "Goals") { id } }');
+        await mutate(alice, 'mutation { updateLabel(id: "1", name: "Tries") { id } }');
+        await mutate(alice, 'mutation { createVideo(id: "v1", key: "alice/v1.mp4", name: "Video") { id } }');
+        await mutate(bob, 'mutation { createLabel(name: "Saves") { id } }');
+
+        const records = await readLog(alice);
+        expect(records.map(({ operation }) => operation)).toEqual(['createVideo', 'updateLabel', 'createLabel']);
+        expect(records.every(({ userId }) => userId === 'alice')).toBe(true);
+    });
+
+    test('returns the history of one item, apart from items of other users or types with the same id', async () => {
+        // Both users get label 1, and a video with the same id as the label
+        for (const user of [alice, bob]) {
+            await mutate(user, 'mutation { createLabel(name: "Goals") { id } }');
+            await mutate(user, 'mutation { createVideo(id: "1", key: "video.mp4", name: "Video") { id } }');
+        }
+        await mutate(alice, 'mutation { updateLabel(id: "1", name: "Tries") { id } }');
+        await mutate(alice, 'mutation { updateLabel(id: "1", colour: "#ff0000") { id } }');
+
+        const records = await readLog(alice, { entityType: 'LABEL', entityId: '1' });
+        expect(records).toEqual([
+            { userId: 'alice', operation: 'updateLabel', entityType: 'label', entityId: '1' },
+            { userId: 'alice', operation: 'updateLabel', entityType: 'label', entityId: '1' },
+            { userId: 'alice', operation: 'createLabel', entityType: 'label', entityId: '1' },
+        ]);
+
+        const bobs = await readLog(bob, { entityType: 'VIDEO', entityId: '1' });
+        expect(bobs.map(({ userId, operation }) => [userId, operation])).toEqual([['bob', 'createVideo']]);
+    });
+
+    test('requires the type of the item together with its id', async () => {
+        const { errors } = await api.execute(alice, AUDIT_LOG, { entityId: '1' });
+        expect(errors[0].extensions.code).toBe('BAD_USER_INPUT');
+    });
+});
+
+test('fails a mutation whose audit record cannot be written', async () => {
+    const createItem = api.model.createItem.bind(api.model);
+    jest.spyOn(api.model, 'createItem').mockImplementation(async (table, ...args) => {
+        if (table === 'audit') {
+            throw new Error('Audit table is unavailable');
+        }
+        return await createItem(table, ...args);
+    });
+
+    const { errors } = await api.execute(alice, 'mutation { createLabel(name: "Goals") { id } }');
+    expect(errors[0].message).toBe('Audit table is unavailable');
+});
@@ -0,0 +1,116 @@
+import { jest } from '@jest/globals';
+import { generateKeyPairSync, sign } from 'crypto';
+import { CognitoJwtVerifier, TokenVerificationError, userFromClaims } from '../src/auth/cognitoJwtVerifier.js';
+
+const region = 'ap-southeast-1';
+const userPoolId = 'ap-southeast-1_pool';
+const issuer = `https://cognito-idp.${region}.amazonaws.com/${userPoolId}`;
+
+const signingKey = (kid) => {
+    const { publicKey, privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' } };
+};
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signToken = ({ kid, privateKey }, claims = {}) => {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = `${encode({ kid, alg: 'RS256' })}.${encode({
+        sub: 'alice', iss: issuer, token_use: 'access', client_id: 'client', exp: now + 3600, ...claims,
+    })}`;
+    return `${payload}.${sign('RSA-SHA256', Buffer.from(payload), privateKey).toString('base64url')}`;
+};
+
+const first = signingKey('first');
+const second = signingKey('second');
+
+let jwks;
+let fetchJwks;
+let verifier;
+beforeEach(() => {
+    jwks = { keys: [first.jwk] };
+    fetchJwks = jest.fn(async () => jwks);
+    verifier = new CognitoJwtVerifier({ region, userPoolId, clientIds: ['client'], fetchJwks });
+});
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('accepts a token of the user pool and its app client, fetching the keys once', async () => {
+    const claims = await verifier.verify(signToken(first, { 'cognito:groups': ['user'] }));
+    expect(userFromClaims(claims)).toEqual({ userId: 'alice', groups: ['user'] });
+
+    await verifier.verify(signToken(first));
+    expect(fetchJwks).toHaveBeenCalledTimes(1);
+    expect(fetchJwks).toHaveBeenCalledWith(`${issuer}/.well-known/jwks.json`);
+});
+
+test('accepts an ID token issued to the app client as its audience', async () => {
+    const claims = await verifier.verify(signToken(first, { token_use: 'id', client_id: undefined, aud: 'client' }));
+    expect(claims.aud).toBe('client');
+});
+
+test.each([
+    ['an issuer', { iss: 'https://cognito-idp.ap-southeast-1.amazonaws.com/other' }, /issuer/],
+    ['an app client', { client_id: 'other' }, /app client other/],
+    ['a token use', { token_use: 'refresh' }, /Token use refresh/],
+    ['an expiry', { exp: Math.floor(Date.now() / 1000) - 1 }, /expired/],
+])('rejects a token with %s that is not accepted', async (_, claims, message) => {
+    await expect(verifier.verify(signToken(first, claims))).rejects.toThrow(message);
+    await expect(verifier.verify(signToken(first, claims))).rejects.toBeInstanceOf(TokenVerificationError);
+});
+
+test('rejects a token whose signature does not match its key', async () => {
+    const [header, payload] = signToken(first).split('.');
+    const forged = `${header}.${payload}.${signToken({ ...second, kid: 'first' }).split('.')[2]}`;
+    await expect(verifier.verify(forged)).rejects.toThrow('Token signature is invalid');
+
+    const tampered = `${header}.${encode({ sub: 'bob', iss: issuer, token_use: 'access', client_id: 'client', exp: Math.floor(Date.now() / 1000) + 60 })}.${signToken(first).split('.')[2]}`;
+    await expect(verifier.verify(tampered)).rejects.toThrow('Token signature is invalid');
+});
+
+test('refreshes the keys for an unknown key id, at most once every minRefreshSeconds', async () => {
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    await verifier.verify(signToken(first));
+
+    // A key id made up within a minute of the last fetch does not fetch the keys again
+    await expect(verifier.verify(signToken(second))).rejects.toThrow('unknown key second');
+    expect(fetchJwks).toHaveBeenCalledTimes(1);
+
+    // Once the user pool rotates its keys, a token signed with the new key refreshes them
+    jwks = { keys: [first.jwk, second.jwk] };
+    clock.mockReturnValue(now + 61000);
+    expect((await verifier.verify(signToken(second))).sub).toBe('alice');
+    expect(fetchJwks).toHaveBeenCalledTimes(2);
+});
+
+test('keeps using the cached keys when a refresh fails', async () => {
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    await verifier.verify(signToken(first));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    fetchJwks.mockRejectedValue(new Error('JWKS is unavailable'));
+    clock.mockReturnValue(now + 3600 * 1000);
+    expect((await verifier.verify(signToken(first, { exp: Math.floor(now / 1000) + 7200 }))).sub).toBe('alice');
+
+    // The failure is not a verdict on the token, so it is not a TokenVerificationError
+    clock.mockReturnValue(now + 3700 * 1000);
+    const error = await verifier.verify(signToken(second, { exp: Math.floor(now / 1000) + 7200 })).catch((error) => error);
+    expect(error.message).toBe('JWKS is unavailable');
+    expect(error).not.toBeInstanceOf(TokenVerificationError);
+});
+
+test('rejects malformed tokens and tokens of other algorithms', async () => {
+    await expect(verifier.verify('not-a-token')).rejects.toThrow('Token is malformed');
+    const [, payload, signature] = signToken(first).split('.');
+    await expect(verifier.verify(`${encode({ kid: 'first', alg: 'HS256' })}.${payload}.${signature}`)).rejects.toThrow('algorithm HS256');
+});
+
+test('refuses to verify tokens until the user pool and app clients are configured', async () => {
+    const unconfigured = new CognitoJwtVerifier({ region, userPoolId: '', clientIds: [], fetchJwks });
+    const error = await unconfigured.verify(signToken(first)).catch((error) => error);
+    expect(error.message).toMatch(/requires the region, user pool id and app client ids/);
+    expect(fetchJwks).not.toHaveBeenCalled();
+});
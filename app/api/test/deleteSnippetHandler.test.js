@@ -0,0 +1,31 @@
+import { jest } from '@jest/globals';
+import { createTestApi } from './helpers.js';
+
+// Imported after the helpers, which replace ffmpeg before the resolvers load it
+const { deleteSnippetHandler } = await import('../src/resolvers/functions.js');
+
+let api;
+beforeEach(async () => {
+    api = await createTestApi();
+});
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await api.close();
+});
+
+test('deletes clips with their thumbnails, at most 1000 objects per request, skipping snippets without a clip', async () => {
+    const send = jest.spyOn(api.s3Client, 'send');
+    const keys = Array.from({ length: 600 }, (_, index) => `alice/video-v1/snippets/s${index}.mp4`);
+
+    const { Deleted, Errors } = await deleteSnippetHandler({ s3Client: api.s3Client, key: [...keys, undefined, null], bucket: api.bucket });
+    expect(Deleted).toHaveLength(1200);
+    expect(Errors).toEqual([]);
+    expect(Deleted.map(({ Key }) => Key)).toContain('alice/video-v1/snippets/s599.jpg');
+    expect(send.mock.calls.map(([command]) => command.input.Delete.Objects.length)).toEqual([1000, 200]);
+});
+
+test('sends no request for a snippet without a clip', async () => {
+    const send = jest.spyOn(api.s3Client, 'send');
+    expect(await deleteSnippetHandler({ s3Client: api.s3Client, key: undefined, bucket: api.bucket })).toEqual({ Deleted: [], Errors: [] });
+    expect(send).not.toHaveBeenCalled();
+});
@@ -0,0 +1,82 @@
+import { jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// ffprobe is not installed where the tests run, so every uploaded file probes as the same 60 second video. Test files
+// import modules that load ffmpeg, such as the resolvers, dynamically after this module, so that they load the mock
+export const probedVideo = {
+    streams: [{ codec_type: 'video', codec_name: 'h264', width: 1920, height: 1080, avg_frame_rate: '30/1' }],
+    format: { duration: '60.0', size: '1048576' },
+};
+
+jest.unstable_mockModule('fluent-ffmpeg', () => ({
+    default: Object.assign(() => {
+        throw new Error('ffmpeg is not available in tests');
+    }, {
+        ffprobe: (inputSource, callback) => callback(null, probedVideo),
+    }),
+}));
+
+const { ApolloServer } = await import('@apollo/server');
+const { default: DynamoDBModel } = await import('../src/models/DynamoDBModel.js');
+const { default: InMemoryDynamoDBClient } = await import('../src/local/InMemoryDynamoDBClient.js');
+const { default: LocalFileSystemS3Client } = await import('../src/local/LocalFileSystemS3Client.js');
+const { createLoaders } = await import('../src/loaders/loaders.js');
+const { anonymousAccessPlugin } = await import('../src/auth/anonymousAccess.js');
+const { generateTypeDefsAndResolvers } = await import('../src/generator.js');
+const { processJobs } = await import('../src/jobs/processJobs.js');
+
+// The tables are those of app_config.json, which is generated from .polymer/infrastructure.yml by .polymer/gen.js
+export const config = JSON.parse(readFileSync(new URL('../src/app_config.json', import.meta.url), 'utf-8'));
+
+const { typeDefs, resolvers } = await generateTypeDefsAndResolvers(['./src/schema', './src/resolvers']);
+
+export const testUser = (userId, { groups = ['user'], labels } = {}) => ({ userId, groups, labels });
+
+/**
+ * Starts the API in memory, as `npm run dev` does, with empty tables and a bucket in a temporary directory.
+ * @returns {Promise<{model: DynamoDBModel, s3Client: LocalFileSystemS3Client, bucket: string, execute: Function, runJobs: Function, close: Function}>} - The
+ * model and bucket behind the API, a function executing an operation as a user (or anonymously, for a null user) and
+ * returning its data and errors, a function running the due jobs, and a function removing the bucket directory.
+ */
+export const createTestApi = async () => {
+    const model = new DynamoDBModel(config.dynamodb, new InMemoryDynamoDBClient(config.dynamodb));
+    const bucketDir = await mkdtemp(join(tmpdir(), 'projectballs-test-'));
+    const s3Client = new LocalFileSystemS3Client(bucketDir);
+    const bucket = config.s3.data_bucket.name;
+    const server = new ApolloServer({ typeDefs, resolvers, plugins: [anonymousAccessPlugin] });
+    await server.start();
+
+    const execute = async (user, query, variables = {}) => {
+        const response = await server.executeOperation({ query, variables }, {
+            contextValue: {
+                user,
+                production: false,
+                models: { DynamoDB: model },
+                clients: { S3: s3Client },
+                loaders: createLoaders(model, user ? user.userId : null),
+                config: { S3DataBucket: bucket },
+            },
+        });
+        return response.body.singleResult;
+    };
+
+    // Only probes succeed without ffmpeg, the other jobs fail quietly and are retried later
+    const runJobs = async () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            return await processJobs({ model, s3Client, bucket, production: false });
+        } finally {
+            consoleError.mockRestore();
+        }
+    };
+
+    const close = async () => {
+        await server.stop();
+        await rm(bucketDir, { recursive: true, force: true });
+    };
+
+    return { model, s3Client, bucket, execute, runJobs, close };
+};
@@ -0,0 +1,118 @@
+import { createTestApi, testUser } from './helpers.js';
+
+// Imported after the helpers, which replace ffmpeg before the resolvers load it
+const { labelIndexEntries } = await import('../src/resolvers/functions.js');
+
+const LABELS = 'query { labels { id name colour sortOrder version } }';
+
+let api;
+beforeEach(async () => {
+    api = await createTestApi();
+});
+afterEach(async () => {
+    await api.close();
+});
+
+describe('labels', () => {
+    test('copies the labels of the Cognito profile once, as new versioned items', async () => {
+        const user = testUser('alice', { labels: { 1: 'Goals', 2: { name: 'Saves', colour: '#00ff00' } } });
+
+        const { data } = await api.execute(user, LABELS);
+        expect(data.labels).toEqual([
+            { id: '1', name: 'Goals', colour: null, sortOrder: 1, version: 1 },
+            { id: '2', name: 'Saves', colour: '#00ff00', sortOrder: 2, version: 1 },
+        ]);
+
+        const renamed = await api.execute(user, 'mutation { updateLabel(id: "1", version: 1, name: "Tries") { name version } }');
+        expect(renamed.data.updateLabel).toEqual({ name: 'Tries', version: 2 });
+
+        // The profile is only read while the user has no labels of their own
+        const again = await api.execute(user, LABELS);
+        expect(again.data.labels.map(({ name, version }) => [name, version])).toEqual([['Tries', 2], ['Saves', 1]]);
+    });
+});
+
+describe('snippetsByLabels', () => {
+    const SNIPPETS_BY_LABELS = `query ($labels: [Float]!, $match: LabelMatch, $filter: FilterInput, $first: Int, $after: String) {
+        snippetsByLabels(labels: $labels, match: $match, filter: $filter, first: $first, after: $after) {
+            edges { node { id } }
+            pageInfo { hasNextPage endCursor }
+        }
+    }`;
+    const alice = testUser('alice');
+
+    const pages = async (variables) => {
+        const result = [];
+        let after = null;
+        do {
+            const { data, errors } = await api.execute(alice, SNIPPETS_BY_LABELS, { ...variables, after });
+            expect(errors).toBeUndefined();
+            result.push(data.snippetsByLabels.edges.map(({ node }) => node.id));
+            after = data.snippetsByLabels.pageInfo.hasNextPage ? data.snippetsByLabels.pageInfo.endCursor : null;
+        } while (after);
+        return result;
+    };
+
+    beforeEach(async () => {
+        const { errors } = await api.execute(alice, 'mutation { createVideo(id: "v1", key: "alice/video-v1/videofile.mp4", name: "Video") { id } }');
+        expect(errors).toBeUndefined();
+        // Snippets s00 to s29 all have label 1, every third also label 2, and every tenth is named "keep"
+        for (let index = 0; index < 30; index++) {
+            const id = `s${String(index).padStart(2, '0')}`;
+            const labels = index % 3 === 0 ? [1, 2] : [1];
+            const created = await api.execute(alice, `mutation ($labels: [Float]) {
+                createSnippet(id: "${id}", videoId: "v1", name: "${index % 10 === 0 ? 'keep' : 'skip'}", labels: $labels, start_time: 1, end_time: 2) { id }
+            }`, { labels });
+            expect(created.errors).toBeUndefined();
+        }
+    });
+
+    test('fills each page with snippets that pass the filter, however many are read to find them', async () => {
+        const filter = { path: 'name', op: 'EQ', value: 'keep' };
+        expect(await pages({ labels: [1], filter, first: 2 })).toEqual([['s00', 's10'], ['s20']]);
+        expect(await pages({ labels: [1, 2], match: 'ALL', filter })).toEqual([['s00']]);
+    });
+
+    test('reads past the first 100 candidates when none of them pass the filter', async () => {
+        const entries = [];
+        for (let index = 0; index < 120; index++) {
+            const snippet = { userId: 'alice', id: `x${String(index).padStart(3, '0')}`, videoId: 'v1', name: index >= 110 ? 'keep' : 'skip', labels: [3] };
+            await api.model.createItem('snippet', snippet);
+            entries.push(...labelIndexEntries('alice', snippet));
+        }
+        await api.model.batchWriteItem({ batch_items: { snippetLabel: { put: entries } } });
+
+        const result = await pages({ labels: [3], filter: { path: 'name', op: 'EQ', value: 'keep' } });
+        expect(result).toEqual([['x110', 'x111', 'x112', 'x113', 'x114', 'x115', 'x116', 'x117', 'x118', 'x119']]);
+    });
+
+    test('leaves out trashed snippets without returning short pages', async () => {
+        for (const id of ['s01', 's02', 's03', 's04']) {
+            await api.execute(alice, `mutation { deleteSnippet(id: "${id}") }`);
+        }
+
+        const result = await pages({ labels: [1, 2], match: 'ANY', first: 3 });
+        expect(result.slice(0, 2)).toEqual([['s00', 's05', 's06'], ['s07', 's08', 's09']]);
+        expect(result.flat()).toHaveLength(26);
+    });
+});
+
+describe('label parents', () => {
+    test('reads the parent of the label of a shared snippet from its owner', async () => {
+        const alice = testUser('alice');
+        const bob = testUser('bob');
+        const parent = (await api.execute(alice, 'mutation { createLabel(name: "Shots") { id } }')).data.createLabel;
+        const child = (await api.execute(alice, `mutation { createLabel(name: "Forehand", parentId: "${parent.id}") { id } }`)).data.createLabel;
+        await api.execute(alice, 'mutation { createVideo(id: "v1", key: "alice/video-v1/videofile.mp4", name: "Video") { id } }');
+        await api.execute(alice, `mutation { createSnippet(id: "s1", videoId: "v1", labels: [${child.id}], start_time: 1, end_time: 2) { id } }`);
+        expect((await api.execute(alice, 'mutation { shareSnippet(id: "s1", userIds: ["bob"]) { granteeId } }')).errors).toBeUndefined();
+
+        const { data, errors } = await api.execute(bob, `query {
+            sharedWithMe { edges { node { ... on Snippet { id labelDetails { name parent { name } } } } } }
+        }`);
+        expect(errors).toBeUndefined();
+        expect(data.sharedWithMe.edges.map(({ node }) => node)).toEqual([
+            { id: 's1', labelDetails: [{ name: 'Forehand', parent: { name: 'Shots' } }] },
+        ]);
+    });
+});
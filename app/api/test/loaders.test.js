@@ -0,0 +1,59 @@
+import { BatchLoader, createLoaders } from '../src/loaders/loaders.js';
+import DynamoDBModel from '../src/models/DynamoDBModel.js';
+import InMemoryDynamoDBClient from '../src/local/InMemoryDynamoDBClient.js';
+import { config } from './helpers.js';
+
+describe('BatchLoader', () => {
+    test('loads the keys of one tick in batches, once per key', async () => {
+        const batches = [];
+        const loader = new BatchLoader(async (keys) => {
+            batches.push(keys);
+            return keys.map((key) => key.toUpperCase());
+        }, { maxBatchSize: 2 });
+
+        expect(await Promise.all(['a', 'b', 'a', 'c'].map((key) => loader.load(key)))).toEqual(['A', 'B', 'A', 'C']);
+        expect(await loader.load('b')).toBe('B');
+        expect(batches).toEqual([['a', 'b'], ['c']]);
+    });
+
+    test('rejects the keys of a failed batch without caching them', async () => {
+        let calls = 0;
+        const loader = new BatchLoader(async (keys) => {
+            calls += 1;
+            if (calls === 1) {
+                throw new Error('Throttled');
+            }
+            return keys;
+        });
+
+        await expect(loader.load('a')).rejects.toThrow('Throttled');
+        expect(await loader.load('a')).toBe('a');
+    });
+});
+
+describe('createLoaders', () => {
+    let model;
+    beforeEach(async () => {
+        model = new DynamoDBModel(config.dynamodb, new InMemoryDynamoDBClient(config.dynamodb));
+        await model.createItem('video', { userId: 'alice', id: 'v1', name: 'Video' });
+        await model.createItem('snippet', { userId: 'alice', id: 's1', videoId: 'v1', labels: [1] });
+    });
+
+    test('reads the items of the user, and of owners through forUser', async () => {
+        const loaders = createLoaders(model, 'bob');
+        expect(await loaders.videoById.load('v1')).toBeNull();
+        expect(await loaders.forUser('alice').videoById.load('v1')).toMatchObject({ name: 'Video' });
+        expect(loaders.forUser('alice')).toBe(loaders.forUser('alice'));
+        expect(loaders.forUser('bob')).toBe(loaders);
+    });
+
+    test('rejects reads without a user as unauthenticated, but reads items of a share link owner', async () => {
+        const loaders = createLoaders(model, null);
+        for (const loader of [loaders.videoById, loaders.snippetById, loaders.labelById, loaders.jobById, loaders.snippetsByVideoId]) {
+            await expect(loader.load('v1')).rejects.toMatchObject({ extensions: { code: 'UNAUTHENTICATED' } });
+        }
+
+        const owner = loaders.forUser('alice');
+        expect((await owner.snippetsByVideoId.load('v1')).map(({ id }) => id)).toEqual(['s1']);
+    });
+});
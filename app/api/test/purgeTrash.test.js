@@ -0,0 +1,58 @@
+import { PutObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+import { purgeExpiredTrash } from '../src/maintenance/purgeTrash.js';
+import { createTestApi, testUser, config } from './helpers.js';
+
+const alice = testUser('alice');
+
+let api;
+beforeEach(async () => {
+    api = await createTestApi();
+});
+afterEach(async () => {
+    await api.close();
+});
+
+const upload = async (...keys) => {
+    for (const Key of keys) {
+        await api.s3Client.send(new PutObjectCommand({ Bucket: api.bucket, Key, Body: 'data' }));
+    }
+};
+
+const storedKeys = async () => {
+    const { Contents = [] } = await api.s3Client.send(new ListObjectsV2Command({ Bucket: api.bucket }));
+    return Contents.map(({ Key }) => Key).sort();
+};
+
+test('leaves trashed videos and snippets to the purge rather than to a TTL', () => {
+    expect(config.dynamodb.video.ttl_attribute).toBeUndefined();
+    expect(config.dynamodb.snippet.ttl_attribute).toBeUndefined();
+});
+
+test('purges expired trash together with its objects, and keeps everything else', async () => {
+    for (const id of ['v1', 'v2']) {
+        await api.execute(alice, `mutation { createVideo(id: "${id}", key: "alice/video-${id}/videofile.mp4", name: "Video") { id } }`);
+        await api.execute(alice, `mutation { createSnippet(id: "s-${id}", videoId: "${id}", labels: [1], start_time: 1, end_time: 2) { id } }`);
+        await upload(
+            `alice/video-${id}/videofile.mp4`,
+            `alice/video-${id}/videofile.jpg`,
+            `alice/video-${id}/hls/master.m3u8`,
+            `alice/video-${id}/hls/720p/segment0.ts`,
+            `alice/video-${id}/snippets/s-${id}.mp4`,
+            `alice/video-${id}/snippets/s-${id}.jpg`,
+        );
+    }
+    await api.execute(alice, 'mutation { deleteVideo(id: "v1") }');
+
+    const video = await api.model.getItem('video', { key: { userId: 'alice', id: 'v1' } });
+    const beforeExpiry = await purgeExpiredTrash({ model: api.model, s3Client: api.s3Client, bucket: api.bucket, now: video.expiresAt - 1 });
+    expect(beforeExpiry).toEqual({ video: 0, snippet: 0, objects: 0, failedObjects: [] });
+
+    const summary = await purgeExpiredTrash({ model: api.model, s3Client: api.s3Client, bucket: api.bucket, now: video.expiresAt });
+    expect(summary).toEqual({ video: 1, snippet: 1, objects: 6, failedObjects: [] });
+
+    expect(await api.model.getItem('video', { key: { userId: 'alice', id: 'v1' } })).toBeNull();
+    expect(await api.model.getItem('snippet', { key: { userId: 'alice', id: 's-v1' } })).toBeNull();
+    expect(await api.model.getItem('snippet', { key: { userId: 'alice', id: 's-v2' } })).not.toBeNull();
+    expect((await storedKeys()).every((key) => key.startsWith('alice/video-v2/'))).toBe(true);
+    expect(await storedKeys()).toHaveLength(6);
+});
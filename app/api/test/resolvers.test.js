@@ -0,0 +1,304 @@
+import { jest } from '@jest/globals';
+import { createTestApi, testUser } from './helpers.js';
+
+const alice = testUser('alice');
+const bob = testUser('bob');
+
+const CREATE_VIDEO = `mutation ($id: ID!, $key: String!, $name: String!) {
+    createVideo(id: $id, key: $key, name: $name) { id name duration width version }
+}`;
+const CREATE_SNIPPET = `mutation ($id: ID!, $videoId: ID!, $labels: [Float], $start: Float!, $end: Float!) {
+    createSnippet(id: $id, videoId: $videoId, labels: $labels, start_time: $start, end_time: $end) { id key labels jobId version }
+}`;
+const SNIPPETS_BY_VIDEO = `query ($videoId: ID!, $first: Int, $after: String) {
+    snippetsByVideoID(videoId: $videoId, first: $first, after: $after) { edges { node { id } } pageInfo { hasNextPage endCursor } }
+}`;
+
+let api;
+beforeEach(async () => {
+    api = await createTestApi();
+});
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await api.close();
+});
+
+const createVideo = async (user, id) => {
+    const { data, errors } = await api.execute(user, CREATE_VIDEO, { id, key: `${user.userId}/video-${id}/videofile.mp4`, name: `Video ${id}` });
+    expect(errors).toBeUndefined();
+    return data.createVideo;
+};
+
+const createSnippet = async (user, videoId, id, { labels = [1], start = 1, end = 5 } = {}) => {
+    return await api.execute(user, CREATE_SNIPPET, { id, videoId, labels, start, end });
+};
+
+test('rejects operations without a user, other than share links', async () => {
+    const { errors } = await api.execute(null, 'query { videosByUser { edges { node { id } } } }');
+    expect(errors[0].extensions.code).toBe('UNAUTHENTICATED');
+});
+
+describe('videos', () => {
+    test('creates a video with its jobs, once, and stores its metadata once the probe job has run', async () => {
+        expect(await createVideo(alice, 'v1')).toEqual({ id: 'v1', name: 'Video v1', duration: null, width: null, version: 1 });
+
+        const jobs = (await api.model.scanItems('job', {})).items;
+        expect(jobs.map(({ type }) => type).sort()).toEqual(['hls', 'probe', 'thumbnail']);
+
+        const { errors } = await api.execute(alice, CREATE_VIDEO, { id: 'v1', key: 'other.mp4', name: 'Again' });
+        expect(errors[0].extensions.code).toBe('CONFLICT');
+        expect((await api.model.scanItems('job', {})).items).toHaveLength(3);
+
+        const VIDEO = 'query { videoByID(id: "v1") { duration width metadataStatus } }';
+        expect((await api.execute(alice, VIDEO)).data.videoByID).toEqual({ duration: null, width: null, metadataStatus: 'PROCESSING' });
+        await api.runJobs();
+        expect((await api.execute(alice, VIDEO)).data.videoByID).toEqual({ duration: 60, width: 1920, metadataStatus: 'READY' });
+    });
+
+    test('fails the probe of a file that is not a video', async () => {
+        const { probedVideo } = await import('./helpers.js');
+        const streams = probedVideo.streams;
+        probedVideo.streams = [];
+        try {
+            await createVideo(alice, 'v1');
+            for (let attempt = 0; attempt < 3; attempt++) {
+                await api.runJobs();
+                // Failed attempts are retried after a delay, which the next run skips ahead of
+                jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 3600 * 1000 * (attempt + 1));
+            }
+        } finally {
+            probedVideo.streams = streams;
+        }
+        jest.restoreAllMocks();
+        const { data } = await api.execute(alice, 'query { videoByID(id: "v1") { duration metadataStatus } }');
+        expect(data.videoByID).toEqual({ duration: null, metadataStatus: 'FAILED' });
+    });
+
+    test('updates a video at the expected version only', async () => {
+        await createVideo(alice, 'v1');
+        const UPDATE_VIDEO = `mutation ($version: Int) { updateVideo(id: "v1", version: $version, name: "Renamed") { name version } }`;
+
+        const stale = await api.execute(alice, UPDATE_VIDEO, { version: 5 });
+        expect(stale.errors[0].extensions).toMatchObject({ code: 'CONFLICT', currentVersion: 1 });
+
+        const { data } = await api.execute(alice, UPDATE_VIDEO, { version: 1 });
+        expect(data.updateVideo).toEqual({ name: 'Renamed', version: 2 });
+    });
+
+    test('leaves a video in the trash unchanged', async () => {
+        await createVideo(alice, 'v1');
+        await api.execute(alice, 'mutation { deleteVideo(id: "v1") }');
+
+        const { errors } = await api.execute(alice, 'mutation { updateVideo(id: "v1", name: "Renamed") { name } }');
+        expect(errors[0].extensions.code).toBe('NOT_FOUND');
+        expect(await api.model.getItem('video', { key: { userId: 'alice', id: 'v1' } })).toMatchObject({ name: 'Video v1', version: 2 });
+    });
+
+    test('lists only the videos of the user, page by page', async () => {
+        for (const id of ['v1', 'v2', 'v3']) {
+            await createVideo(alice, id);
+        }
+        await createVideo(bob, 'v4');
+
+        const VIDEOS = `query ($after: String) { videosByUser(first: 2, after: $after) { edges { node { id } } pageInfo { hasNextPage endCursor } } }`;
+        const first = (await api.execute(alice, VIDEOS)).data.videosByUser;
+        expect(first.edges.map(({ node }) => node.id)).toEqual(['v1', 'v2']);
+        expect(first.pageInfo.hasNextPage).toBe(true);
+
+        const second = (await api.execute(alice, VIDEOS, { after: first.pageInfo.endCursor })).data.videosByUser;
+        expect(second.edges.map(({ node }) => node.id)).toEqual(['v3']);
+        expect(second.pageInfo.hasNextPage).toBe(false);
+    });
+
+    test('rejects malformed cursors as the model would', async () => {
+        const VIDEOS = `query ($after: String) { videosByUser(first: 2, after: $after) { edges { node { id } } } }`;
+        for (const after of ['not a cursor', Buffer.from('[1]').toString('base64url'), Buffer.from('null').toString('base64url')]) {
+            const { errors } = await api.execute(alice, VIDEOS, { after });
+            expect(errors[0]).toMatchObject({ message: 'Invalid pagination arguments: malformed after cursor', extensions: { code: 'BAD_USER_INPUT' } });
+        }
+    });
+});
+
+describe('snippets', () => {
+    test('creates a snippet with a crop job, only for an existing video', async () => {
+        await createVideo(alice, 'v1');
+        const { data } = await createSnippet(alice, 'v1', 's1');
+        expect(data.createSnippet).toMatchObject({ id: 's1', key: 'alice/video-v1/snippets/s1.mp4', labels: [1], version: 1 });
+
+        const job = await api.model.getItem('job', { key: { userId: 'alice', id: data.createSnippet.jobId } });
+        expect(job).toMatchObject({ type: 'crop', entityId: 's1' });
+
+        const missing = await createSnippet(alice, 'v9', 's2');
+        expect(missing.errors[0].extensions.code).toBe('NOT_FOUND');
+        const duplicate = await createSnippet(alice, 'v1', 's1');
+        expect(duplicate.errors[0].extensions.code).toBe('CONFLICT');
+    });
+
+    test('cuts a snippet starting at 0 from the stored video, ignoring any other source', async () => {
+        await createVideo(alice, 'v1');
+        const { data } = await createSnippet(alice, 'v1', 's1', { start: 0, end: 5 });
+
+        const job = await api.model.getItem('job', { key: { userId: 'alice', id: data.createSnippet.jobId } });
+        expect(job.input).toMatchObject({ inputSource: 'alice/video-v1/videofile.mp4', outputKey: 'alice/video-v1/snippets/s1.mp4', startTime: 0, endTime: 5 });
+
+        const { errors } = await api.execute(alice, `mutation {
+            createSnippet(id: "s2", videoId: "v1", videoKey: "bob/video-v1/videofile.mp4", start_time: 0, end_time: 5) { id }
+        }`);
+        expect(errors[0].extensions.code).toBe('GRAPHQL_VALIDATION_FAILED');
+    });
+
+    test('re-cuts a snippet moved to start at 0', async () => {
+        await createVideo(alice, 'v1');
+        await createSnippet(alice, 'v1', 's1', { start: 2, end: 5 });
+
+        const { data, errors } = await api.execute(alice, `mutation {
+            updateSnippet(id: "s1", start_time: 0) { start_time jobId version }
+        }`);
+        expect(errors).toBeUndefined();
+        expect(data.updateSnippet).toMatchObject({ start_time: 0, version: 2 });
+        const job = await api.model.getItem('job', { key: { userId: 'alice', id: data.updateSnippet.jobId } });
+        expect(job.input).toMatchObject({ startTime: 0, endTime: 5 });
+    });
+
+    test('re-cuts a snippet shared for editing from the stored video to its stored key only', async () => {
+        await createVideo(alice, 'v1');
+        await createSnippet(alice, 'v1', 's1');
+        await api.execute(alice, 'mutation { shareSnippet(id: "s1", userIds: ["bob"], access: EDIT) { granteeId } }');
+
+        const forged = await api.execute(bob, `mutation {
+            updateSnippet(id: "s1", videoKey: "alice/video-v2/videofile.mp4", key: "alice/video-v2/videofile.mp4", start_time: 2) { key }
+        }`);
+        expect(forged.errors[0].extensions.code).toBe('GRAPHQL_VALIDATION_FAILED');
+
+        const { data, errors } = await api.execute(bob, 'mutation { updateSnippet(id: "s1", start_time: 2, outputFormat: WEBM) { key jobId } }');
+        expect(errors).toBeUndefined();
+        expect(data.updateSnippet.key).toBe('alice/video-v1/snippets/s1.webm');
+        const job = await api.model.getItem('job', { key: { userId: 'alice', id: data.updateSnippet.jobId } });
+        expect(job.input).toMatchObject({ inputSource: 'alice/video-v1/videofile.mp4', outputKey: 'alice/video-v1/snippets/s1.webm', startTime: 2, endTime: 5 });
+    });
+
+    test('stores a snippet without labels with the -1 placeholder', async () => {
+        await createVideo(alice, 'v1');
+        const { data, errors } = await api.execute(alice, `mutation {
+            createSnippet(id: "s1", videoId: "v1", start_time: 1, end_time: 5) { labels }
+        }`);
+        expect(errors).toBeUndefined();
+        expect(data.createSnippet.labels).toEqual([-1]);
+
+        expect((await createSnippet(alice, 'v1', 's2', { labels: [] })).data.createSnippet.labels).toEqual([-1]);
+    });
+
+    test('rejects snippet ranges outside the video, once it has been probed', async () => {
+        await createVideo(alice, 'v1');
+        expect((await createSnippet(alice, 'v1', 's0', { start: 50, end: 70 })).errors).toBeUndefined();
+        await api.runJobs();
+        const { errors } = await createSnippet(alice, 'v1', 's1', { start: 50, end: 70 });
+        expect(errors[0].extensions.code).toBe('BAD_USER_INPUT');
+    });
+
+    test('leaves a snippet in the trash unchanged, without re-cutting it', async () => {
+        await createVideo(alice, 'v1');
+        await createSnippet(alice, 'v1', 's1');
+        await api.execute(alice, 'mutation { deleteSnippet(id: "s1") }');
+
+        for (const updates of ['name: "Renamed"', 'start_time: 2', 'outputFormat: WEBM']) {
+            const { errors } = await api.execute(alice, `mutation { updateSnippet(id: "s1", ${updates}) { name } }`);
+            expect(errors[0].extensions.code).toBe('NOT_FOUND');
+        }
+        expect(await api.model.getItem('snippet', { key: { userId: 'alice', id: 's1' } })).toMatchObject({ start_time: 1, version: 2 });
+        expect((await api.model.scanItems('job', {})).items.filter(({ type }) => type === 'crop')).toHaveLength(1);
+    });
+
+    test('leaves an item its owner moved to the trash unchanged for users it is shared with for editing', async () => {
+        await createVideo(alice, 'v1');
+        await createSnippet(alice, 'v1', 's1');
+        await api.execute(alice, 'mutation { shareVideo(id: "v1", userIds: ["bob"], access: EDIT) { granteeId } }');
+        await api.execute(alice, 'mutation { shareSnippet(id: "s1", userIds: ["bob"], access: EDIT) { granteeId } }');
+        await api.execute(alice, 'mutation { deleteVideo(id: "v1") }');
+
+        for (const mutation of [
+            'updateVideo(id: "v1", name: "Renamed") { id }',
+            'updateSnippet(id: "s1", start_time: 2) { id }',
+            'regenerateThumbnail(id: "s1", atTime: 1) { id }',
+        ]) {
+            const { errors } = await api.execute(bob, `mutation { ${mutation} }`);
+            expect(errors[0].extensions.code).toBe('NOT_FOUND');
+        }
+        expect(await api.model.getItem('snippet', { key: { userId: 'alice', id: 's1' } })).toMatchObject({ start_time: 1, version: 2 });
+    });
+
+    test('lists the snippets of a video through its index, leaving out trashed snippets and other users', async () => {
+        await createVideo(alice, 'v1');
+        await createVideo(bob, 'v1');
+        for (const id of ['s1', 's2', 's3', 's4']) {
+            await createSnippet(alice, 'v1', id);
+        }
+        await createSnippet(bob, 'v1', 's5');
+        await api.execute(alice, 'mutation { deleteSnippet(id: "s2") }');
+
+        const ids = [];
+        let after = null;
+        do {
+            const { data } = await api.execute(alice, SNIPPETS_BY_VIDEO, { videoId: 'v1', first: 2, after });
+            ids.push(...data.snippetsByVideoID.edges.map(({ node }) => node.id));
+            after = data.snippetsByVideoID.pageInfo.hasNextPage ? data.snippetsByVideoID.pageInfo.endCursor : null;
+        } while (after);
+        expect(ids).toEqual(['s1', 's3', 's4']);
+    });
+
+    test('trashes and restores a video together with its snippets', async () => {
+        await createVideo(alice, 'v1');
+        await createSnippet(alice, 'v1', 's1');
+        await createSnippet(alice, 'v1', 's2');
+        // Items trashed in the same second are trashed together, so the snippet is trashed a minute earlier
+        jest.spyOn(Date, 'now').mockReturnValueOnce(Date.now() - 60000);
+        await api.execute(alice, 'mutation { deleteSnippet(id: "s2") }');
+
+        expect((await api.execute(alice, 'mutation { deleteVideo(id: "v1") }')).data.deleteVideo).toBe('v1');
+        expect((await api.execute(alice, SNIPPETS_BY_VIDEO, { videoId: 'v1' })).data.snippetsByVideoID.edges).toEqual([]);
+
+        const { data } = await api.execute(alice, 'mutation { restoreVideo(id: "v1") { id deletedAt } }');
+        expect(data.restoreVideo).toEqual({ id: 'v1', deletedAt: null });
+
+        // The snippet trashed before the video stays in the trash
+        const restored = (await api.execute(alice, SNIPPETS_BY_VIDEO, { videoId: 'v1' })).data.snippetsByVideoID;
+        expect(restored.edges.map(({ node }) => node.id)).toEqual(['s1']);
+    });
+
+    test('refuses to move a video with more snippets than one transaction holds, leaving it and its snippets in place', async () => {
+        await createVideo(alice, 'v1');
+        const keys = Array.from({ length: 100 }, (_, index) => ({ userId: 'alice', id: `s${index}` }));
+        await Promise.all(keys.map((key) => api.model.createItem('snippet', { ...key, videoId: 'v1', labels: [1] })));
+
+        const { errors } = await api.execute(alice, 'mutation { deleteVideo(id: "v1") }');
+        expect(errors[0].extensions.code).toBe('BAD_USER_INPUT');
+        expect((await api.model.getItem('video', { key: { userId: 'alice', id: 'v1' } })).deletedAt).toBeUndefined();
+        expect((await api.model.scanItems('snippet', {})).items.filter(({ deletedAt }) => deletedAt)).toEqual([]);
+
+        // A video trashed with as many snippets stays in the trash as a whole
+        const deletedAt = 1000;
+        const expiresAt = 2000;
+        const items = [{ table: 'video', key: { userId: 'alice', id: 'v1' } }, ...keys.map((key) => ({ table: 'snippet', key }))];
+        await Promise.all(items.map(({ table, key }) => api.model.updateItem(table, { key, updates: { deletedAt, expiresAt } })));
+
+        const restore = await api.execute(alice, 'mutation { restoreVideo(id: "v1") { id } }');
+        expect(restore.errors[0].extensions.code).toBe('BAD_USER_INPUT');
+        expect((await api.model.getItem('video', { key: { userId: 'alice', id: 'v1' } })).deletedAt).toBe(deletedAt);
+        expect((await api.model.scanItems('snippet', {})).items.filter((snippet) => !snippet.deletedAt)).toEqual([]);
+    });
+});
+
+describe('playlists', () => {
+    test('lists the snippets of a playlist as ids', async () => {
+        await createVideo(alice, 'v1');
+        await createSnippet(alice, 'v1', 's1');
+        await createSnippet(alice, 'v1', 's2');
+
+        const { data } = await api.execute(alice, 'mutation { createPlaylist(name: "Drills", snippetIds: ["s2", "s1"]) { snippetIds } }');
+        expect(data.createPlaylist.snippetIds).toEqual(['s2', 's1']);
+
+        const TYPE = 'query { __type(name: "Playlist") { fields { name type { kind ofType { kind ofType { name } } } } } }';
+        const { fields } = (await api.execute(alice, TYPE)).data.__type;
+        expect(fields.find(({ name }) => name === 'snippetIds').type).toEqual({ kind: 'LIST', ofType: { kind: 'NON_NULL', ofType: { name: 'ID' } } });
+    });
+});
@@ -0,0 +1,87 @@
+import { jest } from '@jest/globals';
+import { createTestApi, testUser } from './helpers.js';
+
+const alice = testUser('alice');
+const bob = testUser('bob');
+
+const SEARCH = `query ($text: String!, $types: [SearchType!], $first: Int, $after: String) {
+    search(text: $text, types: $types, first: $first, after: $after) {
+        edges { node { __typename ... on Video { id } ... on Snippet { id } } score }
+        pageInfo { hasNextPage endCursor }
+    }
+}`;
+
+let api;
+beforeEach(async () => {
+    api = await createTestApi();
+});
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await api.close();
+});
+
+const createVideo = async (user, id, name) => {
+    const { errors } = await api.execute(user, `mutation ($id: ID!, $key: String!, $name: String!) { createVideo(id: $id, key: $key, name: $name) { id } }`,
+        { id, key: `${user.userId}/video-${id}/videofile.mp4`, name });
+    expect(errors).toBeUndefined();
+};
+
+const search = async (user, variables) => {
+    const { data, errors } = await api.execute(user, SEARCH, variables);
+    expect(errors).toBeUndefined();
+    return data.search;
+};
+
+test('ranks the items of the user matching more of the text first, tolerating typos', async () => {
+    await createVideo(alice, 'v1', 'Forehand drill');
+    await createVideo(alice, 'v2', 'Forehand');
+    await createVideo(alice, 'v3', 'Footwork drill');
+    await createVideo(bob, 'v4', 'Forehand drill');
+
+    const { edges } = await search(alice, { text: 'forehnad drill' });
+    expect(edges.map(({ node }) => node.id)).toEqual(['v1', 'v3', 'v2']);
+    expect(edges.every(({ node }) => node.__typename === 'Video')).toBe(true);
+});
+
+test('reads only the index entries sharing the prefix of a query token', async () => {
+    await createVideo(alice, 'v1', 'Forehand');
+    await createVideo(alice, 'v2', 'Footwork');
+    await createVideo(alice, 'v3', 'Fast serve');
+    const queryItems = jest.spyOn(api.model, 'queryItems');
+
+    const { edges } = await search(alice, { text: 'forehnad fo' });
+    expect(edges.map(({ node }) => node.id)).toEqual(['v1', 'v2']);
+
+    const searchQueries = queryItems.mock.calls.filter(([table]) => table === 'searchIndex');
+    expect(searchQueries.map(([, { range_key }]) => range_key.value)).toEqual(['fo']);
+    const read = await Promise.all(queryItems.mock.results.map(({ value }) => value));
+    expect(read.flatMap(({ items }) => items.map(({ term }) => term)).sort()).toEqual(['footwork', 'forehand']);
+});
+
+test('reads a token matching nothing by its prefix again by its first letter, to find typos within the prefix', async () => {
+    await createVideo(alice, 'v1', 'Forehand');
+    await createVideo(alice, 'v2', 'Backhand');
+    const queryItems = jest.spyOn(api.model, 'queryItems');
+
+    const { edges } = await search(alice, { text: 'fprehand backhnad' });
+    expect(edges.map(({ node }) => node.id).sort()).toEqual(['v1', 'v2']);
+    expect(queryItems.mock.calls.filter(([table]) => table === 'searchIndex').map(([, { range_key }]) => range_key.value)).toEqual(['fpr', 'bac', 'f']);
+
+    // A typo in the first letter is not tolerated
+    expect((await search(alice, { text: 'gorehand' })).edges).toEqual([]);
+});
+
+test('pages through the ranking and leaves out trashed items', async () => {
+    for (const id of ['v1', 'v2', 'v3']) {
+        await createVideo(alice, id, `Serve ${id}`);
+    }
+    await api.execute(alice, 'mutation { deleteVideo(id: "v2") }');
+
+    const first = await search(alice, { text: 'serve', first: 1 });
+    expect(first.edges.map(({ node }) => node.id)).toEqual(['v1']);
+    expect(first.pageInfo.hasNextPage).toBe(true);
+
+    const second = await search(alice, { text: 'serve', first: 2, after: first.pageInfo.endCursor });
+    expect(second.edges.map(({ node }) => node.id)).toEqual(['v3']);
+    expect(second.pageInfo.hasNextPage).toBe(false);
+});
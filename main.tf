@@ -85,6 +85,12 @@ module "lambda" {
   lambda_role_name     = format("${each.value.function_name}-role", var.application_stage)
   basedir              = format("${path.root}/%s", each.value.basedir)
   envfile_basedir      = format("${path.root}/%s", each.value.envfile_basedir)
+
+  # The API verifies the tokens of the user pool and its app client, which only exist once the pool is created
+  environment_variables = length(module.cognito) != 0 && contains(keys(local.api_config), each.key) ? {
+    COGNITO_USER_POOL_ID = module.cognito[0].user_pool_id
+    COGNITO_CLIENT_IDS   = module.cognito[0].client_id
+  } : {}
 }
 
 module "codedeploy" {
@@ -103,6 +109,28 @@ module "codedeploy" {
   ]
 }
 
+resource "aws_cloudwatch_event_rule" "schedule" {
+  for_each            = { for name, config in local.lambda_config : name => config if contains(keys(config), "schedule_expression") }
+  name                = format("%s-schedule", format(each.value.function_name, var.application_stage))
+  schedule_expression = each.value.schedule_expression
+}
+
+resource "aws_cloudwatch_event_target" "schedule" {
+  for_each = aws_cloudwatch_event_rule.schedule
+  rule     = each.value.name
+  arn      = module.lambda[each.key].alias_arn
+}
+
+resource "aws_lambda_permission" "schedule" {
+  for_each      = aws_cloudwatch_event_rule.schedule
+  statement_id  = "AllowExecutionFromEventBridge"
+  action        = "lambda:InvokeFunction"
+  function_name = module.lambda[each.key].function_name
+  qualifier     = upper(var.application_stage)
+  principal     = "events.amazonaws.com"
+  source_arn    = each.value.arn
+}
+
 module "api" {
   for_each             = local.api_config
   source               = "./.polymer/.tf_modules/api"